@@ -7,7 +7,8 @@ const axiosErrorHandler = require('../src/utils/axios-error-handler');
  * @namespace Authentications
  */
 
-function caspioAuthenticator(credentials) {
+function caspioAuthenticator(credentials, options = {}) {
+  const log = require('../src/utils/logger')(options);
   let getAccessToken;
   try {
     if (!Object.prototype.hasOwnProperty.call(credentials, 'clientID')) {
@@ -82,17 +83,18 @@ function caspioAuthenticator(credentials) {
         return refreshAccessTokenReq.data;
       } catch (error) {
         if (axios.isAxiosError(error)) {
-          axiosErrorHandler(error);
+          axiosErrorHandler(error, log);
         } else {
-          console.error(error);
+          log.error(error.message, { err: error });
         }
         return false;
       }
     };
     return getAccessToken;
   } catch (error) {
-    console.error(error);
+    log.error(error.message, { err: error });
   }
 }
 
 module.exports = caspioAuthenticator;
+module.exports.tokenManager = require('./token-manager');
@@ -0,0 +1,110 @@
+/**
+ * Returns a token manager that caches the bearer token issued by Caspio's token endpoint and transparently obtains a new one shortly before the cached token expires. This removes the need to rebuild an SDK client (or rewrite environment files) every `24` hours for long-running processes.
+ *
+ * The token manager may be passed to the main module as the `tokenManager` property of the credentials object, in which case every request issued by the SDK will use the manager's current access token.
+ *
+ * @memberOf Authentications
+ * @param {Object} credentials Object with requisite `clientID`, `clientSecret`, and `tokenEndpointURL` properties.
+ * @param {string} credentials.clientID Client ID of an active web services profile
+ * @param {string} credentials.clientSecret Client Secret of an active web services profile
+ * @param {string} credentials.tokenEndpointURL Token Endpoint URL of an active web services profile
+ * @param {Object} [options={}] Token manager options
+ * @param {number} [options.refreshMargin=300] Number of seconds before expiration at which the cached token is considered stale and a new token is requested
+ * @param {(Object|false)} [options.logger] Logger with `debug`, `info`, `warn`, and `error` methods through which failed token requests are reported (or `false` to disable logging)
+ * @param {('debug'|'info'|'warn'|'error'|'silent')} [options.logLevel='info'] Lowest level written to the console when no custom logger is provided
+ * @returns {{getToken: function(): Promise<string>, refresh: function(): Promise<string>, invalidate: function(): void, tokenInfo: function(): ({accessToken: string, expiresAt: Date}|null)}} Token manager
+ * @since 1.1.0
+ * @example
+ * // create an SDK client whose access token is renewed automatically
+ * const { tokenManager } = require('caspio-sdk/auth');
+ *
+ * const authCredentials = {
+ *   clientID: process.env.CASPIO_CLIENT_ID,
+ *   clientSecret: process.env.CASPIO_CLIENT_SECRET,
+ *   tokenEndpointURL: process.env.CASPIO_TOKEN_ENDPOINT_URL
+ * }
+ *
+ * const caspio = require('caspio-sdk')({
+ *   accountID: process.env.CASPIO_ACCOUNT_ID,
+ *   tokenManager: tokenManager(authCredentials),
+ * });
+ *
+ * // every request made with `caspio` now uses a valid access token
+ */
+function tokenManager(credentials, options = {}) {
+  const caspioAuthenticator = require('./index');
+  const { CaspioAuthError } = require('../src/utils/errors');
+  const { refreshMargin = 300, logger, logLevel } = options;
+  const getAccessToken = caspioAuthenticator(credentials, { logger, logLevel });
+
+  if (typeof getAccessToken !== 'function') {
+    throw new Error('The token manager could not be created. Please ensure the credentials provided have valid clientID, clientSecret, and tokenEndpointURL properties.');
+  }
+
+  let cachedToken = null;
+  let expiresAt = 0;
+  let pendingRefresh = null;
+
+  /**
+   * Requests a new access token from the token endpoint (concurrent callers share a single in-flight request)
+   * @returns {Promise<string>} New access token
+   */
+  function refresh() {
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        try {
+          const tokenData = await getAccessToken();
+          if (!tokenData || !tokenData.access_token) {
+            throw new CaspioAuthError('Unable to obtain an access token from the token endpoint. Please check your clientID, clientSecret, and tokenEndpointURL.');
+          }
+          cachedToken = tokenData.access_token;
+          expiresAt = Date.now() + (tokenData.expires_in * 1000);
+          return cachedToken;
+        } finally {
+          pendingRefresh = null;
+        }
+      })();
+    }
+    return pendingRefresh;
+  }
+
+  /**
+   * Returns the cached access token if it is not close to expiring; otherwise a new access token is obtained and cached
+   * @returns {Promise<string>} Valid access token
+   */
+  async function getToken() {
+    if (cachedToken && Date.now() < expiresAt - (refreshMargin * 1000)) {
+      return cachedToken;
+    }
+    return refresh();
+  }
+
+  /**
+   * Discards the cached access token so that the next call to `getToken` obtains a new one
+   * @returns {void}
+   */
+  function invalidate() {
+    cachedToken = null;
+    expiresAt = 0;
+  }
+
+  /**
+   * Returns the cached access token and its expiration date (or `null` if no token has been obtained yet)
+   * @returns {({accessToken: string, expiresAt: Date}|null)} Cached token information
+   */
+  function tokenInfo() {
+    if (!cachedToken) {
+      return null;
+    }
+    return { accessToken: cachedToken, expiresAt: new Date(expiresAt) };
+  }
+
+  return {
+    getToken,
+    refresh,
+    invalidate,
+    tokenInfo,
+  };
+}
+
+module.exports = tokenManager;
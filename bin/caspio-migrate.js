@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for the migrations of `caspio.migrations` (see the README).
+ *
+ * Usage: caspio-migrate <migrate|rollback|status> [--dir <directory>] [--to <version>] [--steps <number>] [--table <name>]
+ *
+ * Credentials are read from the `CASPIO_ACCOUNT_ID` environment variable and either `CASPIO_ACCESS_TOKEN` or the `CASPIO_CLIENT_ID`, `CASPIO_CLIENT_SECRET`, and `CASPIO_TOKEN_ENDPOINT_URL` of a web services profile.
+ */
+const usage = 'Usage: caspio-migrate <migrate|rollback|status> [--dir <directory>] [--to <version>] [--steps <number>] [--table <name>]';
+const optionNames = {
+  '--dir': 'directory', '--to': 'to', '--steps': 'steps', '--table': 'table',
+};
+
+/**
+ * Returns the command and options of the command-line arguments
+ * @param {Array<string>} args Command-line arguments (without the node executable and script)
+ * @returns {{command: string, options: Object}} Command and options
+ * @throws {Error} If an argument is unknown or an option has no value
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const options = {};
+  let i = 0;
+  while (i < rest.length) {
+    // options are given as '--to 3' or '--to=3'
+    const [flag, inlineValue] = rest[i].split('=');
+    const value = inlineValue === undefined ? rest[i + 1] : inlineValue;
+    if (!optionNames[flag] || value === undefined) {
+      throw new Error(`Unknown or incomplete option '${rest[i]}'.\n${usage}`);
+    }
+    options[optionNames[flag]] = flag === '--steps' ? Number(value) : value;
+    i += inlineValue === undefined ? 2 : 1;
+  }
+  if (!['migrate', 'rollback', 'status'].includes(command)) {
+    throw new Error(usage);
+  }
+  return { command, options };
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const {
+    CASPIO_ACCOUNT_ID: accountID, CASPIO_ACCESS_TOKEN: accessToken, CASPIO_CLIENT_ID: clientID, CASPIO_CLIENT_SECRET: clientSecret, CASPIO_TOKEN_ENDPOINT_URL: tokenEndpointURL,
+  } = process.env;
+  const credentials = accessToken ? { accountID, accessToken } : {
+    accountID, clientID, clientSecret, tokenEndpointURL,
+  };
+  const caspio = require('../src')(credentials, { strict: true });
+
+  if (command === 'status') {
+    const status = await caspio.migrations.status(options);
+    console.log(`Current version: ${status.current}`);
+    status.migrations.forEach(({
+      version, name, applied, appliedAt,
+    }) => console.log(`${applied ? '[x]' : '[ ]'} ${version} ${name}${applied && appliedAt instanceof Date ? ` (applied ${appliedAt.toISOString()})` : ''}`));
+    status.missing.forEach(({ version, name }) => console.log(`[?] ${version} ${name} (applied, but its file is missing)`));
+    if (status.lock) {
+      console.log(`Locked by ${status.lock.lockedBy} since ${status.lock.lockedAt instanceof Date ? status.lock.lockedAt.toISOString() : status.lock.lockedAt}`);
+    }
+    return;
+  }
+  const result = await caspio.migrations[command](options);
+  const migrations = command === 'migrate' ? result.applied : result.reverted;
+  console.log(`${migrations.length} migration(s) ${command === 'migrate' ? 'applied' : 'reverted'}${migrations.length > 0 ? `: ${migrations.map(({ version, name }) => `${version} (${name})`).join(', ')}` : ''}. Current version: ${result.current}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,22 +1,38 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const JSONStream = require('JSONStream');
 const FormData = require('form-data');
+const errors = require('./utils/errors');
 
-function apiWrapper(credentials) {
+const { CaspioValidationError, CaspioNotFoundError } = errors;
+
+function apiWrapper(credentials, options = {}) {
   try {
-    if (!Object.prototype.hasOwnProperty.call(credentials, 'accessToken')) {
-      throw new Error('No API accessToken specified.');
+    const hasClientCredentials = ['clientID', 'clientSecret', 'tokenEndpointURL'].every((prop) => Object.prototype.hasOwnProperty.call(credentials, prop));
+    if (!Object.prototype.hasOwnProperty.call(credentials, 'accessToken') && !Object.prototype.hasOwnProperty.call(credentials, 'tokenManager')) {
+      if (!hasClientCredentials) {
+        throw new CaspioValidationError('No API accessToken specified. Provide an accessToken, a tokenManager, or the clientID, clientSecret, and tokenEndpointURL of a web services profile.');
+      }
+      // renew access tokens automatically when only client credentials are provided
+      credentials = { ...credentials, tokenManager: require('../auth/token-manager')(credentials, { logger: options.logger, logLevel: options.logLevel }) };
     }
 
     if (!Object.prototype.hasOwnProperty.call(credentials, 'accountID')) {
-      throw new Error('No Caspio accountID provided.');
+      throw new CaspioValidationError('No Caspio accountID provided.');
     }
 
-    const _utils = require('./utils')(credentials);
-
-    const { baseURL, headers: caspioHeaders } = _utils.apiConfig;
+    const _utils = require('./utils')(credentials, options);
+    // migrations always receive a strict client (with the same credentials and options) so that a failed request fails its migration instead of being logged
+    let strictClient = null;
+    const migrationClient = (client) => {
+      if (options.strict) {
+        return client;
+      }
+      strictClient = strictClient || apiWrapper(credentials, { ...options, strict: true });
+      return strictClient;
+    };
 
     const api = {
       /**
@@ -60,18 +76,13 @@ function apiWrapper(credentials) {
          */
         listing: async () => {
           try {
-            const apiReq = await axios({
+            const apiReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/applications`,
-              headers: caspioHeaders,
+              url: '/v2/applications',
             });
             return apiReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.listing');
           }
         },
         /**
@@ -106,23 +117,15 @@ function apiWrapper(credentials) {
          * }
          */
         propertiesByName: async (appName) => {
-          const externalKey = await _utils.appKeyGivenAppName(appName);
-
-          if (externalKey) {
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/applications/${externalKey}`,
-                headers: caspioHeaders,
-              });
-              return theReq.data.Result;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const externalKey = await _utils.appKeyGivenAppName(appName);
+            const theReq = await _utils.http({
+              method: 'get',
+              url: `/v2/applications/${externalKey}`,
+            });
+            return theReq.data.Result;
+          } catch (error) {
+            _utils.handleError(error, 'apps.propertiesByName');
           }
         },
         /**
@@ -159,18 +162,13 @@ function apiWrapper(credentials) {
          */
         propertiesByKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/applications/${externalKey}`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.propertiesByKey');
           }
         },
         /**
@@ -212,23 +210,15 @@ function apiWrapper(credentials) {
          * ]
          */
         dpPropertiesByAppName: async (appName) => {
-          const externalKey = await _utils.appKeyGivenAppName(appName);
-
-          if (externalKey) {
-            try {
-              const apiReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages`,
-                headers: caspioHeaders,
-              });
-              return apiReq.data.Result;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const externalKey = await _utils.appKeyGivenAppName(appName);
+            const apiReq = await _utils.http({
+              method: 'get',
+              url: `/v2/applications/${externalKey}/datapages`,
+            });
+            return apiReq.data.Result;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpPropertiesByAppName');
           }
         },
         /**
@@ -272,18 +262,13 @@ function apiWrapper(credentials) {
          */
         dpPropertiesByAppKey: async (externalKey) => {
           try {
-            const apiReq = await axios({
+            const apiReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages`,
             });
             return apiReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpPropertiesByAppKey');
           }
         },
         /**
@@ -324,24 +309,16 @@ function apiWrapper(credentials) {
          * }
          */
         dpPropertiesByNames: async (appName, dataPageName) => {
-          const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
-
-          if (keyReq) {
-            try {
-              const [externalKey, appKey] = keyReq;
-              const apiReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}`,
-                headers: caspioHeaders,
-              });
-              return apiReq.data.Result;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
+            const [externalKey, appKey] = keyReq;
+            const apiReq = await _utils.http({
+              method: 'get',
+              url: `/v2/applications/${externalKey}/datapages/${appKey}`,
+            });
+            return apiReq.data.Result;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpPropertiesByNames');
           }
         },
         /**
@@ -385,18 +362,13 @@ function apiWrapper(credentials) {
          */
         dpPropertiesByKeys: async (externalKey, appKey) => {
           try {
-            const apiReq = await axios({
+            const apiReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/${appKey}`,
             });
             return apiReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpPropertiesByKeys');
           }
         },
         /**
@@ -435,30 +407,17 @@ function apiWrapper(credentials) {
             const validDeployMethods = Object.values(_utils.casData.deploymentMethods);
             const deployMethodUpper = deployMethod.toUpperCase();
             if (!validDeployMethods.includes(deployMethodUpper)) {
-              throw new Error(`'${deployMethod}' is not a valid deploy method. Try one of the following: 'I', 'F', 'U', 'L', 'E', 'N', 'P', 'A', or 'X'. Note that you may experience issues when trying to use 'P', 'A', or 'X'. ('P', 'A', and 'X' are SEO deployment methods and are only available to DataPages that meet certain criteria.)`);
+              throw new CaspioValidationError(`'${deployMethod}' is not a valid deploy method. Try one of the following: 'I', 'F', 'U', 'L', 'E', 'N', 'P', 'A', or 'X'. Note that you may experience issues when trying to use 'P', 'A', or 'X'. ('P', 'A', and 'X' are SEO deployment methods and are only available to DataPages that meet certain criteria.)`);
             }
+            const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
+            const [externalKey, appKey] = keyReq;
+            const theReq = await _utils.http({
+              method: 'get',
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment?method=${deployMethod}`,
+            });
+            return theReq.data;
           } catch (error) {
-            console.error(error);
-          }
-
-          const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
-
-          if (keyReq) {
-            try {
-              const [externalKey, appKey] = keyReq;
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment?method=${deployMethod}`,
-                headers: caspioHeaders,
-              });
-              return theReq.data;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+            _utils.handleError(error, 'apps.dpDeployCodeByNames');
           }
         },
         /**
@@ -497,25 +456,15 @@ function apiWrapper(credentials) {
             const validDeployMethods = Object.values(_utils.casData.deploymentMethods);
             const deployMethodUpper = deployMethod.toUpperCase();
             if (!validDeployMethods.includes(deployMethodUpper)) {
-              throw new Error(`'${deployMethod}' is not a valid deploy method. Try one of the following: 'I', 'F', 'U', 'L', 'E', 'N', 'P', 'A', or 'X'. Note that you may experience issues when trying to use 'P', 'A', or 'X'. ('P', 'A', and 'X' are SEO deployment methods and are only available to DataPages that meet certain criteria.)`);
+              throw new CaspioValidationError(`'${deployMethod}' is not a valid deploy method. Try one of the following: 'I', 'F', 'U', 'L', 'E', 'N', 'P', 'A', or 'X'. Note that you may experience issues when trying to use 'P', 'A', or 'X'. ('P', 'A', and 'X' are SEO deployment methods and are only available to DataPages that meet certain criteria.)`);
             }
-          } catch (error) {
-            console.error(error);
-          }
-
-          try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment?method=${deployMethod}`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment?method=${deployMethod}`,
             });
             return theReq.data;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpDeployCodeByKeys');
           }
         },
         /**
@@ -549,27 +498,19 @@ function apiWrapper(credentials) {
          * }
          */
         dpDeployByNames: async (appName, dataPageName) => {
-          const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
-
-          if (keyReq) {
-            try {
-              const [externalKey, appKey] = keyReq;
-              const theReq = await axios({
-                method: 'put',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText } = theReq;
-              const message = `DataPage '${dataPageName}' has been successfully deployed.`;
-              const responseObj = { status, statusText, message };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
+            const [externalKey, appKey] = keyReq;
+            const theReq = await _utils.http({
+              method: 'put',
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
+            });
+            const { status, statusText } = theReq;
+            const message = `DataPage '${dataPageName}' has been successfully deployed.`;
+            const responseObj = { status, statusText, message };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpDeployByNames');
           }
         },
         /**
@@ -604,21 +545,16 @@ function apiWrapper(credentials) {
          */
         dpDeployByKeys: async (externalKey, appKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'put',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
             });
             const { status, statusText } = theReq;
             const message = 'DataPage successfully deployed.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpDeployByKeys');
           }
         },
         /**
@@ -652,27 +588,19 @@ function apiWrapper(credentials) {
          * }
          */
         dpDisableByNames: async (appName, dataPageName) => {
-          const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
-
-          if (keyReq) {
-            try {
-              const [externalKey, appKey] = keyReq;
-              const theReq = await axios({
-                method: 'delete',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText } = theReq;
-              const message = `DataPage '${dataPageName}' has been successfully disabled.`;
-              const responseObj = { status, statusText, message };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const keyReq = await _utils.appAndDataPageKeysGivenNames(appName, dataPageName);
+            const [externalKey, appKey] = keyReq;
+            const theReq = await _utils.http({
+              method: 'delete',
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
+            });
+            const { status, statusText } = theReq;
+            const message = `DataPage '${dataPageName}' has been successfully disabled.`;
+            const responseObj = { status, statusText, message };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpDisableByNames');
           }
         },
         /**
@@ -707,21 +635,16 @@ function apiWrapper(credentials) {
          */
         dpDisableByKeys: async (externalKey, appKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'delete',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/${appKey}/deployment`,
             });
             const { status, statusText } = theReq;
             const message = 'DataPage successfully disabled.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpDisableByKeys');
           }
         },
         /**
@@ -752,26 +675,18 @@ function apiWrapper(credentials) {
          * }
          */
         dpDeployAllByAppName: async (appName) => {
-          const externalKey = await _utils.appKeyGivenAppName(appName);
-
-          if (externalKey) {
-            try {
-              const theReq = await axios({
-                method: 'put',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/deployment`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText } = theReq;
-              const message = `All DataPages in application '${appName}' have been successfully deployed.`;
-              const responseObj = { status, statusText, message };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const externalKey = await _utils.appKeyGivenAppName(appName);
+            const theReq = await _utils.http({
+              method: 'put',
+              url: `/v2/applications/${externalKey}/datapages/deployment`,
+            });
+            const { status, statusText } = theReq;
+            const message = `All DataPages in application '${appName}' have been successfully deployed.`;
+            const responseObj = { status, statusText, message };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpDeployAllByAppName');
           }
         },
         /**
@@ -803,21 +718,16 @@ function apiWrapper(credentials) {
          */
         dpDeployAllByAppKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'put',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/deployment`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/deployment`,
             });
             const { status, statusText } = theReq;
             const message = 'All DataPages in the specified application have been successfully deployed.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpDeployAllByAppKey');
           }
         },
         /**
@@ -848,26 +758,18 @@ function apiWrapper(credentials) {
          * }
          */
         dpDisableAllByAppName: async (appName) => {
-          const externalKey = await _utils.appKeyGivenAppName(appName);
-
-          if (externalKey) {
-            try {
-              const theReq = await axios({
-                method: 'delete',
-                url: `${baseURL}/v2/applications/${externalKey}/datapages/deployment`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText } = theReq;
-              const message = `All DataPages in application '${appName}' have been successfully disabled.`;
-              const responseObj = { status, statusText, message };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const externalKey = await _utils.appKeyGivenAppName(appName);
+            const theReq = await _utils.http({
+              method: 'delete',
+              url: `/v2/applications/${externalKey}/datapages/deployment`,
+            });
+            const { status, statusText } = theReq;
+            const message = `All DataPages in application '${appName}' have been successfully disabled.`;
+            const responseObj = { status, statusText, message };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'apps.dpDisableAllByAppName');
           }
         },
         /**
@@ -899,21 +801,16 @@ function apiWrapper(credentials) {
          */
         dpDisableAllByAppKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'delete',
-              url: `${baseURL}/v2/applications/${externalKey}/datapages/deployment`,
-              headers: caspioHeaders,
+              url: `/v2/applications/${externalKey}/datapages/deployment`,
             });
             const { status, statusText } = theReq;
             const message = 'All DataPages in the specified application have been successfully disabled.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'apps.dpDisableAllByAppKey');
           }
         },
       },
@@ -950,18 +847,13 @@ function apiWrapper(credentials) {
          */
         listing: async () => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tables`,
-              headers: caspioHeaders,
+              url: '/v2/tables',
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.listing');
           }
         },
         /**
@@ -969,6 +861,8 @@ function apiWrapper(credentials) {
          *
          * **Note (incompatible types):** Some properties are not compatible with some field types. For example, it is not possible to specify a `Prefix` for a field whose `Type` is `'TIMESTAMP'`. Use care and caution when creating field definitions. The example that accompanies this method shows examples of each field `Type` creation.
          *
+         * **Note (pre-flight validation):** The table name and field definitions are checked before the request is sent: names must comply with Caspio's naming protocol (field names may not be words reserved by SQL Server; see `fieldNameRestrictions` in `caspio.js`), field names must be unique, every property must be one of `validFieldProperties`, `Type` one of `validFieldTypes`, `TimeZone` one of `validTimeZones`, and `Label` and `Description` can be at most `255` and `4000` characters long, respectively. Every violation is reported at once by a `CaspioValidationError` whose `violations` property lists them by field and property (e.g., `{ field: 'Select', property: 'Name', message: "Field 'Select': The field name 'Select' is a word reserved by SQL Server (see fieldNameRestrictions)." }`).
+         *
          * @see Caspio documentation for [creating tables](https://howto.caspio.com/tables-and-views/creating-and-modifying-a-table/)
          * @memberOf Tables
          * @param {string} tableName Name of the table
@@ -1208,10 +1102,10 @@ function apiWrapper(credentials) {
          */
         create: async (tableName, fieldDefinitions) => {
           try {
-            const theReq = await axios({
+            _utils.validateTableCreation(tableName, fieldDefinitions);
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/tables`,
-              headers: caspioHeaders,
+              url: '/v2/tables',
               data: {
                 Name: tableName,
                 Columns: fieldDefinitions,
@@ -1222,11 +1116,7 @@ function apiWrapper(credentials) {
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.create');
           }
         },
         /**
@@ -1253,18 +1143,13 @@ function apiWrapper(credentials) {
          */
         description: async (tableName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tables/${tableName}`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.description');
           }
         },
         /**
@@ -1355,18 +1240,62 @@ function apiWrapper(credentials) {
          */
         definition: async (tableName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tables/${tableName}/fields`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/fields`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.definition');
+          }
+        },
+        /**
+         * Returns the codec of table `tableName` (built from its definition, which is fetched once per client and cached), i.e., an object whose `decode` function converts a record as returned by Caspio into native JavaScript values and whose `encode` function converts a record with native JavaScript values into the format Caspio expects:
+         *
+         * - `DATE/TIME` and `TIMESTAMP` values are decoded as `Date` objects, and `Date` objects are encoded as `'YYYY-MM-DDTHH:mm:ss'` strings. Caspio's date/time values have no time zone, so they are read as UTC (i.e., the stored wall-clock time is available through the `getUTC*` methods and is written back unchanged).
+         * - `LIST-STRING`, `LIST-NUMBER`, and `LIST-DATE/TIME` values are decoded as arrays of list items (instead of objects of list items by index) and encoded as the arrays of list item indexes Caspio expects. A single item, an array of items, or an object of items by index may be encoded; items that are not part of the field's list are reported with a `CaspioValidationError` that lists the valid items.
+         * - `CURRENCY` values are decoded rounded to 4 decimal places (i.e., without floating-point noise).
+         *
+         * Other values (e.g., `YES/NO` booleans) and fields the table does not have are left as is. Neither function modifies the record it is given.
+         *
+         * Creating the client with the `codec` option enabled (i.e., `require('caspio-sdk')(caspioCredentials, { codec: true })`) applies the codec of a table to every record read from it (`getRecords`, `getRecordsPaginated`, `iterateRecords`, `createReadStream`, `query`, `changesSince`, `watch`, and returned created or updated records) and written to it (`createRecord`, `updateRecords`, `bulkInsert`, and `upsert`). Files written by `getRecordsStreamToFile` and `exportRecords` always hold the values returned by Caspio, and the records of views are never converted.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @returns {Promise<{fields: Array<Object>, decode: function(Object): Object, encode: function(Object): Object}>} Codec of the table (`fields` holds the definition it was built from)
+         * @since 1.1.0
+         * @example
+         * // convert the records of the 'Demo_Physicians' table by hand
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function convertPhysicianRecords() {
+         *   const codec = await caspio.tables.codec('Demo_Physicians');
+         *   const [record] = await caspio.tables.getRecordsPaginated('Demo_Physicians', { limit: 1 });
+         *   const physician = codec.decode(record);
+         *   console.log(physician);
+         *   console.log(codec.encode({ Specialties: ['Cardiology'], Last_Visit: new Date(Date.UTC(2023, 0, 31, 9, 30)) }));
+         *   return physician;
+         * }
+         *
+         * convertPhysicianRecords();
+         *
+         * // sample return value
+         * {
+         *   Physician_ID: 'Q4FPQ1VE',
+         *   Name: 'Lorena Hammes',
+         *   Specialties: [ 'Cardiology', 'Internal Medicine' ],
+         *   Last_Visit: 2023-01-31T09:30:00.000Z,
+         *   Hourly_Rate: 185.5
+         * }
+         *
+         * // sample logged value for the encoded record
+         * { Specialties: [ 1 ], Last_Visit: '2023-01-31T09:30:00' }
+         */
+        codec: async (tableName) => {
+          try {
+            return await _utils.tableCodec(tableName);
+          } catch (error) {
+            _utils.handleError(error, 'tables.codec');
           }
         },
         /**
@@ -1374,6 +1303,8 @@ function apiWrapper(credentials) {
          *
          * **Note (incompatible types):** Some properties are not compatible with some field types. For example, it is not possible to specify a `Prefix` for a field whose `Type` is `'TIMESTAMP'`. Use care and caution when creating field definitions.
          *
+         * **Note (pre-flight validation):** The field definition is checked before the request is sent with the same rules as the field definitions of `tables.create` (i.e., naming protocol, `validFieldProperties`, `validFieldTypes`, `validTimeZones`, and the lengths of `Label` and `Description`), and every violation is reported at once by a `CaspioValidationError` whose `violations` property lists them by property.
+         *
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
          * @param {Object} fieldToAdd Definition of field to add to the specified table
@@ -1434,22 +1365,19 @@ function apiWrapper(credentials) {
          */
         addField: async (tableName, fieldToAdd) => {
           try {
-            const theReq = await axios({
+            _utils.validateFieldAddition(tableName, fieldToAdd);
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/tables/${tableName}/fields`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/fields`,
               data: fieldToAdd,
             });
+            _utils.forgetTableDefinition(tableName);
             const { status, statusText } = theReq;
             const message = `The field '${fieldToAdd.Name}' was successfully added to the following table: '${tableName}'.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.addField');
           }
         },
         /**
@@ -1485,18 +1413,13 @@ function apiWrapper(credentials) {
          */
         fieldDefinition: async (tableName, fieldName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tables/${tableName}/fields/${fieldName}`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/fields/${fieldName}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.fieldDefinition');
           }
         },
         /**
@@ -1506,6 +1429,8 @@ function apiWrapper(credentials) {
          *
          * **Note 2 (warning about list types):** Be wary of updating a field with a `Type` of `LIST-STRING|NUMBER|DATE/TIME` for reasons outlined in this method's documentation.
          *
+         * **Note 3 (pre-flight validation):** The `updatedFieldDef` object is checked before the request is sent: every property must be one of `validFieldPropertiesOnUpdate` (e.g., `'Type'` instead of `'NewType'` is reported), `NewName` must comply with the naming protocol (and may not be a word reserved by SQL Server), `NewType` must be one of `validFieldTypes`, `NewTimeZone` one of `validTimeZones`, and `NewLabel` and `NewDescription` can be at most `255` and `4000` characters long, respectively. Every violation is reported at once by a `CaspioValidationError` whose `violations` property lists them by property.
+         *
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
          * @param {string} fieldName Name of field (case-sensitive)
@@ -1566,22 +1491,75 @@ function apiWrapper(credentials) {
          */
         updateFieldDefinition: async (tableName, fieldName, updatedFieldDef) => {
           try {
-            const theReq = await axios({
+            _utils.validateFieldUpdate(tableName, fieldName, updatedFieldDef);
+            const theReq = await _utils.http({
               method: 'put',
-              url: `${baseURL}/v2/tables/${tableName}/fields/${fieldName}`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/fields/${fieldName}`,
               data: updatedFieldDef,
             });
+            _utils.forgetTableDefinition(tableName);
             const { status, statusText } = theReq;
             const message = `The field '${fieldName}' in table '${tableName}' was successfully updated.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.updateFieldDefinition');
+          }
+        },
+        /**
+         * Returns helpers for list field `fieldName` (i.e., a field with a `Type` of `LIST-STRING`, `LIST-NUMBER`, or `LIST-DATE/TIME`) of table `tableName`. Caspio returns list values as objects of list items by index (e.g., `{ "2": "Dog", "3": "Frog" }`), only accepts arrays of indexes when records are written (e.g., `[ 2, 3 ]`), restores the index of a removed item when the item is added again (see `updateFieldDefinition`), and cannot filter records by list items with a `WHERE` clause. The helpers take care of all of this:
+         *
+         * - `items()` returns the current `ListField` of the field (i.e., its items by index), and `values()` returns its items ordered by index
+         * - `add(items)` and `remove(items)` add items to or remove items from the field through `updateFieldDefinition` (with `NewListField`) and return the updated items by index; items already in the list (when adding) or not in the list (when removing) are skipped
+         * - `indexOf(item)`, `toIndexes(items)`, and `toValues(listValue)` translate items to indexes (e.g., `toIndexes(['Dog', 'Frog'])` returns `[ 2, 3 ]`, and unknown items are reported with a `CaspioValidationError` unless `{ ignoreUnknown: true }` is provided) and list values or arrays of indexes to items
+         * - `matches(record, items, { match })` and `filter(records, items, { match })` check whether the records hold any (`match: 'any'`, the default) or all (`match: 'all'`) of the items, and `findRecords(items, { match, select, where })` requests the records of the table and filters them client-side
+         *
+         * Translations use the field's definition as of the last request made by the helpers (i.e., when they were created or when the items were last read, added, or removed). Field and table names are case-insensitive, and records may hold list values as returned by Caspio or as decoded by a codec (see `tables.codec`).
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {string} fieldName Name of list field (case-insensitive)
+         * @returns {Promise<Object>} List field helpers (`name`, `type`, `items`, `values`, `indexOf`, `toIndexes`, `toValues`, `add`, `remove`, `matches`, `filter`, and `findRecords`)
+         * @since 1.1.0
+         * @example
+         * // add a specialty to the 'Specialties' list field and find the physicians who have it
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function manageSpecialties() {
+         *   const specialties = await caspio.tables.listField('Demo_Physicians', 'Specialties');
+         *   const items = await specialties.add('Sports Medicine');
+         *   console.log(items);
+         *   await caspio.tables.updateRecords('Demo_Physicians', `Email = 'Lelah.Hoppe@gmail.com'`, {
+         *     Specialties: specialties.toIndexes(['Family Medicine', 'Sports Medicine']),
+         *   }, { rows: false });
+         *   const sportsPhysicians = await specialties.findRecords('Sports Medicine', { select: 'Email, Specialties' });
+         *   console.log(sportsPhysicians);
+         *   return sportsPhysicians;
+         * }
+         *
+         * manageSpecialties();
+         *
+         * // sample logged value for the updated items
+         * {
+         *   '1': 'Cardiology',
+         *   '3': 'Family Medicine',
+         *   ...
+         *   '12': 'Sports Medicine'
+         * }
+         *
+         * // sample return value
+         * [
+         *   {
+         *     Email: 'Lelah.Hoppe@gmail.com',
+         *     Specialties: { '3': 'Family Medicine', '12': 'Sports Medicine' }
+         *   }
+         * ]
+         */
+        listField: async (tableName, fieldName) => {
+          try {
+            return await _utils.listField(tableName, fieldName);
+          } catch (error) {
+            _utils.handleError(error, 'tables.listField');
           }
         },
         /**
@@ -1613,21 +1591,17 @@ function apiWrapper(credentials) {
          */
         deleteField: async (tableName, fieldName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'delete',
-              url: `${baseURL}/v2/tables/${tableName}/fields/${fieldName}`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/fields/${fieldName}`,
             });
+            _utils.forgetTableDefinition(tableName);
             const { status, statusText } = theReq;
             const message = `The field '${fieldName}' in table '${tableName}' was successfully deleted.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.deleteField');
           }
         },
         /**
@@ -1654,18 +1628,13 @@ function apiWrapper(credentials) {
          */
         passwordFields: async (tableName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tables/${tableName}/passwordFields`,
-              headers: caspioHeaders,
+              url: `/v2/tables/${tableName}/passwordFields`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.passwordFields');
           }
         },
         /**
@@ -1675,7 +1644,7 @@ function apiWrapper(credentials) {
          * @param {string} tableName Name of table (case-insensitive)
          * @param {string} passwordFieldName Name of field in table `tableName` with a `Type` of `'PASSWORD'` to target (case-insensitive)
          * @param {string} newPasswordValue New password value
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you)
          * @returns {Promise<{status: 200, statusText: 'OK', recordsAffected: number, message: string}>} Object with information about the attempted update of all password values for the matched records (i.e., `status`, `statusText`, `recordsAffected`, and `message`).
          * @since 1.0.0
          * @example
@@ -1702,30 +1671,23 @@ function apiWrapper(credentials) {
          * }
          */
         updatePasswordFieldValue: async (tableName, passwordFieldName, newPasswordValue, whereClause) => {
-          const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-          if (typeof processedWhereClause === 'string') {
-            try {
-              const theReq = await axios({
-                method: 'put',
-                url: `${baseURL}/v2/tables/${tableName}/passwordFields/${passwordFieldName}?q.where=${processedWhereClause}`,
-                headers: caspioHeaders,
-                data: {
-                  Value: newPasswordValue,
-                },
-              });
-              const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
-              const message = `Password value(s) successfully updated for field '${passwordFieldName}' in table '${tableName}' for ${recordsAffected} record(s).`;
-              const responseObj = {
-                status, statusText, recordsAffected, message,
-              };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const processedWhereClause = _utils.whereClauseBuilder(whereClause);
+            const theReq = await _utils.http({
+              method: 'put',
+              url: `/v2/tables/${tableName}/passwordFields/${passwordFieldName}?q.where=${processedWhereClause}`,
+              data: {
+                Value: newPasswordValue,
+              },
+            });
+            const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
+            const message = `Password value(s) successfully updated for field '${passwordFieldName}' in table '${tableName}' for ${recordsAffected} record(s).`;
+            const responseObj = {
+              status, statusText, recordsAffected, message,
+            };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'tables.updatePasswordFieldValue');
           }
         },
         /**
@@ -1734,7 +1696,7 @@ function apiWrapper(credentials) {
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
          * @param {string} passwordFieldName Name of field with `Type` of `'PASSWORD'` in table `tableName` to target (case-insensitive)
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you)
          * @returns {Promise<{status: 200, statusText: 'OK', recordsAffected: number, message: string}>} Object with information about the attempted resetting or removal of all password values for the matched records (i.e., `status`, `statusText`, `recordsAffected`, and `message`).
          * @since 1.0.0
          * @example
@@ -1760,27 +1722,20 @@ function apiWrapper(credentials) {
          * }
          */
         deletePasswordFieldValue: async (tableName, passwordFieldName, whereClause) => {
-          const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-          if (typeof processedWhereClause === 'string') {
-            try {
-              const theReq = await axios({
-                method: 'delete',
-                url: `${baseURL}/v2/tables/${tableName}/passwordFields/${passwordFieldName}?q.where=${processedWhereClause}`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
-              const message = `Password value(s) successfully reset (i.e., removed) for field '${passwordFieldName}' in table '${tableName}' for ${recordsAffected} record(s).`;
-              const responseObj = {
-                status, statusText, recordsAffected, message,
-              };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const processedWhereClause = _utils.whereClauseBuilder(whereClause);
+            const theReq = await _utils.http({
+              method: 'delete',
+              url: `/v2/tables/${tableName}/passwordFields/${passwordFieldName}?q.where=${processedWhereClause}`,
+            });
+            const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
+            const message = `Password value(s) successfully reset (i.e., removed) for field '${passwordFieldName}' in table '${tableName}' for ${recordsAffected} record(s).`;
+            const responseObj = {
+              status, statusText, recordsAffected, message,
+            };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'tables.deletePasswordFieldValue');
           }
         },
         /**
@@ -1804,7 +1759,7 @@ function apiWrapper(credentials) {
          * window functions such as `ROW_NUMBER() OVER(PARTITION BY Company, Department ORDER BY Salary DESC, Experience DESC, User_ID) AS comp_dept_sal_rnk` to compute salary rankings within departments of a company first by salary amount, years of experience, and finally the `User_ID` if needed to break ties.
          *
          * The possibilities are endless--there are numerous possibilities with which to experiment.
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
          * @param {number} [selectionCriteriaObj.limit=100] Specifies the maximum number of records to be returned. Maximum possible value of `1000` with a default value of `100`. Skipped if either `pageNumber` or `pageSize` has been specified.
@@ -1848,23 +1803,16 @@ function apiWrapper(credentials) {
          * ]
          */
         getRecordsPaginated: async (tableName, selectionCriteriaObj = {}) => {
-          const queryString = _utils.criteriaQueryBuilderPaginated(selectionCriteriaObj);
-          if (queryString) {
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/tables/${tableName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-              const resultSet = theReq.data.Result;
-              return resultSet;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const queryString = _utils.criteriaQueryBuilderPaginated(selectionCriteriaObj);
+            const theReq = await _utils.http({
+              method: 'get',
+              url: `/v2/tables/${tableName}/records${queryString}`,
+            });
+            const resultSet = await _utils.decodeRecords(tableName, theReq.data.Result);
+            return resultSet;
+          } catch (error) {
+            _utils.handleError(error, 'tables.getRecordsPaginated');
           }
         },
         /**
@@ -1890,7 +1838,7 @@ function apiWrapper(credentials) {
          * window functions such as `ROW_NUMBER() OVER(PARTITION BY Company, Department ORDER BY Salary DESC, Experience DESC, User_ID) AS comp_dept_sal_rnk` to compute salary rankings within departments of a company first by salary amount, years of experience, and finally the `User_ID` if needed to break ties.
          *
          * The possibilities are endless--there are numerous possibilities with which to experiment.
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively. If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list (e.g., thousands of IDs), then the list is split across several requests whose results are merged (queries with a `GROUP BY` clause or aggregates such as `COUNT(*)` cannot be split); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
          * @returns {Promise<Array.<Object>>} An array of objects representing the records retrieved from the specified table (i.e., `tableName`) that were obtained by the query provided (i.e., `selectionCriteriaObj`).
@@ -1945,60 +1893,52 @@ function apiWrapper(credentials) {
          * ]
          */
         getRecords: async (tableName, selectionCriteriaObj = {}) => {
-          const queryObj = { ...selectionCriteriaObj };
-          queryObj.limit = 1000;
-          delete queryObj.pageNumber;
-          delete queryObj.pageSize;
-          const queryString = _utils.criteriaQueryBuilder(queryObj);
-          if (queryString) {
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/tables/${tableName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-              const resultSet = theReq.data.Result;
-
-              if (resultSet.length < 1000) {
-                return resultSet;
-              }
-              let stillQueryAPI = true;
-              // ensure all records are retrieved by overriding any value set for pageNumber query parameter
-              queryObj.pageNumber = 1;
-              queryObj.pageSize = 1000;
-              let allRecords = [];
-              while (stillQueryAPI) {
-                const queryString = _utils.criteriaQueryBuilder(queryObj);
-                const singleRequest = await axios({
-                  method: 'get',
-                  url: `${baseURL}/v2/tables/${tableName}/records${queryString}`,
-                  headers: caspioHeaders,
-                });
-                const retrievedRecords = singleRequest.data.Result;
-                if (retrievedRecords.length === 0) {
-                  stillQueryAPI = !stillQueryAPI;
-                } else {
-                  allRecords = [...allRecords, ...retrievedRecords];
-                  queryObj.pageNumber++;
-                }
-              }
-              return allRecords;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const allRecords = await _utils.collectRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { method: 'tables.getRecords' });
+            return allRecords;
+          } catch (error) {
+            _utils.handleError(error, 'tables.getRecords');
           }
         },
         /**
-         * Streams *all* records from the table (i.e., `tableName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`) to a file (i.e., `filePath`). Pagination is automatically handled to ensure all records matching the provided criteria are streamed to the specified file. Records are streamed in batches of `1000` records (Caspio's rate limit for returning records). Useful when you need to process huge amounts of data but do not want to hold everything in memory.
+         * Returns an async iterable that lazily retrieves *all* records from the table (i.e., `tableName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`). Records are requested one page of `1000` records at a time (the same pagination logic as `getRecords` is used), and the next page is only requested once every record of the current page has been consumed. Breaking out of the loop early stops any further requests.
+         *
+         * Unlike `getRecords`, only a single page of records is held in memory at any one time. Errors (including aborts) are thrown by the iterator regardless of the client's `strict` option.
          *
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
-         * @param {string} filePath Path of file to write to (file path should have an extension of `.json`)
-         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy`.
+         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {Object} [options={}] Iteration options
+         * @param {boolean} [options.pages=false] Whether to yield whole pages (i.e., arrays of up to `1000` records) instead of single records
+         * @param {AbortSignal} [options.signal] Signal that aborts the iteration (including any request in flight)
+         * @param {boolean} [options.raw=false] Whether to yield records as returned by Caspio even if the client's `codec` option is enabled (see `tables.codec`)
+         * @returns {AsyncIterable<(Object|Array.<Object>)>} Async iterable of the records (or pages of records) retrieved from the specified table
+         * @since 1.1.0
+         * @example
+         * // process every record from the 'Demo_Users' table without holding them all in memory
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function processRecords() {
+         *   const controller = new AbortController();
+         *   const records = caspio.tables.iterateRecords('Demo_Users', { where: "Role = 'Admin'" }, { signal: controller.signal });
+         *   for await (const record of records) {
+         *     console.log(record.Email);
+         *     if (record.Email === 'Edd36@yahoo.com') {
+         *       break; // no further pages are requested
+         *     }
+         *   }
+         * }
+         *
+         * processRecords();
+         */
+        iterateRecords: (tableName, selectionCriteriaObj = {}, options = {}) => _utils.iterateRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { ...options, method: 'tables.iterateRecords' }),
+        /**
+         * Streams *all* records from the table (i.e., `tableName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`) to a file (i.e., `filePath`). Pagination is automatically handled to ensure all records matching the provided criteria are streamed to the specified file. Records are streamed in batches of `1000` records (Caspio's rate limit for returning records). Useful when you need to process huge amounts of data but do not want to hold everything in memory.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {string} filePath Path of file to write to (file path should have an extension of `.json`)
+         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy`.
          *
          * In large part, the query being constructed resembles most queries constructed using SQL (specifically the SQL Server dialect since Caspio uses SQL Server under the hood). Consult a Caspio rep to find which version your account is running on.
          *
@@ -2014,10 +1954,10 @@ function apiWrapper(credentials) {
          * window functions such as `ROW_NUMBER() OVER(PARTITION BY Company, Department ORDER BY Salary DESC, Experience DESC, User_ID) AS comp_dept_sal_rnk` to compute salary rankings within departments of a company first by salary amount, years of experience, and finally the `User_ID` if needed to break ties.
          *
          * The possibilities are endless--there are numerous possibilities with which to experiment.
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
-         * @returns {void} No value is returned
+         * @returns {Promise<void>} Resolves (without a value) once every record has been written to the file
          * @since 1.0.0
          * @example
          * // stream all records from the 'Demo_Users' table to the 'StreamedDemoUsers.json' file
@@ -2032,69 +1972,260 @@ function apiWrapper(credentials) {
          * // no return value
          */
         getRecordsStreamToFile: async (tableName, filePath, selectionCriteriaObj = {}) => {
-          const queryObj = { ...selectionCriteriaObj };
-          queryObj.limit = 1000;
-          delete queryObj.pageNumber;
-          delete queryObj.pageSize;
-          const queryString = _utils.criteriaQueryBuilder(queryObj);
-          if (queryString) {
-            const eventDataStream = fs.createWriteStream(filePath);
-            const transformStream = JSONStream.stringify('[', ',', ']\n');
-            transformStream.pipe(eventDataStream);
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/tables/${tableName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-              let resultSet = theReq.data.Result;
-              if (resultSet.length > 0 && Object.prototype.hasOwnProperty.call(resultSet[0], 'PK_ID')) {
-                resultSet = _utils.stripPKIDFields(resultSet);
-              }
-              
-              if (resultSet.length < 1000) {
-                resultSet.forEach(transformStream.write);
-                transformStream.end();
-              } else {
-                let stillQueryAPI = true;
-                // ensure all records are retrieved by overriding any value set for pageNumber query parameter
-                queryObj.pageNumber = 1;
-                queryObj.pageSize = 1000;
-                while (stillQueryAPI) {
-                  const queryString = _utils.criteriaQueryBuilder(queryObj);
-                  const singleRequest = await axios({
-                    method: 'get',
-                    url: `${baseURL}/v2/tables/${tableName}/records${queryString}`,
-                    headers: caspioHeaders,
-                  });
-                  let retrievedRecords = singleRequest.data.Result;
-                  if (retrievedRecords.length === 0) {
-                    stillQueryAPI = !stillQueryAPI;
-                  } else {
-                    if (Object.prototype.hasOwnProperty.call(retrievedRecords[0], 'PK_ID')) {
-                      retrievedRecords = _utils.stripPKIDFields(retrievedRecords);
-                    }
-                    retrievedRecords.forEach(transformStream.write);
-                    queryObj.pageNumber++;
-                  }
-                }
-                transformStream.end();
-              }
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const recordPages = _utils.iterateRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { pages: true, method: 'tables.getRecordsStreamToFile', raw: true });
+            await pipeline(
+              recordPages,
+              new Transform({
+                objectMode: true,
+                transform(page, encoding, callback) {
+                  _utils.stripPKIDFields(page).forEach((record) => this.push(record));
+                  callback();
+                },
+              }),
+              JSONStream.stringify('[', ',', ']\n'),
+              fs.createWriteStream(filePath),
+            );
+          } catch (error) {
+            _utils.handleError(error, 'tables.getRecordsStreamToFile');
+          }
+        },
+        /**
+         * Returns an object-mode `Readable` stream of *all* records from the table (i.e., `tableName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`). Pagination is handled automatically, and records are requested one page of `1000` records at a time only as fast as the stream is consumed (i.e., backpressure is respected). This makes it possible to pipe records into your own transforms, HTTP responses, database loaders, etc., without holding every record in memory.
+         *
+         * Errors (including aborts) are emitted on the stream as `'error'` events regardless of the client's `strict` option (they are not logged), and destroying the stream stops any further requests.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {Object} [options={}] Stream options
+         * @param {number} [options.highWaterMark=1000] Number of records buffered by the stream before backpressure is applied
+         * @param {AbortSignal} [options.signal] Signal that aborts the stream (including any request in flight)
+         * @returns {Readable} Object-mode readable stream of the records retrieved from the specified table
+         * @since 1.1.0
+         * @example
+         * // write every record from the 'Demo_Users' table as newline-delimited JSON to an HTTP response
+         * const { Transform, pipeline } = require('stream');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * function sendRecords(res) {
+         *   const toNDJSON = new Transform({
+         *     writableObjectMode: true,
+         *     transform(record, encoding, callback) {
+         *       callback(null, `${JSON.stringify(record)}\n`);
+         *     },
+         *   });
+         *   pipeline(caspio.tables.createReadStream('Demo_Users'), toNDJSON, res, (error) => {
+         *     if (error) {
+         *       console.error(error);
+         *     }
+         *   });
+         * }
+         */
+        createReadStream: (tableName, selectionCriteriaObj = {}, options = {}) => _utils.createReadStream(`/v2/tables/${tableName}`, selectionCriteriaObj, { ...options, method: 'tables.createReadStream' }),
+        /**
+         * Exports *all* records from the table (i.e., `tableName`) that satisfy the provided query criteria (i.e., `options.criteria`) to a file (i.e., `destPath`) as CSV, newline-delimited JSON (NDJSON), an Excel workbook (XLSX), or SQL `INSERT` statements. Records are requested one page of `1000` records at a time and written as they arrive, so exports of large tables do not hold every record in memory.
+         *
+         * Values are rendered the same way in every format: the `PK_ID` field is left out, values of `LIST-STRING`, `LIST-NUMBER`, and `LIST-DATE/TIME` fields become lists of the selected values (JSON arrays in NDJSON and JSON array text in the other formats), `FILE` fields hold the file's path, `DATE/TIME` and `TIMESTAMP` values are written as ISO 8601 strings (and as dates in XLSX, according to the types of the table's definition), and `TEXT (64000)` values are written in full.
+         *
+         * **Note (values are never truncated):** An Excel cell holds at most 32,767 characters and a worksheet at most 1,048,575 records. If a record cannot be written to an XLSX file without truncation, then the export fails with a `CaspioValidationError` and the partially written file is removed; export such tables as CSV, NDJSON, or SQL instead.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {string} destPath Path of file to write to
+         * @param {Object} [options={}] Export options
+         * @param {('csv'|'ndjson'|'xlsx'|'sql')} [options.format] Format of the file (inferred from the extension of `destPath` if not provided: `.csv`, `.ndjson`, `.jsonl`, `.xlsx`, or `.sql`)
+         * @param {Object} [options.criteria={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {string} [options.delimiter=','] Field delimiter (CSV only)
+         * @param {string} [options.sheetName=tableName] Name of the worksheet (XLSX only)
+         * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} [options.dialect='postgres'] SQL dialect of the `INSERT` statements (SQL only)
+         * @param {string} [options.sqlTableName=tableName] Name of the table the `INSERT` statements insert into (SQL only)
+         * @param {number} [options.batchSize=500] Maximum number of records per `INSERT` statement (SQL only; SQL Server accepts at most `1000`)
+         * @returns {Promise<{format: string, destPath: string, recordsExported: number}>} Object with the format of the file, its path, and the number of records written to it
+         * @since 1.1.0
+         * @example
+         * // export every admin of the 'Demo_Users' table as MySQL INSERT statements
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function exportAdmins() {
+         *   const exportResult = await caspio.tables.exportRecords('Demo_Users', 'admins.sql', {
+         *     dialect: 'mysql',
+         *     criteria: { where: "Role = 'Admin'" },
+         *   });
+         *   console.log(exportResult);
+         *   return exportResult;
+         * }
+         *
+         * exportAdmins();
+         *
+         * // sample return value
+         * {
+         *   format: 'sql',
+         *   destPath: 'admins.sql',
+         *   recordsExported: 3
+         * }
+         */
+        exportRecords: async (tableName, destPath, options = {}) => {
+          try {
+            const { criteria = {}, sqlTableName = tableName, ...exportOptions } = options;
+            // date values are recognized by the type of their field rather than by their shape (e.g., a STRING value that looks like a date stays a string)
+            const fieldTypes = Object.fromEntries((await _utils.tableDefinition(tableName)).map(({ Name, Type }) => [Name, Type]));
+            const recordPages = _utils.iterateRecords(`/v2/tables/${tableName}`, criteria, { pages: true, method: 'tables.exportRecords', raw: true });
+            return await _utils.exportRecords(recordPages, destPath, {
+              ...exportOptions, tableName: sqlTableName, sheetName: exportOptions.sheetName || tableName, fieldTypes,
+            });
+          } catch (error) {
+            _utils.handleError(error, 'tables.exportRecords');
+          }
+        },
+        /**
+         * Returns a chainable query of the records of table `tableName`. Chain `select`, `selectRaw`, `where`, `groupBy`, `orderBy`, `limit`, and `pageSize` to build the query, then run it with `all`, `first`, `count`, `iterate`, or `stream`. Nothing is requested until the query is run.
+         *
+         * Every field the query refers to (in `select`, `groupBy`, `orderBy`, and filters built with `require('caspio-sdk').where`) is checked against the table's definition before any record is requested. The definition is fetched once per client and cached (adding, updating, or deleting a field through this client clears the cached definition), and unknown fields are reported with a `CaspioValidationError` that lists the table's fields. Clauses provided as strings and expressions provided to `selectRaw` are used as is.
+         *
+         * `all`, `first`, and `count` report failures like every other method (i.e., according to the client's `strict` option), whereas `iterate` and `stream` always throw or emit errors.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @returns {{select: function(...string): Object, selectRaw: function(...string): Object, where: function((Filter|string)): Object, groupBy: function(...string): Object, orderBy: function(string, ('asc'|'desc')=): Object, limit: function(number): Object, pageSize: function(number): Object, toCriteria: function(): Promise<Object>, all: function(): Promise<Array<Object>>, first: function(): Promise<(Object|null)>, count: function(): Promise<number>, iterate: function(Object=): AsyncIterable<Object>, stream: function(Object=): Readable}} Chainable query
+         * @since 1.1.0
+         * @example
+         * // get the 10 most viewed physicians in Michigan and count every physician in Michigan
+         * const { where } = require('caspio-sdk');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function michiganPhysicians() {
+         *   const query = caspio.tables.query('Demo_Physicians')
+         *     .select('First_Name', 'Last_Name', 'ViewCount AS views')
+         *     .where(where.eq('Office_State', 'MI'))
+         *     .orderBy('views', 'desc')
+         *     .limit(10);
+         *   const mostViewed = await query.all();
+         *   const total = await caspio.tables.query('Demo_Physicians').where(where.eq('Office_State', 'MI')).count();
+         *   console.log(mostViewed, total);
+         * }
+         *
+         * michiganPhysicians();
+         *
+         * // iterate over every physician, 500 records per request
+         * for await (const physician of caspio.tables.query('Demo_Physicians').pageSize(500).iterate()) {
+         *   console.log(physician.Email);
+         * }
+         */
+        query: (tableName) => _utils.createQuery(tableName, 'tables.query'),
+        /**
+         * Returns the records of table `tableName` modified since the last sync (i.e., whose `TIMESTAMP` field, typically one with `OnUpdate` set, is at or after the sync cursor) so that recurring jobs only pull what changed instead of every record. Records are sorted by their timestamp (and records with the same timestamp by `PK_ID`, so that no record is skipped or returned twice when many records share a timestamp, e.g., after a bulk import).
+         *
+         * The sync cursor is the timestamp of the latest record returned by the previous sync. It is read from `store` (a local JSON file or any object with async `get(key)` and `set(key, value)` functions, such as `require('caspio-sdk').memoryCursorStore()`) and only advances when `commit` is called, so a job that fails before it is done processing the records pulls the same records again on its next run. Since Caspio stores timestamps to the second, records modified at the exact timestamp of the cursor are returned again by the next sync (i.e., records are delivered at least once), so processing a record should be idempotent (e.g., with `tables.upsert`). If no cursor is stored and `since` is not provided, then every record is returned.
+         *
+         * **Note:** `TIMESTAMP` values are expressed in the time zone of the field (see its `TimeZone` property). A `since` date is converted to UTC, whereas a `since` string (e.g., `'2022-02-21T00:00:00'`) is compared as is.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {Object} options Options
+         * @param {string} options.timestampField Name of the `TIMESTAMP` (or `DATE/TIME`) field that marks when a record was last modified
+         * @param {(Date|string)} [options.since] Point in time from which modified records are returned (overrides the stored cursor)
+         * @param {(string|Object)} [options.store] Path of the JSON file in which cursors are kept or a cursor store (an object with async `get(key)` and `set(key, value)` functions)
+         * @param {string} [options.cursorKey] Key of the cursor in the store (defaults to `'tables/<tableName>/<timestampField>'`, so one store may hold the cursors of many tables)
+         * @param {string} [options.select='*'] Fields to select (must include the timestamp field)
+         * @param {(string|Filter)} [options.where] Additional `WHERE` clause (or filter) that the records must satisfy
+         * @returns {Promise<{records: Array.<Object>, since: (string|null), until: (string|null), commit: function(): Promise<(string|null)>}>} Object with the modified records, the cursor the records were pulled from (i.e., `since`), the timestamp of the latest record (i.e., `until`), and a `commit` function that stores `until` as the new cursor (and returns it)
+         * @since 1.1.0
+         * @example
+         * // nightly job: pull the physicians modified since the last run, process them,
+         * // and only then advance the cursor kept in sync-cursors.json
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function syncPhysicians() {
+         *   const changes = await caspio.tables.changesSince('Demo_Physicians', {
+         *     timestampField: 'Last_Modified',
+         *     store: './sync-cursors.json',
+         *   });
+         *   await loadIntoWarehouse(changes.records);
+         *   await changes.commit();
+         *   console.log(changes);
+         *   return changes;
+         * }
+         *
+         * syncPhysicians();
+         *
+         * // sample return value
+         * {
+         *   records: [
+         *     { First_Name: 'Ardalan', Last_Name: 'Enkeshafi', ..., Last_Modified: '2022-02-21T22:04:11' },
+         *     { First_Name: 'Maryam', Last_Name: 'Ghandehari', ..., Last_Modified: '2022-02-22T08:30:57' }
+         *   ],
+         *   since: '2022-02-21T22:04:11',
+         *   until: '2022-02-22T08:30:57',
+         *   commit: [AsyncFunction: commit]
+         * }
+         */
+        changesSince: async (tableName, options = {}) => {
+          try {
+            const changes = await _utils.changesSince(tableName, options);
+            return changes;
+          } catch (error) {
+            _utils.handleError(error, 'tables.changesSince');
           }
         },
         /**
-         * Updates all records in table `tableName` matched by `whereClause` (i.e., the provided `WHERE` clause) with values from the `newRecordValuesObj` object.
+         * Returns a watcher that polls table `tableName` for inserted and updated records (and, if enabled, deleted records) and emits an event for every change. The watcher is both an `EventEmitter` and an async iterable, and it relies on a `TIMESTAMP` field that is set when a record is inserted and when it is updated (i.e., with `OnInsert` and `OnUpdate` set).
+         *
+         * Once started, the watcher loads the key and timestamp of every record already in the table (no events are emitted for them) and emits `ready`. Every `interval` milliseconds, it then requests the records whose timestamp is at or after the latest timestamp seen so far (sorted by timestamp) and emits `insert` for records with an unknown key and `update` for known records whose timestamp changed. Since the records endpoints cannot report deletions, deleted records are detected (if `detectDeletes` is `true`) by requesting the keys of every record every `deleteInterval` milliseconds and emitting `delete` for every known key that is gone.
+         *
+         * Events: `ready`, `insert` (with the inserted record), `update` (with the updated record), `delete` (with an object holding the key of the deleted record), `change` (with `{ type, record }` for every insert, update, and delete), `error` (with a `CaspioError`), and `close`. Polling continues after a failed poll, but the watcher closes if its fields do not match the table's definition or the records already in the table cannot be loaded. Errors are logged through the client's logger while no `error` listener is attached. Iterating over the watcher (e.g., with `for await...of`) yields `{ type, record }` objects; the iterator throws the first error, and breaking out of the loop closes the watcher. Call `close` to stop watching.
          *
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {Object} options Options
+         * @param {string} options.timestampField Name of the `TIMESTAMP` field set when a record is inserted or updated
+         * @param {string} [options.keyField] Name of the field that identifies a record (defaults to the table's `AUTONUMBER`, `PREFIXED AUTONUMBER`, `GUID`, or `RANDOM ID` field)
+         * @param {number} [options.interval=30000] Number of milliseconds between polls
+         * @param {boolean} [options.detectDeletes=false] Whether to detect deleted records (by comparing the keys of every record with the known keys)
+         * @param {number} [options.deleteInterval] Number of milliseconds between checks for deleted records (defaults to ten times `interval`)
+         * @returns {TableWatcher} Watcher (an `EventEmitter` and async iterable with a `close` method)
+         * @since 1.1.0
+         * @example
+         * // notify subscribers whenever a physician is added, updated, or removed
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * const watcher = caspio.tables.watch('Demo_Physicians', {
+         *   timestampField: 'Last_Modified',
+         *   keyField: 'NPI',
+         *   interval: 60000,
+         *   detectDeletes: true,
+         * });
+         * watcher.on('insert', (record) => notify(`New physician: ${record.First_Name} ${record.Last_Name}`));
+         * watcher.on('update', (record) => notify(`Updated physician: ${record.NPI}`));
+         * watcher.on('delete', ({ NPI }) => notify(`Removed physician: ${NPI}`));
+         * watcher.on('error', (error) => console.error(error.message));
+         *
+         * // or, equivalently, iterate over the changes
+         * async function watchPhysicians() {
+         *   for await (const { type, record } of caspio.tables.watch('Demo_Physicians', { timestampField: 'Last_Modified' })) {
+         *     console.log(type, record);
+         *   }
+         * }
+         *
+         * watchPhysicians();
+         *
+         * // sample output
+         * // insert { NPI: '1003000126', First_Name: 'Ardalan', ..., Last_Modified: '2022-02-22T08:30:57' }
+         * // update { NPI: '1003000134', First_Name: 'Maryam', ..., Last_Modified: '2022-02-22T08:31:12' }
+         */
+        watch: (tableName, options = {}) => {
+          try {
+            return _utils.watchTable(tableName, options);
+          } catch (error) {
+            _utils.handleError(error, 'tables.watch');
+          }
+        },
+        /**
+         * Updates all records in table `tableName` matched by `whereClause` (i.e., the provided `WHERE` clause) with values from the `newRecordValuesObj` object. If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list in `whereClause` (e.g., thousands of IDs), then the list is split across several requests and `recordsAffected` is their sum (split requests are not atomic: if one fails, the records affected by the earlier ones stay as they are, and the error reports their `recordsAffected`); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you).
          * @param {object} newRecordValuesObj Object with key-value pairs in the form `<fieldName>:<updatedFieldValue>`; that is, any provided key should match a field's `Name` to be updated and the key's value should be the *updated* value for that field (e.g., `{ "First_Name": "Updated First Name", "Last_Name": "Updated Last Name" }`).
          *
          * **Note (warnings about updating a record's list field values):** If you are trying to update the values for a record's `ListField` property (i.e., when a record's field has a `Type` of `LIST-STRING|NUMBER|DATE/TIME`), then be aware that you may be in for a world of pain (read: not recommended). Why?
@@ -2108,8 +2239,11 @@ function apiWrapper(credentials) {
          * Fourth (as if you needed another reason to avoid updating values in list fields), if `{ 'rows': true }` is specified on the request while updating list field values *only*, then Caspio's servers throw a 500 error. The reason *why* is not entirely clear. This is also obviously a bug.
          *
          * The whole thing is janky as hell and thus not recommended unless you really know what you're doing (even then you might get unlucky).
+         *
+         * Alternatively, create the client with the `codec` option enabled (i.e., `require('caspio-sdk')(caspioCredentials, { codec: true })`), in which case list values are provided as the list items themselves (e.g., `ListField: [ "Dog", "Frog" ]`) and translated to their indexes for you, dates may be provided as `Date` objects, and returned records hold native JavaScript values (see `tables.codec`).
          * @param {object} [options={ 'rows': false }] The `options` object currently only supports the `rows` option. If no object is provided, then `{ 'rows': false }` is taken as the default value. If an `options` object is provided with a `rows` property value of `true`, then the records updated by the query are returned in the response object as the value for the `updatedRecords` property; otherwise, the response object does not have an `updatedRecords` property and no updated records are returned.
          * @param {boolean} [options.rows=false]
+         * @param {boolean} [options.validate] Whether to check `newRecordValuesObj` against the table's definition (which is fetched once per client and cached) before the records are updated; defaults to the client's `validate` option (i.e., `require('caspio-sdk')(caspioCredentials, { validate: true })`). Values of unknown, read-only (e.g., `AUTONUMBER` and `TIMESTAMP`), formula, and `PASSWORD` fields, values that do not match the type, length, or list indexes of their field, and values of `Unique` fields that another record already holds (or that would be given to more than one matched record) are all reported at once by a `CaspioValidationError` whose `violations` property lists them by field, and no update is sent.
          * @returns {Promise<{status: 200, statusText: 'OK', message: string, recordsAffected: number}|{status: 200, statusText: 'OK', message: string, recordsAffected: number, updatedRecords: Array.<Object>}>} Object with information about the attempted update of the records matched by the `WHERE` clause (i.e., `status`, `statusText`, `message`, `recordsAffected`, and `updatedRecords` if the `options` argument was passed as `{ 'rows': true }`)
          * @since 1.0.0
          * @example
@@ -2147,40 +2281,34 @@ function apiWrapper(credentials) {
          * }
          */
         updateRecords: async (tableName, whereClause, newRecordValuesObj, options = { rows: false }) => {
-          const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-          if (typeof processedWhereClause === 'string') {
-            try {
-              if (!Object.prototype.hasOwnProperty.call(options, 'rows')) {
-                throw new Error('The fourth argument to the updateRecords function must be an object with a \'rows\' property. If the \'rows\' property value is the boolean true, then the updated records are returned; otherwise, the returned records are not returned.');
-              }
-              const responseClause = options.rows ? 'rows' : '';
-              const theReq = await axios({
-                method: 'put',
-                url: `${baseURL}/v2/tables/${tableName}/records?q.where=${processedWhereClause}&response=${responseClause}`,
-                headers: caspioHeaders,
-                data: newRecordValuesObj,
-              });
-              console.log(theReq);
-              const { status, statusText, data: { RecordsAffected: recordsAffected, Result: updatedRecords } } = theReq;
-              const message = `${recordsAffected} record(s) affected. Note: If the number of affected records is higher than expected, then be sure to check any triggered actions associated with the '${tableName}' table, which can cause various records in other tables to be affected.`;
-              let responseObj;
-              if (updatedRecords.length > 0) {
-                responseObj = {
-                  status, statusText, message, recordsAffected, updatedRecords,
-                };
-              } else {
-                responseObj = {
-                  status, statusText, message, recordsAffected,
-                };
-              }
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
+          try {
+            if (!Object.prototype.hasOwnProperty.call(options, 'rows')) {
+              throw new CaspioValidationError('The fourth argument to the updateRecords function must be an object with a \'rows\' property. If the \'rows\' property value is the boolean true, then the updated records are returned; otherwise, the returned records are not returned.');
+            }
+            await _utils.validateRecord(tableName, newRecordValuesObj, { validate: options.validate, whereClause, method: 'tables.updateRecords' });
+            const responseClause = options.rows ? 'rows' : '';
+            const recordValues = await _utils.encodeRecord(tableName, newRecordValuesObj);
+            const theReq = await _utils.requestInWhereChunks(whereClause, (processedWhereClause) => ({
+              method: 'put',
+              url: `/v2/tables/${tableName}/records?q.where=${processedWhereClause}&response=${responseClause}`,
+              data: recordValues,
+            }));
+            const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
+            const updatedRecords = await _utils.decodeRecords(tableName, theReq.data.Result);
+            const message = `${recordsAffected} record(s) affected. Note: If the number of affected records is higher than expected, then be sure to check any triggered actions associated with the '${tableName}' table, which can cause various records in other tables to be affected.`;
+            let responseObj;
+            if (updatedRecords.length > 0) {
+              responseObj = {
+                status, statusText, message, recordsAffected, updatedRecords,
+              };
+            } else {
+              responseObj = {
+                status, statusText, message, recordsAffected,
+              };
             }
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'tables.updateRecords');
           }
         },
         /**
@@ -2197,8 +2325,12 @@ function apiWrapper(credentials) {
          * Second, if you happen to specify an index value that does not currently exist in a list field's definition, then you'll get something like the following `400` error: `"Cannot perform operation because the value doesn't match the data type of the following field(s): <field-name>"`.
          *
          * The whole thing is janky as hell and thus not recommended unless you really know what you're doing (even then you might get unlucky).
+         *
+         * Alternatively, create the client with the `codec` option enabled (i.e., `require('caspio-sdk')(caspioCredentials, { codec: true })`), in which case list values are provided as the list items themselves (e.g., `ListField: [ "Dog", "Frog" ]`) and translated to their indexes for you, dates may be provided as `Date` objects, and returned records hold native JavaScript values (see `tables.codec`).
          * @param {object} [options={ 'row': false }] The `options` object currently only supports the `row` option. If no object is provided, then `{ 'row': false }` is taken as the default value. If an `options` object is provided with a `row` property value of `true`, then the record created by the query is returned in the response object as the value for the `createdRecord` property; otherwise, the response object does not have a `createdRecord` property and no created record is returned.
          * @param {boolean} [options.row=false]
+         * @param {boolean} [options.retry=false] Whether to retry the request after a transient failure according to the client's `retry` option (see the README). Since the record may have been created if Caspio received the original request, retrying may create a duplicate, so only opt in if a duplicate is harmless or prevented (e.g., by a `Unique` field).
+         * @param {boolean} [options.validate] Whether to check `recordValuesObj` against the table's definition (which is fetched once per client and cached) before the record is created; defaults to the client's `validate` option (i.e., `require('caspio-sdk')(caspioCredentials, { validate: true })`). Values of unknown, read-only (e.g., `AUTONUMBER` and `TIMESTAMP`), formula, and `PASSWORD` fields, values that do not match the type, length, or list indexes of their field, and values of `Unique` fields that another record already holds are all reported at once by a `CaspioValidationError` whose `violations` property lists them by field, and no record is created.
          * @returns {Promise<{status: 201, statusText: 'Created', message: string}|{status: 201, statusText: 'Created', message: string, createdRecord: object}>} Object with information about the attempted creation of the provided record (i.e., `status`, `statusText`, `message`, and `createdRecord` if the `options` argument was passed as `{ 'row': true }`)
          * @since 1.0.0
          * @example
@@ -2235,21 +2367,22 @@ function apiWrapper(credentials) {
         createRecord: async (tableName, recordValuesObj, options = { row: false }) => {
           try {
             if (!Object.prototype.hasOwnProperty.call(options, 'row')) {
-              throw new Error('The third argument to the createRecord function must be an object with a \'row\' property. If the \'row\' property value is the boolean true, then the created record is returned; otherwise, the created record is not returned.');
+              throw new CaspioValidationError('The third argument to the createRecord function must be an object with a \'row\' property. If the \'row\' property value is the boolean true, then the created record is returned; otherwise, the created record is not returned.');
             }
+            await _utils.validateRecord(tableName, recordValuesObj, { validate: options.validate, method: 'tables.createRecord' });
             const responseClause = options.row ? 'rows' : '';
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/tables/${tableName}/records?response=${responseClause}`,
-              headers: caspioHeaders,
-              data: recordValuesObj,
+              url: `/v2/tables/${tableName}/records?response=${responseClause}`,
+              data: await _utils.encodeRecord(tableName, recordValuesObj),
+              retry: options.retry === true,
             });
             const { status, statusText, data: { Result: newRecordArr } } = theReq;
             const message = `Record successfully created in '${tableName}' table.`;
             let responseObj;
             if (newRecordArr) {
               // a maximum of 1 record is ever returned
-              const createdRecord = newRecordArr[0];
+              const [createdRecord] = await _utils.decodeRecords(tableName, newRecordArr);
               responseObj = {
                 status, statusText, message, createdRecord,
               };
@@ -2258,19 +2391,137 @@ function apiWrapper(credentials) {
             }
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tables.createRecord');
+          }
+        },
+        /**
+         * Inserts many records into table `tableName` (one record per request, with up to `concurrency` requests in flight) and reports the outcome of every row. Rows may be provided as an array, any (async) iterable, or an object-mode readable stream (e.g., a parsed CSV file); they are read lazily, so large sources are never held in memory at once.
+         *
+         * Before it is sent, every row is checked against the table's definition (which is fetched once per client and cached): rows with values for fields the table does not have or for fields whose values cannot be set (e.g., `AUTONUMBER`, `TIMESTAMP`, formula, and `PASSWORD` fields), and values that do not match the type, length, or list indexes of their field (as checked by the `validate` option of `createRecord`, except for the lookup of `Unique` values), fail without a request and with every violation listed by the `violations` property of their error. Requests go through the client's retry policy and rate limiter like any other request.
+         *
+         * Failed rows do not reject the returned promise: they are listed in the report with their index in the input and Caspio's error message. Unless `continueOnError` is `true`, no further rows are read once a row fails (rows already in flight are completed). If reading the rows fails (e.g., the source stream emits an error), then no further rows are read either, the rows already in flight are completed, and the report holds the error as `sourceError`.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {(Array<Object>|Iterable<Object>|AsyncIterable<Object>|Readable)} rows Rows to insert, each an object with key-value pairs in the form `<fieldName>:<fieldValue>` (see `createRecord`)
+         * @param {Object} [options={}] Options
+         * @param {number} [options.concurrency=4] Maximum number of insert requests in flight
+         * @param {boolean} [options.continueOnError=false] Whether to keep inserting rows after a row fails
+         * @param {function({processed: number, inserted: number, failed: number}): void} [options.onProgress] Function called after every row with the number of rows processed, inserted, and failed so far
+         * @param {boolean} [options.rows=false] Whether to return the created records (as the `createdRecord` property of each success)
+         * @returns {Promise<{message: string, completed: boolean, processed: number, inserted: number, failed: number, successes: Array.<{index: number, createdRecord: Object}>, failures: Array.<{index: number, row: Object, message: string, error: CaspioError}>, sourceError: (CaspioError|null)}>} Report of the insertion: whether every row was processed (i.e., `completed`), the number of rows processed, inserted, and failed, the successes and failures (sorted by the index of their row in the input), and the error of the source of the rows (i.e., `sourceError`, which is `null` unless reading the rows failed)
+         * @since 1.1.0
+         * @example
+         * // insert every user parsed from a CSV file into the 'Demo_Users' table
+         * // (e.g., with csv-parse), 8 records at a time
+         * const fs = require('fs');
+         * const { parse } = require('csv-parse');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function importUsers() {
+         *   const rows = fs.createReadStream('users.csv').pipe(parse({ columns: true }));
+         *   const report = await caspio.tables.bulkInsert('Demo_Users', rows, {
+         *     concurrency: 8,
+         *     continueOnError: true,
+         *     onProgress: ({ processed, failed }) => console.log(`${processed} rows processed (${failed} failed)`),
+         *   });
+         *   console.log(report);
+         *   return report;
+         * }
+         *
+         * importUsers();
+         *
+         * // sample return value
+         * {
+         *   message: "49998 of 50000 row(s) successfully inserted into the 'Demo_Users' table.",
+         *   completed: true,
+         *   processed: 50000,
+         *   inserted: 49998,
+         *   failed: 2,
+         *   successes: [ { index: 0 }, { index: 1 }, ... ],
+         *   failures: [
+         *     {
+         *       index: 17,
+         *       row: { Name: 'Osment', Email: 'Osment@google.com', Role: 'Admin', Nickname: 'Oz' },
+         *       message: "Row 17 cannot be inserted into the 'Demo_Users' table: 'Nickname' is not a field of the table.",
+         *       error: CaspioValidationError { ... }
+         *     },
+         *     {
+         *       index: 4210,
+         *       row: { Name: 'Edd', Email: 'Edd36@yahoo.com', Role: 'Editor' },
+         *       message: 'Cannot perform operation because the following field(s) must be unique: Email',
+         *       error: CaspioValidationError { ... }
+         *     }
+         *   ],
+         *   sourceError: null
+         * }
+         */
+        bulkInsert: async (tableName, rows, options = {}) => {
+          try {
+            const report = await _utils.bulkInsert(tableName, rows, options);
+            return report;
+          } catch (error) {
+            _utils.handleError(error, 'tables.bulkInsert');
           }
         },
         /**
-         * Deletes all records from table `tableName` that match `whereClause` (i.e., the provided `WHERE` clause).
+         * Inserts or updates records of table `tableName` by natural key (i.e., `keyFields`): rows whose key does not match any record are inserted, and the records matched by the keys of the other rows are updated. Only the fields whose values actually changed are updated, and matched records whose values are all unchanged are not updated at all.
+         *
+         * Rows are processed one batch at a time: the keys of a batch are looked up with a single query (i.e., one `IN` list per key field, split across several requests if the request URI would be too long), after which the inserts and updates of the batch are sent with up to `concurrency` requests in flight. This costs far fewer requests than looking up every row separately, but it is not atomic: a record inserted or deleted by someone else between the lookup and the write of its row may cause the row to fail (e.g., because of a unique field) or to be inserted again.
+         *
+         * Every row is checked against the table's definition before it is sent (see `bulkInsert`). A row fails without a request if it has no value for a key field, if its key was already provided by an earlier row, or if its key matches more than one record. If the keys of a batch cannot be looked up, then every row of the batch fails with the error of the lookup and the next batch is upserted. Failed rows do not reject the returned promise: they are listed in the report with their index in the input and Caspio's error message.
          *
          * @memberOf Tables
          * @param {string} tableName Name of table (case-insensitive)
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {(Array<Object>|Iterable<Object>|AsyncIterable<Object>|Readable)} rows Rows to insert or update, each an object with key-value pairs in the form `<fieldName>:<fieldValue>` that includes the values of the key fields
+         * @param {Object} options Options
+         * @param {(string|Array<string>)} options.keyFields Names of the fields that together identify a record (e.g., `['NPI']`); keys are compared the way Caspio compares values (e.g., strings are compared case-insensitively)
+         * @param {number} [options.batchSize=100] Number of rows whose keys are looked up at once
+         * @param {number} [options.concurrency=4] Maximum number of insert and update requests in flight
+         * @returns {Promise<{message: string, processed: number, inserted: number, updated: number, unchanged: number, failed: number, failures: Array.<{index: number, row: Object, message: string, error: CaspioError}>}>} Report of the upsert: the number of rows processed, inserted, updated, unchanged, and failed, and the failures (sorted by the index of their row in the input)
+         * @since 1.1.0
+         * @example
+         * // insert or update physicians by their NPI number
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function syncPhysicians() {
+         *   const physicians = [
+         *     { NPI: '1003000126', First_Name: 'Ardalan', Last_Name: 'Enkeshafi', Office_State: 'MD' },
+         *     { NPI: '1003000134', First_Name: 'Maryam', Last_Name: 'Ghandehari', Office_State: 'VA' },
+         *     { NPI: '1003000142', First_Name: 'Khalid', Last_Name: 'Hakim', Office_State: 'OH' },
+         *   ];
+         *   const report = await caspio.tables.upsert('Demo_Physicians', physicians, { keyFields: ['NPI'] });
+         *   console.log(report);
+         *   return report;
+         * }
+         *
+         * syncPhysicians();
+         *
+         * // sample return value
+         * {
+         *   message: "1 row(s) inserted, 1 row(s) updated, and 1 row(s) unchanged in the 'Demo_Physicians' table (0 of 3 row(s) failed).",
+         *   processed: 3,
+         *   inserted: 1,
+         *   updated: 1,
+         *   unchanged: 1,
+         *   failed: 0,
+         *   failures: []
+         * }
+         */
+        upsert: async (tableName, rows, options = {}) => {
+          try {
+            const report = await _utils.upsert(tableName, rows, options);
+            return report;
+          } catch (error) {
+            _utils.handleError(error, 'tables.upsert');
+          }
+        },
+        /**
+         * Deletes all records from table `tableName` that match `whereClause` (i.e., the provided `WHERE` clause). If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list in `whereClause` (e.g., thousands of IDs), then the list is split across several requests and `recordsAffected` is their sum (split requests are not atomic: if one fails, the records affected by the earlier ones stay as they are, and the error reports their `recordsAffected`); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
+         *
+         * @memberOf Tables
+         * @param {string} tableName Name of table (case-insensitive)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you).
          * @returns {Promise<{status: 200, statusText: 'OK', message: string, recordsAffected: number}>} Object with information about the attempted deletion of the records matched by the `WHERE` clause (i.e., `status`, `statusText`, `message`, and `recordsAffected`)
          * @since 1.0.0
          * @example
@@ -2296,27 +2547,19 @@ function apiWrapper(credentials) {
          * }
          */
         deleteRecords: async (tableName, whereClause) => {
-          const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-          if (typeof processedWhereClause === 'string') {
-            try {
-              const theReq = await axios({
-                method: 'delete',
-                url: `${baseURL}/v2/tables/${tableName}/records?q.where=${processedWhereClause}`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
-              const message = `${recordsAffected} record(s) in table '${tableName}' successfully deleted.`;
-              const responseObj = {
-                status, statusText, message, recordsAffected,
-              };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const theReq = await _utils.requestInWhereChunks(whereClause, (processedWhereClause) => ({
+              method: 'delete',
+              url: `/v2/tables/${tableName}/records?q.where=${processedWhereClause}`,
+            }));
+            const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
+            const message = `${recordsAffected} record(s) in table '${tableName}' successfully deleted.`;
+            const responseObj = {
+              status, statusText, message, recordsAffected,
+            };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'tables.deleteRecords');
           }
         },
       },
@@ -2355,18 +2598,13 @@ function apiWrapper(credentials) {
          */
         listing: async () => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/views`,
-              headers: caspioHeaders,
+              url: '/v2/views',
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'views.listing');
           }
         },
         /**
@@ -2394,18 +2632,13 @@ function apiWrapper(credentials) {
          */
         description: async (viewName) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/views/${viewName}`,
-              headers: caspioHeaders,
+              url: `/v2/views/${viewName}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'views.description');
           }
         },
         /**
@@ -2431,7 +2664,7 @@ function apiWrapper(credentials) {
          * The possibilities are endless--there are numerous possibilities with which to experiment.
          *
          * **Note:** If you want to use a view in a correlated subquery as shown above, then be sure to add a prefix of `_v_` to the view name, as specified in Caspio's documentation on [calculations in reports](https://howto.caspio.com/datapages/reports/advanced-reporting/calculations-in-forms-and-reports/).
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
          * @param {number} [selectionCriteriaObj.limit=100] Specifies the maximum number of records to be returned. Maximum possible value of `1000` with a default value of `100`. Skipped if either `pageNumber` or `pageSize` has been specified.
@@ -2496,23 +2729,16 @@ function apiWrapper(credentials) {
          * ]
          */
         getRecordsPaginated: async (viewName, selectionCriteriaObj = {}) => {
-          const queryString = _utils.criteriaQueryBuilderPaginated(selectionCriteriaObj);
-          if (queryString) {
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/views/${viewName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-              const resultSet = theReq.data.Result;
-              return resultSet;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const queryString = _utils.criteriaQueryBuilderPaginated(selectionCriteriaObj);
+            const theReq = await _utils.http({
+              method: 'get',
+              url: `/v2/views/${viewName}/records${queryString}`,
+            });
+            const resultSet = theReq.data.Result;
+            return resultSet;
+          } catch (error) {
+            _utils.handleError(error, 'views.getRecordsPaginated');
           }
         },
         /**
@@ -2540,7 +2766,7 @@ function apiWrapper(credentials) {
          * The possibilities are endless--there are numerous possibilities with which to experiment.
          *
          * **Note:** If you want to use a view in a correlated subquery as shown above, then be sure to add a prefix of `_v_` to the view name, as specified in Caspio's documentation on [calculations in reports](https://howto.caspio.com/datapages/reports/advanced-reporting/calculations-in-forms-and-reports/).
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively. If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list (e.g., thousands of IDs), then the list is split across several requests whose results are merged (queries with a `GROUP BY` clause or aggregates such as `COUNT(*)` cannot be split); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
          * @returns {Promise<Array.<Object>>} An array of objects representing the records retrieved from the specified view (i.e., `viewName`) that were obtained by the query provided (i.e., `selectionCriteriaObj`).
@@ -2601,53 +2827,44 @@ function apiWrapper(credentials) {
          * ]
          */
         getRecords: async (viewName, selectionCriteriaObj = {}) => {
-          const queryObj = { ...selectionCriteriaObj };
-          queryObj.limit = 1000;
-          delete queryObj.pageNumber;
-          delete queryObj.pageSize;
-          const queryString = _utils.criteriaQueryBuilder(queryObj);
-          if (queryString) {
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/views/${viewName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-              const resultSet = theReq.data.Result;
-
-              if (resultSet.length < 1000) {
-                return resultSet;
-              }
-              let stillQueryAPI = true;
-              // ensure all records are retrieved by overriding any value set for pageNumber query parameter
-              queryObj.pageNumber = 1;
-              queryObj.pageSize = 1000;
-              let allRecords = [];
-              while (stillQueryAPI) {
-                const queryString = _utils.criteriaQueryBuilder(queryObj);
-                const singleRequest = await axios({
-                  method: 'get',
-                  url: `${baseURL}/v2/views/${viewName}/records${queryString}`,
-                  headers: caspioHeaders,
-                });
-                const retrievedRecords = singleRequest.data.Result;
-                if (retrievedRecords.length === 0) {
-                  stillQueryAPI = !stillQueryAPI;
-                } else {
-                  allRecords = [...allRecords, ...retrievedRecords];
-                  queryObj.pageNumber++;
-                }
-              }
-              return allRecords;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const allRecords = await _utils.collectRecords(`/v2/views/${viewName}`, selectionCriteriaObj, { method: 'views.getRecords' });
+            return allRecords;
+          } catch (error) {
+            _utils.handleError(error, 'views.getRecords');
           }
         },
+        /**
+         * Returns an async iterable that lazily retrieves *all* records from the view (i.e., `viewName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`). Records are requested one page of `1000` records at a time (the same pagination logic as `getRecords` is used), and the next page is only requested once every record of the current page has been consumed. Breaking out of the loop early stops any further requests.
+         *
+         * Unlike `getRecords`, only a single page of records is held in memory at any one time. Errors (including aborts) are thrown by the iterator regardless of the client's `strict` option.
+         *
+         * @memberOf Views
+         * @param {string} viewName Name of view (case-insensitive)
+         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {Object} [options={}] Iteration options
+         * @param {boolean} [options.pages=false] Whether to yield whole pages (i.e., arrays of up to `1000` records) instead of single records
+         * @param {AbortSignal} [options.signal] Signal that aborts the iteration (including any request in flight)
+         * @returns {AsyncIterable<(Object|Array.<Object>)>} Async iterable of the records (or pages of records) retrieved from the specified view
+         * @since 1.1.0
+         * @example
+         * // process every record from the 'Demo_Physicians_Active' view without holding them all in memory
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function processRecords() {
+         *   const controller = new AbortController();
+         *   const records = caspio.views.iterateRecords('Demo_Physicians_Active', { where: "Office_State = 'MI'" }, { signal: controller.signal });
+         *   for await (const record of records) {
+         *     console.log(record.Email);
+         *     if (record.Email === 'Edd36@yahoo.com') {
+         *       break; // no further pages are requested
+         *     }
+         *   }
+         * }
+         *
+         * processRecords();
+         */
+        iterateRecords: (viewName, selectionCriteriaObj = {}, options = {}) => _utils.iterateRecords(`/v2/views/${viewName}`, selectionCriteriaObj, { ...options, method: 'views.iterateRecords' }),
         /**
          * Streams *all* records from the view (i.e., `viewName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`) to a file (i.e., `filePath`). Pagination is automatically handled to ensure all records matching the provided criteria are streamed to the specified file. Records are streamed in batches of `1000` records (Caspio's rate limit for returning records). Useful when you need to process huge amounts of data but do not want to hold everything in memory.
          *
@@ -2672,10 +2889,10 @@ function apiWrapper(credentials) {
          * The possibilities are endless--there are numerous possibilities with which to experiment.
          *
          * **Note:** If you want to use a view in a correlated subquery as shown above, then be sure to add a prefix of `_v_` to the view name, as specified in Caspio's documentation on [calculations in reports](https://howto.caspio.com/datapages/reports/advanced-reporting/calculations-in-forms-and-reports/).
-         * @param {string} [selectionCriteriaObj.where=''] `WHERE` clause. This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
+         * @param {(string|Filter)} [selectionCriteriaObj.where=''] `WHERE` clause (or a filter built with `require('caspio-sdk').where`). This is used to find the desired records. You may use subqueries in this clause (e.g., `User_ID IN (SELECT ... FROM ... )` among other examples)) as well as `AND`, `OR`, etc. Much power can be leveraged by using this clause effectively.
          * @param {string} [selectionCriteriaObj.groupBy=''] `GROUP BY` clause. Useful for grouping records by specified fields to consequently make aggregate calculations.
          * @param {string} [selectionCriteriaObj.orderBy=''] `ORDER BY` clause. Useful for having SQL Server do the heavy lifting concerning sorting before the response gets transmitted across the wire.
-         * @returns {void} No value is returned
+         * @returns {Promise<void>} Resolves (without a value) once every record has been written to the file
          * @since 1.0.0
          * @example
          * // stream all records from the 'Demo_Physicians_Active' view
@@ -2690,69 +2907,112 @@ function apiWrapper(credentials) {
          *
          * streamViewRecordsToFile();
          *
-         * // no return value
+         * // no return value
+         */
+        getRecordsStreamToFile: async (viewName, filePath, selectionCriteriaObj = {}) => {
+          try {
+            const recordPages = _utils.iterateRecords(`/v2/views/${viewName}`, selectionCriteriaObj, { pages: true, method: 'views.getRecordsStreamToFile' });
+            await pipeline(
+              recordPages,
+              new Transform({
+                objectMode: true,
+                transform(page, encoding, callback) {
+                  _utils.stripPKIDFields(page).forEach((record) => this.push(record));
+                  callback();
+                },
+              }),
+              JSONStream.stringify('[', ',', ']\n'),
+              fs.createWriteStream(filePath),
+            );
+          } catch (error) {
+            _utils.handleError(error, 'views.getRecordsStreamToFile');
+          }
+        },
+        /**
+         * Returns an object-mode `Readable` stream of *all* records from the view (i.e., `viewName`) that satisfy the provided query criteria (i.e., `selectionCriteriaObj`). Pagination is handled automatically, and records are requested one page of `1000` records at a time only as fast as the stream is consumed (i.e., backpressure is respected). This makes it possible to pipe records into your own transforms, HTTP responses, database loaders, etc., without holding every record in memory.
+         *
+         * Errors (including aborts) are emitted on the stream as `'error'` events regardless of the client's `strict` option (they are not logged), and destroying the stream stops any further requests.
+         *
+         * @memberOf Views
+         * @param {string} viewName Name of view (case-insensitive)
+         * @param {Object} [selectionCriteriaObj={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {Object} [options={}] Stream options
+         * @param {number} [options.highWaterMark=1000] Number of records buffered by the stream before backpressure is applied
+         * @param {AbortSignal} [options.signal] Signal that aborts the stream (including any request in flight)
+         * @returns {Readable} Object-mode readable stream of the records retrieved from the specified view
+         * @since 1.1.0
+         * @example
+         * // write every record from the 'Demo_Physicians_Active' view as newline-delimited JSON to an HTTP response
+         * const { Transform, pipeline } = require('stream');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * function sendRecords(res) {
+         *   const toNDJSON = new Transform({
+         *     writableObjectMode: true,
+         *     transform(record, encoding, callback) {
+         *       callback(null, `${JSON.stringify(record)}\n`);
+         *     },
+         *   });
+         *   pipeline(caspio.views.createReadStream('Demo_Physicians_Active'), toNDJSON, res, (error) => {
+         *     if (error) {
+         *       console.error(error);
+         *     }
+         *   });
+         * }
+         */
+        createReadStream: (viewName, selectionCriteriaObj = {}, options = {}) => _utils.createReadStream(`/v2/views/${viewName}`, selectionCriteriaObj, { ...options, method: 'views.createReadStream' }),
+        /**
+         * Exports *all* records from the view (i.e., `viewName`) that satisfy the provided query criteria (i.e., `options.criteria`) to a file (i.e., `destPath`) as CSV, newline-delimited JSON (NDJSON), an Excel workbook (XLSX), or SQL `INSERT` statements. Records are requested one page of `1000` records at a time and written as they arrive, so exports of large views do not hold every record in memory.
+         *
+         * Values are rendered the same way in every format: the `PK_ID` field is left out, values of `LIST-STRING`, `LIST-NUMBER`, and `LIST-DATE/TIME` fields become lists of the selected values (JSON arrays in NDJSON and JSON array text in the other formats), `FILE` fields hold the file's path, `DATE/TIME` values are written as ISO 8601 strings (in XLSX too, since a view has no field definitions to tell date values from text), and `TEXT (64000)` values are written in full.
+         *
+         * **Note (values are never truncated):** An Excel cell holds at most 32,767 characters and a worksheet at most 1,048,575 records. If a record cannot be written to an XLSX file without truncation, then the export fails with a `CaspioValidationError` and the partially written file is removed; export such views as CSV, NDJSON, or SQL instead.
+         *
+         * @memberOf Views
+         * @param {string} viewName Name of view (case-insensitive)
+         * @param {string} destPath Path of file to write to
+         * @param {Object} [options={}] Export options
+         * @param {('csv'|'ndjson'|'xlsx'|'sql')} [options.format] Format of the file (inferred from the extension of `destPath` if not provided: `.csv`, `.ndjson`, `.jsonl`, `.xlsx`, or `.sql`)
+         * @param {Object} [options.criteria={}] Object that specifies the criteria to be used in constructing the query. Valid properties include the following: `select`, `where`, `groupBy`, and `orderBy` (see `getRecords`).
+         * @param {string} [options.delimiter=','] Field delimiter (CSV only)
+         * @param {string} [options.sheetName=viewName] Name of the worksheet (XLSX only)
+         * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} [options.dialect='postgres'] SQL dialect of the `INSERT` statements (SQL only)
+         * @param {string} [options.sqlTableName=viewName] Name of the table the `INSERT` statements insert into (SQL only)
+         * @param {number} [options.batchSize=500] Maximum number of records per `INSERT` statement (SQL only; SQL Server accepts at most `1000`)
+         * @returns {Promise<{format: string, destPath: string, recordsExported: number}>} Object with the format of the file, its path, and the number of records written to it
+         * @since 1.1.0
+         * @example
+         * // export the active physicians in Michigan to an Excel workbook
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function exportMichiganPhysicians() {
+         *   const exportResult = await caspio.views.exportRecords('Demo_Physicians_Active', 'physicians-mi.xlsx', {
+         *     criteria: { where: "Office_State = 'MI'" },
+         *   });
+         *   console.log(exportResult);
+         *   return exportResult;
+         * }
+         *
+         * exportMichiganPhysicians();
+         *
+         * // sample return value
+         * {
+         *   format: 'xlsx',
+         *   destPath: 'physicians-mi.xlsx',
+         *   recordsExported: 42
+         * }
          */
-        getRecordsStreamToFile: async (viewName, filePath, selectionCriteriaObj = {}) => {
-          const queryObj = { ...selectionCriteriaObj };
-          queryObj.limit = 1000;
-          delete queryObj.pageNumber;
-          delete queryObj.pageSize;
-          const queryString = _utils.criteriaQueryBuilder(queryObj);
-          if (queryString) {
-            const eventDataStream = fs.createWriteStream(filePath);
-            const transformStream = JSONStream.stringify('[', ',', ']\n');
-            transformStream.pipe(eventDataStream);
-            try {
-              const theReq = await axios({
-                method: 'get',
-                url: `${baseURL}/v2/views/${viewName}/records${queryString}`,
-                headers: caspioHeaders,
-              });
-
-              let resultSet = theReq.data.Result;
-              if (resultSet.length > 0 && Object.prototype.hasOwnProperty.call(resultSet[0], 'PK_ID')) {
-                resultSet = _utils.stripPKIDFields(resultSet);
-              }
-              
-              if (resultSet.length < 1000) {
-                resultSet.forEach(transformStream.write);
-                transformStream.end();
-              } else {
-                let stillQueryAPI = true;
-                // ensure all records are retrieved by overriding any value set for pageNumber query parameter
-                queryObj.pageNumber = 1;
-                queryObj.pageSize = 1000;
-                while (stillQueryAPI) {
-                  const queryString = _utils.criteriaQueryBuilder(queryObj);
-                  const singleRequest = await axios({
-                    method: 'get',
-                    url: `${baseURL}/v2/views/${viewName}/records${queryString}`,
-                    headers: caspioHeaders,
-                  });
-                  let retrievedRecords = singleRequest.data.Result;
-                  if (retrievedRecords.length === 0) {
-                    stillQueryAPI = !stillQueryAPI;
-                  } else {
-                    if (Object.prototype.hasOwnProperty.call(retrievedRecords[0], 'PK_ID')) {
-                      retrievedRecords = _utils.stripPKIDFields(retrievedRecords);
-                    }
-                    retrievedRecords.forEach(transformStream.write);
-                    queryObj.pageNumber++;
-                  }
-                }
-                transformStream.end();
-              }
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+        exportRecords: async (viewName, destPath, options = {}) => {
+          try {
+            const { criteria = {}, sqlTableName = viewName, ...exportOptions } = options;
+            const recordPages = _utils.iterateRecords(`/v2/views/${viewName}`, criteria, { pages: true, method: 'views.exportRecords' });
+            return await _utils.exportRecords(recordPages, destPath, { ...exportOptions, tableName: sqlTableName, sheetName: exportOptions.sheetName || viewName });
+          } catch (error) {
+            _utils.handleError(error, 'views.exportRecords');
           }
         },
         /**
-         * Updates all records in view `viewName` that match the provided `WHERE` clause. This method is generally *not* recommended due to the notes that follow. Directly updating records in a *table* should always be the preferred route since updating records in a view ultimately results in updating records in a single underlying table.
+         * Updates all records in view `viewName` that match the provided `WHERE` clause. This method is generally *not* recommended due to the notes that follow. Directly updating records in a *table* should always be the preferred route since updating records in a view ultimately results in updating records in a single underlying table. If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list in `whereClause` (e.g., thousands of IDs), then the list is split across several requests and `recordsAffected` is their sum (split requests are not atomic: if one fails, the records affected by the earlier ones stay as they are, and the error reports their `recordsAffected`); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
          *
          * **Note 1 (required conditions for updating view records):** Records may only be updated in a view if the view itself only contains a single table or if a particular table in the view has been specified as *editable* within the view's configuration. This can be done by selecting a table under the *"Do you need to edit data using this View?"* question when editing a view within Caspio.
          *
@@ -2760,7 +3020,7 @@ function apiWrapper(credentials) {
          *
          * @memberOf Views
          * @param {string} viewName Name of view (case-insensitive)
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you).
          * @param {object} newRecordValuesObj Object with key-value pairs in the form `<fieldName>:<updatedFieldValue>`; that is, any provided key should match a field's `Name` to be updated and the key's value should be the *updated* value for that field (e.g., `{ "First_Name": "Updated First Name", "Last_Name": "Updated Last Name" }`).
          * @param {object} [options={ 'rows': '' }] The `options` object currently only supports the `rows` option. If no object is provided, then `{ 'rows': false }` is taken as the default value. If an `options` object is provided with a `rows` property value of `true`, then the records updated by the query are returned in the response object as the value for the `updatedRecords` property; otherwise, the response object does not have an `updatedRecords` property and no updated records are returned.
          * @param {boolean} [options.rows=false]
@@ -2828,37 +3088,29 @@ function apiWrapper(credentials) {
         updateRecords: async (viewName, whereClause, newRecordValuesObj, options = { rows: false }) => {
           try {
             if (!Object.prototype.hasOwnProperty.call(options, 'rows')) {
-              throw new Error('The fourth argument to the updateRecords function must be an object with a \'rows\' property. If the \'rows\' property value is the boolean true, then the updated records are returned; otherwise, the updated records are not returned.');
+              throw new CaspioValidationError('The fourth argument to the updateRecords function must be an object with a \'rows\' property. If the \'rows\' property value is the boolean true, then the updated records are returned; otherwise, the updated records are not returned.');
             }
             const responseClause = options.rows ? 'rows' : '';
-            const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-            if (typeof processedWhereClause === 'string') {
-              const theReq = await axios({
-                method: 'put',
-                url: `${baseURL}/v2/views/${viewName}/records?q.where=${processedWhereClause}&response=${responseClause}`,
-                headers: caspioHeaders,
-                data: newRecordValuesObj,
-              });
-              const { status, statusText, data: { RecordsAffected: recordsAffected, Result: updatedRecords } } = theReq;
-              const message = `${recordsAffected} record(s) affected.`;
-              let responseObj;
-              if (updatedRecords.length > 0) {
-                responseObj = {
-                  status, statusText, message, recordsAffected, updatedRecords,
-                };
-              } else {
-                responseObj = {
-                  status, statusText, message, recordsAffected,
-                };
-              }
-              return responseObj;
-            }
-          } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
+            const theReq = await _utils.requestInWhereChunks(whereClause, (processedWhereClause) => ({
+              method: 'put',
+              url: `/v2/views/${viewName}/records?q.where=${processedWhereClause}&response=${responseClause}`,
+              data: newRecordValuesObj,
+            }));
+            const { status, statusText, data: { RecordsAffected: recordsAffected, Result: updatedRecords } } = theReq;
+            const message = `${recordsAffected} record(s) affected.`;
+            let responseObj;
+            if (updatedRecords.length > 0) {
+              responseObj = {
+                status, statusText, message, recordsAffected, updatedRecords,
+              };
             } else {
-              console.error(error);
+              responseObj = {
+                status, statusText, message, recordsAffected,
+              };
             }
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'views.updateRecords');
           }
         },
         /**
@@ -2948,13 +3200,12 @@ function apiWrapper(credentials) {
         createRecord: async (viewName, recordValuesObj, options = { row: false }) => {
           try {
             if (!Object.prototype.hasOwnProperty.call(options, 'row')) {
-              throw new Error('The third argument to the createRecord function must be an object with a \'row\' property. If the \'row\' property value is the boolean true, then the created record is returned; otherwise, the created record is not returned.');
+              throw new CaspioValidationError('The third argument to the createRecord function must be an object with a \'row\' property. If the \'row\' property value is the boolean true, then the created record is returned; otherwise, the created record is not returned.');
             }
             const responseClause = options.row ? 'rows' : '';
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/views/${viewName}/records?response=${responseClause}`,
-              headers: caspioHeaders,
+              url: `/v2/views/${viewName}/records?response=${responseClause}`,
               data: recordValuesObj,
             });
             const { status, statusText, data: { Result: newRecordArr } } = theReq;
@@ -2971,21 +3222,17 @@ function apiWrapper(credentials) {
             }
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'views.createRecord');
           }
         },
         /**
-         * Deletes all records from `viewName` matched by `whereClause` (i.e., the provided `WHERE` clause). This method is generally not recommended due to the notes that follow. Directly deleting records in a *table* should always be the preferred route since deleting records in a view ultimately results in deleting records from a single underlying table.
+         * Deletes all records from `viewName` matched by `whereClause` (i.e., the provided `WHERE` clause). This method is generally not recommended due to the notes that follow. Directly deleting records in a *table* should always be the preferred route since deleting records in a view ultimately results in deleting records from a single underlying table. If the request URI would exceed the 2047 characters Caspio accepts because of a long `IN` list in `whereClause` (e.g., thousands of IDs), then the list is split across several requests and `recordsAffected` is their sum (split requests are not atomic: if one fails, the records affected by the earlier ones stay as they are, and the error reports their `recordsAffected`); otherwise, a `CaspioUriTooLongError` is thrown before any request is sent.
          *
          * **Note (required conditions for deleting a record from a view):** Records may only be deleted in a view if the view itself only contains a single table or if a particular table in the view has been specified as *editable* within the view's configuration. This can be done by selecting a table under the *"Do you need to edit data using this View?"* question when editing a view within Caspio.
          *
          * @memberOf Views
          * @param {string} viewName Name of view (case-insensitive)
-         * @param {string} whereClause `WHERE` clause (i.e., query to match records to be affected)
+         * @param {(string|Filter)} whereClause `WHERE` clause (i.e., query to match records to be affected) or a filter built with `require('caspio-sdk').where` (whose values are escaped for you).
          * @returns {Promise<{status: 200, statusText: 'OK', message: string, recordsAffected: number}>} Object with information about the attempted deletion of the records matched by the `WHERE` clause (i.e., `status`, `statusText`, `message`, and `recordsAffected`)
          * @since 1.0.0
          * @example
@@ -3012,27 +3259,19 @@ function apiWrapper(credentials) {
          * }
          */
         deleteRecords: async (viewName, whereClause) => {
-          const processedWhereClause = _utils.whereClauseBuilder(whereClause);
-          if (typeof processedWhereClause === 'string') {
-            try {
-              const theReq = await axios({
-                method: 'delete',
-                url: `${baseURL}/v2/views/${viewName}/records?q.where=${processedWhereClause}`,
-                headers: caspioHeaders,
-              });
-              const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
-              const message = `${recordsAffected} record(s) successfully deleted.`;
-              const responseObj = {
-                status, statusText, message, recordsAffected,
-              };
-              return responseObj;
-            } catch (error) {
-              if (axios.isAxiosError(error)) {
-                _utils.axiosErrorHandler(error);
-              } else {
-                console.error(error);
-              }
-            }
+          try {
+            const theReq = await _utils.requestInWhereChunks(whereClause, (processedWhereClause) => ({
+              method: 'delete',
+              url: `/v2/views/${viewName}/records?q.where=${processedWhereClause}`,
+            }));
+            const { status, statusText, data: { RecordsAffected: recordsAffected } } = theReq;
+            const message = `${recordsAffected} record(s) successfully deleted.`;
+            const responseObj = {
+              status, statusText, message, recordsAffected,
+            };
+            return responseObj;
+          } catch (error) {
+            _utils.handleError(error, 'views.deleteRecords');
           }
         },
       },
@@ -3101,7 +3340,7 @@ function apiWrapper(credentials) {
             const metadata = await _utils.fileOrDirectoryMetadata(resourcePath, options);
             return metadata;
           } catch (error) {
-            console.error(error);
+            _utils.handleError(error, 'files.metadataByPath');
           }
         },
         /**
@@ -3161,18 +3400,13 @@ function apiWrapper(credentials) {
          */
         metadataByKey: async (externalKey = '') => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/files?externalKey=${externalKey}`,
-              headers: caspioHeaders,
+              url: `/v2/files?externalKey=${externalKey}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.metadataByKey');
           }
         },
         /**
@@ -3234,32 +3468,27 @@ function apiWrapper(credentials) {
          */
         uploadOverwriteByPath: async (srcFilePath, destDirPath = '', newFileNameNoExt = '') => {
           try {
-            let destDir;
             let destDirKey;
             if (destDirPath === '' || destDirPath === '/') {
               destDirKey = '';
             } else {
-              destDir = await _utils.fileOrDirectoryMetadata(destDirPath, { resourceType: 'd' });
-              if (destDir) {
-                destDirKey = destDir.ExternalKey;
-              } else {
-                return false;
-              }
+              const destDir = await _utils.fileOrDirectoryMetadata(destDirPath, { resourceType: 'd' });
+              destDirKey = destDir.ExternalKey;
             }
-            const formWithFile = new FormData({ maxDataSize: Infinity });
             let filename = path.basename(srcFilePath);
             if (newFileNameNoExt) {
               filename = newFileNameNoExt + path.extname(srcFilePath);
             }
-            formWithFile.append('file', fs.createReadStream(srcFilePath), { filename });
-            const headersFromForm = formWithFile.getHeaders();
-            const caspioHeadersCopy = { ...caspioHeaders };
-            const updatedCaspioHeaders = Object.assign(caspioHeadersCopy, headersFromForm);
-            const theReq = await axios({
+            // the form is rebuilt (i.e., the file is read anew) each time the request is sent so that it may be replayed
+            const buildForm = () => {
+              const formWithFile = new FormData({ maxDataSize: Infinity });
+              formWithFile.append('file', fs.createReadStream(srcFilePath), { filename });
+              return formWithFile;
+            };
+            const theReq = await _utils.http({
               method: 'put',
-              url: `${baseURL}/v2/files?externalKey=${destDirKey}`,
-              headers: updatedCaspioHeaders,
-              data: formWithFile,
+              url: `/v2/files?externalKey=${destDirKey}`,
+              data: buildForm,
             });
             const { status, statusText, data: { Result: { Name, ExternalKey } } } = theReq;
             let message;
@@ -3273,11 +3502,7 @@ function apiWrapper(credentials) {
             };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.uploadOverwriteByPath');
           }
         },
         /**
@@ -3339,20 +3564,20 @@ function apiWrapper(credentials) {
          */
         uploadOverwriteByKey: async (srcFilePath, externalKey = '', newFileNameNoExt = '') => {
           try {
-            const formWithFile = new FormData({ maxDataSize: Infinity });
             let filename = path.basename(srcFilePath);
             if (newFileNameNoExt) {
               filename = newFileNameNoExt + path.extname(srcFilePath);
             }
-            formWithFile.append('file', fs.createReadStream(srcFilePath), { filename });
-            const headersFromForm = formWithFile.getHeaders();
-            const caspioHeadersCopy = { ...caspioHeaders };
-            const updatedCaspioHeaders = Object.assign(caspioHeadersCopy, headersFromForm);
-            const theReq = await axios({
+            // the form is rebuilt (i.e., the file is read anew) each time the request is sent so that it may be replayed
+            const buildForm = () => {
+              const formWithFile = new FormData({ maxDataSize: Infinity });
+              formWithFile.append('file', fs.createReadStream(srcFilePath), { filename });
+              return formWithFile;
+            };
+            const theReq = await _utils.http({
               method: 'put',
-              url: `${baseURL}/v2/files?externalKey=${externalKey}`,
-              headers: updatedCaspioHeaders,
-              data: formWithFile,
+              url: `/v2/files?externalKey=${externalKey}`,
+              data: buildForm,
             });
             const { status, statusText, data: { Result: { Name, ExternalKey } } } = theReq;
             let message;
@@ -3366,11 +3591,7 @@ function apiWrapper(credentials) {
             };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.uploadOverwriteByKey');
           }
         },
         /**
@@ -3381,6 +3602,8 @@ function apiWrapper(credentials) {
          *
          * If an attempt is made to upload a file with the same name as a currently existing file, then this attempt is aborted. If *all* attempts are aborted, then the Caspio server throws an error.
          * @param {string} [destDirPath=''] Upload destination by path (i.e., the path of the destination folder). If `destDirPath` is not provided, then the file is uploaded to the root folder (i.e., `/`).
+         * @param {object} [options={}] Upload options
+         * @param {boolean} [options.retry=false] Whether to retry the upload after a transient failure according to the client's `retry` option (see the README). Files that were uploaded by the original request are not uploaded again (a file with the same name already exists), so a retry may report fewer `uploadedFiles`.
          * @returns {Promise<{status: 201, statusText: 'Created', message: string, uploadedFiles: Array.<{Name: string, ExternalKey: string}>}>} Object with information about the attempted file(s) upload to the folder specified by `externalKey` (i.e., `status`, `statusText`, `message`, and `uploadedFiles`).
          * @since 1.0.0
          * @example
@@ -3447,46 +3670,46 @@ function apiWrapper(credentials) {
          *   ]
          * }
          */
-        uploadByPath: async (srcFilePathsArr, destDirPath = '') => {
+        uploadByPath: async (srcFilePathsArr, destDirPath = '', options = {}) => {
           try {
-            let destDir;
             let destDirKey;
             if (destDirPath === '' || destDirPath === '/') {
               destDirKey = '';
             } else {
-              destDir = await _utils.fileOrDirectoryMetadata(destDirPath, { resourceType: 'd' });
-              if (destDir) {
-                destDirKey = destDir.ExternalKey;
-              } else {
-                return false;
-              }
+              const destDir = await _utils.fileOrDirectoryMetadata(destDirPath, { resourceType: 'd' });
+              destDirKey = destDir.ExternalKey;
             }
-            const formWithFiles = new FormData({ maxDataSize: Infinity });
+            const filesToUpload = [];
             let filename;
             for (let i = 0; i < srcFilePathsArr.length; i++) {
               const fileInfo = srcFilePathsArr[i];
               if (Array.isArray(fileInfo) && fileInfo.length === 2) {
                 if ((typeof fileInfo[0] === 'string') && (typeof fileInfo[1] === 'string')) {
                   filename = fileInfo[1] + path.extname(fileInfo[0]);
-                  formWithFiles.append(`file${i}`, fs.createReadStream(fileInfo[0]), { filename });
+                  filesToUpload.push([fileInfo[0], filename]);
                 } else {
-                  throw new Error('Each element of the 2-element subarray must be a string, the first element being a valid file path source and the second being a new name for the file without an extension.');
+                  throw new CaspioValidationError('Each element of the 2-element subarray must be a string, the first element being a valid file path source and the second being a new name for the file without an extension.');
                 }
               } else if (typeof fileInfo === 'string') {
                 filename = path.basename(fileInfo);
-                formWithFiles.append(`file${i}`, fs.createReadStream(fileInfo), { filename });
+                filesToUpload.push([fileInfo, filename]);
               } else {
-                throw new Error('The first argument provided to the uploadByKey function for files must be an array consisting of a combination of file path source strings (Example: \'./some_dir/some_file.png\') and 2-element subarrays with the first element being the file path source string and the second element the new file name without an extension (Example: [ \'./some_dir/some_file.png\', \'some_file_new_name\' ]).');
+                throw new CaspioValidationError('The first argument provided to the uploadByKey function for files must be an array consisting of a combination of file path source strings (Example: \'./some_dir/some_file.png\') and 2-element subarrays with the first element being the file path source string and the second element the new file name without an extension (Example: [ \'./some_dir/some_file.png\', \'some_file_new_name\' ]).');
               }
             }
-            const headersFromForm = formWithFiles.getHeaders();
-            const caspioHeadersCopy = { ...caspioHeaders };
-            const updatedCaspioHeaders = Object.assign(caspioHeadersCopy, headersFromForm);
-            const theReq = await axios({
+            // the form is rebuilt (i.e., the files are read anew) each time the request is sent so that it may be replayed
+            const buildForm = () => {
+              const formWithFiles = new FormData({ maxDataSize: Infinity });
+              filesToUpload.forEach(([srcFilePath, filename], i) => {
+                formWithFiles.append(`file${i}`, fs.createReadStream(srcFilePath), { filename });
+              });
+              return formWithFiles;
+            };
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/files?externalKey=${destDirKey}`,
-              headers: updatedCaspioHeaders,
-              data: formWithFiles,
+              url: `/v2/files?externalKey=${destDirKey}`,
+              data: buildForm,
+              retry: options.retry === true,
             });
             const { status, statusText, data: { Result: uploadedFiles } } = theReq;
             const message = 'File(s) uploaded successfully, in part or in whole. If a file was not uploaded, then a file with the same name already exists in the specified location.';
@@ -3495,11 +3718,7 @@ function apiWrapper(credentials) {
             };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.uploadByPath');
           }
         },
         /**
@@ -3578,32 +3797,36 @@ function apiWrapper(credentials) {
          */
         uploadByKey: async (srcFilePathsArr, externalKey = '') => {
           try {
-            const formWithFiles = new FormData({ maxDataSize: Infinity });
+            const filesToUpload = [];
             let filename;
             for (let i = 0; i < srcFilePathsArr.length; i++) {
               const fileInfo = srcFilePathsArr[i];
               if (Array.isArray(fileInfo) && fileInfo.length === 2) {
                 if ((typeof fileInfo[0] === 'string') && (typeof fileInfo[1] === 'string')) {
                   filename = fileInfo[1] + path.extname(fileInfo[0]);
-                  formWithFiles.append(`file${i}`, fs.createReadStream(fileInfo[0]), { filename });
+                  filesToUpload.push([fileInfo[0], filename]);
                 } else {
-                  throw new Error('Each element of the 2-element subarray must be a string, the first element being a valid file path source and the second being a new name for the file without an extension.');
+                  throw new CaspioValidationError('Each element of the 2-element subarray must be a string, the first element being a valid file path source and the second being a new name for the file without an extension.');
                 }
               } else if (typeof fileInfo === 'string') {
                 filename = path.basename(fileInfo);
-                formWithFiles.append(`file${i}`, fs.createReadStream(fileInfo), { filename });
+                filesToUpload.push([fileInfo, filename]);
               } else {
-                throw new Error('The first argument provided to the uploadByKey function for files must be an array consisting of a combination of file path source strings (Example: \'./some_dir/some_file.png\') and 2-element subarrays with the first element being the file path source string and the second element the new file name without an extension (Example: [ \'./some_dir/some_file.png\', \'some_file_new_name\' ]).');
+                throw new CaspioValidationError('The first argument provided to the uploadByKey function for files must be an array consisting of a combination of file path source strings (Example: \'./some_dir/some_file.png\') and 2-element subarrays with the first element being the file path source string and the second element the new file name without an extension (Example: [ \'./some_dir/some_file.png\', \'some_file_new_name\' ]).');
               }
             }
-            const headersFromForm = formWithFiles.getHeaders();
-            const caspioHeadersCopy = { ...caspioHeaders };
-            const updatedCaspioHeaders = Object.assign(caspioHeadersCopy, headersFromForm);
-            const theReq = await axios({
+            // the form is rebuilt (i.e., the files are read anew) each time the request is sent so that it may be replayed
+            const buildForm = () => {
+              const formWithFiles = new FormData({ maxDataSize: Infinity });
+              filesToUpload.forEach(([srcFilePath, filename], i) => {
+                formWithFiles.append(`file${i}`, fs.createReadStream(srcFilePath), { filename });
+              });
+              return formWithFiles;
+            };
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/files?externalKey=${externalKey}`,
-              headers: updatedCaspioHeaders,
-              data: formWithFiles,
+              url: `/v2/files?externalKey=${externalKey}`,
+              data: buildForm,
             });
             const { status, statusText, data: { Result: uploadedFiles } } = theReq;
             const message = 'File(s) uploaded successfully, in part or in whole. If a file was not uploaded, then a file with the same name already exists in the specified location.';
@@ -3612,11 +3835,7 @@ function apiWrapper(credentials) {
             };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.uploadByKey');
           }
         },
         /**
@@ -3652,9 +3871,6 @@ function apiWrapper(credentials) {
         downloadByPath: async (filePath, saveAsWithoutExt = '') => {
           try {
             const fileData = await _utils.fileOrDirectoryMetadata(filePath, { resourceType: 'f' });
-            if (!fileData) {
-              return false;
-            }
             const { Name: fileName, ExternalKey: fileKey } = fileData;
 
             let fileNameForDownload;
@@ -3664,23 +3880,19 @@ function apiWrapper(credentials) {
             } else {
               fileNameForDownload = fileName;
             }
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/files/${fileKey}`,
-              headers: caspioHeaders,
+              url: `/v2/files/${fileKey}`,
               responseType: 'stream',
             });
-            await theReq.data.pipe(fs.createWriteStream(fileNameForDownload));
+            // resolves once the file has been written (and rejects if the download or the write fails)
+            await pipeline(theReq.data, fs.createWriteStream(fileNameForDownload));
             const { status, statusText } = theReq;
             const message = `File '${fileNameForDownload}' successfully downloaded.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.downloadByPath');
           }
         },
         /**
@@ -3722,7 +3934,7 @@ function apiWrapper(credentials) {
             if (fileData && fileData.Files.length > 0) {
               fileName = fileData.Files[0].Name;
             } else {
-              throw new Error(`The external key '${externalKey}' does not match a currently existing file. Please try again.`);
+              throw new CaspioNotFoundError(`The external key '${externalKey}' does not match a currently existing file. Please try again.`);
             }
 
             if (saveAsWithoutExt) {
@@ -3731,23 +3943,18 @@ function apiWrapper(credentials) {
             } else {
               fileNameForDownload = fileName;
             }
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/files/${externalKey}`,
-              headers: caspioHeaders,
+              url: `/v2/files/${externalKey}`,
               responseType: 'stream',
             });
-            await theReq.data.pipe(fs.createWriteStream(fileNameForDownload));
+            await pipeline(theReq.data, fs.createWriteStream(fileNameForDownload));
             const { status, statusText } = theReq;
             const message = `File '${fileNameForDownload}' successfully downloaded.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.downloadByKey');
           }
         },
         /**
@@ -3778,27 +3985,19 @@ function apiWrapper(credentials) {
          * }
          */
         deleteByPath: async (filePath) => {
-          const fileData = await _utils.fileOrDirectoryMetadata(filePath, { resourceType: 'f' });
-          if (!fileData) {
-            return false;
-          }
-          const { Name: fileName, ExternalKey: fileKey } = fileData;
           try {
-            const theReq = await axios({
+            const fileData = await _utils.fileOrDirectoryMetadata(filePath, { resourceType: 'f' });
+            const { Name: fileName, ExternalKey: fileKey } = fileData;
+            const theReq = await _utils.http({
               method: 'delete',
-              url: `${baseURL}/v2/files/${fileKey}`,
-              headers: caspioHeaders,
+              url: `/v2/files/${fileKey}`,
             });
             const { status, statusText } = theReq;
             const message = `File '${fileName}' successfully deleted.`;
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.deleteByPath');
           }
         },
         /**
@@ -3830,21 +4029,16 @@ function apiWrapper(credentials) {
          */
         deleteByKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'delete',
-              url: `${baseURL}/v2/files/${externalKey}`,
-              headers: caspioHeaders,
+              url: `/v2/files/${externalKey}`,
             });
             const { status, statusText } = theReq;
             const message = 'File successfully deleted.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'files.deleteByKey');
           }
         },
       },
@@ -3891,18 +4085,13 @@ function apiWrapper(credentials) {
          */
         listing: async () => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tasks`,
-              headers: caspioHeaders,
+              url: '/v2/tasks',
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tasks.listing');
           }
         },
         /**
@@ -3945,20 +4134,15 @@ function apiWrapper(credentials) {
             const foundTask = allTasks.find((task) => lcTaskName === task.Name.toLowerCase());
             if (foundTask) {
               const externalKey = foundTask[foundTask.Name];
-              const theReq = await axios({
+              const theReq = await _utils.http({
                 method: 'get',
-                url: `${baseURL}/v2/tasks/${externalKey}`,
-                headers: caspioHeaders,
+                url: `/v2/tasks/${externalKey}`,
               });
               return theReq.data.Result;
             }
-            throw new Error(`'${taskName}' does not exist. Please try again.`);
+            throw new CaspioNotFoundError(`'${taskName}' does not exist. Please try again.`);
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tasks.propertiesByName');
           }
         },
         /**
@@ -3996,18 +4180,13 @@ function apiWrapper(credentials) {
          */
         propertiesByKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'get',
-              url: `${baseURL}/v2/tasks/${externalKey}`,
-              headers: caspioHeaders,
+              url: `/v2/tasks/${externalKey}`,
             });
             return theReq.data.Result;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tasks.propertiesByKey');
           }
         },
         /**
@@ -4044,23 +4223,18 @@ function apiWrapper(credentials) {
             const foundTask = allTasks.find((task) => lowerCaseTaskName === task.Name.toLowerCase());
             if (foundTask) {
               const externalKey = foundTask[foundTask.Name];
-              const theReq = await axios({
+              const theReq = await _utils.http({
                 method: 'post',
-                url: `${baseURL}/v2/tasks/${externalKey}/run`,
-                headers: caspioHeaders,
+                url: `/v2/tasks/${externalKey}/run`,
               });
               const { status, statusText } = theReq;
               const message = `Task '${foundTask.Name}' ran successfully.`;
               const responseObj = { status, statusText, message };
               return responseObj;
             }
-            throw new Error(`'${taskName}' does not exist. Please try again.`);
+            throw new CaspioNotFoundError(`'${taskName}' does not exist. Please try again.`);
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tasks.runByName');
           }
         },
         /**
@@ -4092,21 +4266,435 @@ function apiWrapper(credentials) {
          */
         runByKey: async (externalKey) => {
           try {
-            const theReq = await axios({
+            const theReq = await _utils.http({
               method: 'post',
-              url: `${baseURL}/v2/tasks/${externalKey}/run`,
-              headers: caspioHeaders,
+              url: `/v2/tasks/${externalKey}/run`,
             });
             const { status, statusText } = theReq;
             const message = 'Task ran successfully.';
             const responseObj = { status, statusText, message };
             return responseObj;
           } catch (error) {
-            if (axios.isAxiosError(error)) {
-              _utils.axiosErrorHandler(error);
-            } else {
-              console.error(error);
-            }
+            _utils.handleError(error, 'tasks.runByKey');
+          }
+        },
+      },
+      /**
+       * Methods for describing the schema of an account's tables declaratively (e.g., in a JS or JSON file kept under version control) and bringing the live tables in line with it, for taking snapshots of an account and restoring their tables in another account, and for generating the SQL DDL of the tables for other databases.
+       *
+       * @namespace Schema
+       */
+      schema: {
+        /**
+         * Compares a desired schema against the live tables of the account (i.e., `tables.listing` and `tables.definition`) and returns a plan of the operations that would make the live tables match it:
+         *
+         * - `create-table` for every described table that does not exist (with all of its field definitions)
+         * - `add-field` for every described field that does not exist in its table
+         * - `update-field` for every described field whose provided properties differ from the live field (with the changes as `New*` properties, e.g., `{ NewLabel: 'Email address' }`, and the current values of the changed properties)
+         * - `delete-field` for every field of a described table that is not part of its description
+         *
+         * Tables, fields, and property names are matched case-insensitively. Tables that are not part of the desired schema are left alone, and only the properties a desired field definition provides are compared (e.g., a field described as `{ Name: 'Email', Type: 'STRING' }` is not updated because of its label). List values are compared regardless of their order and indexes, and `ListField` may be provided as an array of items or as returned by `tables.definition`. The desired schema is checked with the same rules as `tables.create` before any request is sent.
+         *
+         * @memberOf Schema
+         * @param {Object} desired Desired schema
+         * @param {Object<string, {fields: Array<Object>}>} desired.tables Descriptions of tables by table name, whose `fields` are field definitions as accepted by `tables.create` (e.g., `{ Demo_Users: { fields: [{ Name: 'Email', Type: 'STRING', Unique: true }] } }`)
+         * @returns {Promise<{operations: Array<Object>, summary: string}>} Plan (i.e., the `operations` to carry out in order with `schema.apply` and a human-readable `summary` of them)
+         * @since 1.1.0
+         * @example
+         * // plan the changes that bring the 'Demo_Users' table in line with its description
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function planSchemaChanges() {
+         *   const plan = await caspio.schema.diff({
+         *     tables: {
+         *       Demo_Users: {
+         *         fields: [
+         *           { Name: 'User_ID', Type: 'RANDOM ID', Unique: true },
+         *           { Name: 'Name', Type: 'STRING' },
+         *           { Name: 'Email', Type: 'STRING', Unique: true, Label: 'Email address' },
+         *           { Name: 'Role', Type: 'LIST-STRING', ListField: ['Admin', 'Editor', 'Viewer'] },
+         *           { Name: 'Active', Type: 'YES/NO' },
+         *         ],
+         *       },
+         *     },
+         *   });
+         *   console.log(plan.summary);
+         *   return plan;
+         * }
+         *
+         * planSchemaChanges();
+         *
+         * // sample logged summary
+         * // 3 change(s) (1 add-field, 1 update-field, 1 delete-field):
+         * // + add field 'Demo_Users.Role' (LIST-STRING)
+         * // ~ update field 'Demo_Users.Email' (Label: '' -> 'Email address')
+         * // - delete field 'Demo_Users.Notes'
+         *
+         * // sample return value
+         * {
+         *   operations: [
+         *     { action: 'add-field', table: 'Demo_Users', field: { Name: 'Role', Type: 'LIST-STRING', ListField: ['Admin', 'Editor', 'Viewer'] } },
+         *     { action: 'update-field', table: 'Demo_Users', field: 'Email', changes: { NewLabel: 'Email address' }, current: { Label: '' } },
+         *     { action: 'delete-field', table: 'Demo_Users', field: 'Notes' }
+         *   ],
+         *   summary: "3 change(s) (1 add-field, 1 update-field, 1 delete-field):\n+ add field 'Demo_Users.Role' (LIST-STRING)\n..."
+         * }
+         */
+        diff: async (desired) => {
+          try {
+            return await _utils.diffSchema(desired);
+          } catch (error) {
+            _utils.handleError(error, 'schema.diff');
+          }
+        },
+        /**
+         * Carries out the operations of a plan returned by `schema.diff`, one at a time and in order, and logs a human-readable summary (through the client's logger at the `info` level). With `dryRun`, the summary is logged and nothing is changed.
+         *
+         * Plans that delete fields (which deletes their values) are rejected with a `CaspioValidationError` unless `allowDeletes` is `true`. The first failed operation stops the plan, and the operations carried out before it are not undone (run `schema.diff` again to plan the remaining changes).
+         *
+         * @memberOf Schema
+         * @param {{operations: Array<Object>}} plan Plan returned by `schema.diff`
+         * @param {Object} [options={}] Options
+         * @param {boolean} [options.dryRun=false] Whether to only log the summary of the plan without carrying it out
+         * @param {boolean} [options.allowDeletes=false] Whether the plan may delete fields
+         * @returns {Promise<{dryRun: boolean, applied: number, operations: Array<Object>, summary: string}>} Report of the plan (i.e., whether it was a dry run, the number of operations carried out, the operations, and the summary)
+         * @since 1.1.0
+         * @example
+         * // preview and then apply the changes described in './schema.js'
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function syncSchema() {
+         *   const plan = await caspio.schema.diff(require('./schema'));
+         *   await caspio.schema.apply(plan, { dryRun: true });
+         *   const report = await caspio.schema.apply(plan, { allowDeletes: true });
+         *   console.log(report.applied);
+         *   return report;
+         * }
+         *
+         * syncSchema();
+         *
+         * // sample logged lines
+         * // Schema plan (dry run): 2 change(s) (1 create-table, 1 update-field):
+         * // + create table 'Demo_Visits' with 3 field(s): Visit_ID (AUTONUMBER), Physician_ID (STRING), Visit_Date (DATE/TIME)
+         * // ~ update field 'Demo_Users.Email' (Label: '' -> 'Email address')
+         * // Applied schema change 1 of 2: + create table 'Demo_Visits' with 3 field(s): ...
+         * // Applied schema change 2 of 2: ~ update field 'Demo_Users.Email' (Label: '' -> 'Email address')
+         *
+         * // sample return value
+         * {
+         *   dryRun: false,
+         *   applied: 2,
+         *   operations: [ ... ],
+         *   summary: "2 change(s) (1 create-table, 1 update-field):\n..."
+         * }
+         */
+        apply: async (plan, options = {}) => {
+          try {
+            return await _utils.applySchema(plan, options);
+          } catch (error) {
+            _utils.handleError(error, 'schema.apply');
+          }
+        },
+        /**
+         * Returns a snapshot of the account as one versioned JSON-serializable document: the definition of every table (see `tables.definition`), the description of every view (see `views.description`), and the properties of every application with the properties of its DataPages (see `apps.listing` and `apps.dpPropertiesByAppName`). The tables of a snapshot are described as `schema.diff` expects, and a snapshot saved to a file can be restored in another account with `schema.restore`.
+         *
+         * @memberOf Schema
+         * @returns {Promise<{format: string, version: number, createdAt: string, accountID: string, tables: Object<string, {fields: Array<Object>}>, views: Object<string, {Name: string, Note: string}>, apps: Array<Object>}>} Snapshot (i.e., its `format` and format `version`, when it was taken, the account it was taken from, field definitions by table name, view descriptions by view name, and applications with their `DataPages`)
+         * @since 1.1.0
+         * @example
+         * // save a snapshot of the account to 'snapshot.json'
+         * const fs = require('fs');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function saveSnapshot() {
+         *   const snapshot = await caspio.schema.snapshot();
+         *   fs.writeFileSync('snapshot.json', JSON.stringify(snapshot, null, 2));
+         *   return snapshot;
+         * }
+         *
+         * saveSnapshot();
+         *
+         * // sample return value
+         * {
+         *   format: 'caspio-sdk-schema-snapshot',
+         *   version: 1,
+         *   createdAt: '2023-02-01T17:42:10.512Z',
+         *   accountID: 'c1abc234',
+         *   tables: {
+         *     Demo_Users: {
+         *       fields: [
+         *         { Name: 'User_ID', Type: 'RANDOM ID', Unique: true, ... },
+         *         { Name: 'Email', Type: 'STRING', Unique: true, ... },
+         *         ...
+         *       ]
+         *     },
+         *     ...
+         *   },
+         *   views: {
+         *     Demo_Physicians_Active: { Name: 'Demo_Physicians_Active', Note: '' },
+         *     ...
+         *   },
+         *   apps: [
+         *     {
+         *       AppName: 'Demo - Physician Directory - Caspio SDK',
+         *       ExternalKey: '09d18152-7c45-44f1-a0e6-5ffe18881b60',
+         *       ...
+         *       DataPages: [
+         *         { Name: 'Physician Registration', AppKey: '409550008f83dc4dd4554a07b7bf', Type: 'WEBFORM', ... },
+         *         ...
+         *       ]
+         *     },
+         *     ...
+         *   ]
+         * }
+         */
+        snapshot: async () => {
+          try {
+            return await _utils.snapshotSchema();
+          } catch (error) {
+            _utils.handleError(error, 'schema.snapshot');
+          }
+        },
+        /**
+         * Recreates the tables of a snapshot (see `schema.snapshot`) in the account of `targetClient` (this client's account by default): missing tables are created, and the fields of existing tables are added or updated to match the snapshot (see `schema.diff` and `schema.apply`). Fields of the target's tables that are not part of the snapshot are kept unless `allowDeletes` is `true`. Create the target client with `strict: true` so that its failures are thrown.
+         *
+         * Not everything in a snapshot can be reproduced through the REST API, and what cannot be is listed in the returned `notReproduced` notes (each with a `kind` and a `message`) and logged as warnings:
+         *
+         * - formula fields (`formula-field`) are left out because their formulas cannot be read or set (tables that only have formula fields are not created and are noted as `table`)
+         * - fields of read-only types such as `AUTONUMBER`, `RANDOM ID`, and `TIMESTAMP` (`read-only-field`) are recreated, but their generated values start over
+         * - views (`view`), applications (`app`), and DataPages (`datapage`) cannot be created
+         * - fields of the target's tables that are not part of the snapshot (`extra-field`) are kept without `allowDeletes`
+         *
+         * @memberOf Schema
+         * @param {Object} snapshot Snapshot returned by `schema.snapshot` (or parsed from a file it was saved to)
+         * @param {Object} [options={}] Options
+         * @param {Object} [options.targetClient] Client of the account to restore the tables in (i.e., `require('caspio-sdk')(otherCredentials, { strict: true })`)
+         * @param {boolean} [options.dryRun=false] Whether to only log the summary of the plan without carrying it out
+         * @param {boolean} [options.allowDeletes=false] Whether fields of the target's tables that are not part of the snapshot may be deleted
+         * @returns {Promise<{dryRun: boolean, applied: number, operations: Array<Object>, summary: string, notReproduced: Array<{kind: string, message: string}>}>} Report of the restore (i.e., the report of `schema.apply` and the notes about what was not reproduced)
+         * @since 1.1.0
+         * @example
+         * // restore the tables of 'snapshot.json' in the staging account
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         * const staging = require('caspio-sdk')(stagingCredentials, { strict: true });
+         *
+         * async function restoreInStaging() {
+         *   const snapshot = require('./snapshot.json');
+         *   const report = await caspio.schema.restore(snapshot, { targetClient: staging });
+         *   console.log(report.summary);
+         *   report.notReproduced.forEach(({ message }) => console.log(message));
+         *   return report;
+         * }
+         *
+         * restoreInStaging();
+         *
+         * // sample return value
+         * {
+         *   dryRun: false,
+         *   applied: 2,
+         *   operations: [ ... ],
+         *   summary: "2 change(s) (2 create-table):\n+ create table 'Demo_Users' with 6 field(s): ...",
+         *   notReproduced: [
+         *     { kind: 'read-only-field', table: 'Demo_Users', field: 'User_ID', message: "Field 'Demo_Users.User_ID' (RANDOM ID) was restored, but its values are generated by Caspio and start over in the restored table." },
+         *     { kind: 'formula-field', table: 'Demo_Physicians', field: 'Full_Name', message: "Field 'Demo_Physicians.Full_Name' is a formula field, ..." },
+         *     { kind: 'view', name: 'Demo_Physicians_Active', message: "View 'Demo_Physicians_Active' cannot be created through the REST API; it was not restored." },
+         *     ...
+         *   ]
+         * }
+         */
+        restore: async (snapshot, options = {}) => {
+          try {
+            return await _utils.restoreSchema(snapshot, options);
+          } catch (error) {
+            _utils.handleError(error, 'schema.restore');
+          }
+        },
+        /**
+         * Returns the SQL DDL that recreates tables in PostgreSQL (`'postgres'`), MySQL (`'mysql'`), SQL Server (`'sqlserver'`), or SQLite (`'sqlite'`), driven by the live definitions of the tables (see `tables.definition`) or by the tables of a snapshot (see `schema.snapshot`):
+         *
+         * - every Caspio field type (see `validFieldTypes`) is mapped to a column type of the dialect (lists are stored as JSON array text, as written by `tables.exportRecords`)
+         * - the first `AUTONUMBER` field of a table becomes its auto-incremented `PRIMARY KEY` (explicit values may still be inserted)
+         * - `Unique` fields get a `UNIQUE` constraint (a filtered unique index in SQL Server for fields that allow nulls)
+         * - reserved words of the dialect and names with other characters than letters, digits, and underscores are quoted
+         *
+         * With `dataDirectory`, the statements that load the CSV files written by `tables.exportRecords` (named `<tableName>.csv`) are also returned: `COPY` for PostgreSQL (followed by a reset of the identity sequence), `LOAD DATA LOCAL INFILE` for MySQL, `BULK INSERT` into a staging table for SQL Server, and `.import` (a command of the `sqlite3` shell) into a staging table for SQLite. Empty values are loaded as `NULL`, and `PASSWORD` columns stay empty because Caspio never returns their values.
+         *
+         * @memberOf Schema
+         * @param {Object} options Options
+         * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} options.dialect SQL dialect
+         * @param {(Array<string>|Object<string, {fields: Array<Object>}>)} [options.tables] Names of the tables (case-insensitive) or descriptions of tables by table name (e.g., `snapshot.tables`); every table of the account by default
+         * @param {string} [options.dataDirectory] Directory of the CSV files of the tables (as seen by the database server or client that loads them)
+         * @returns {Promise<{dialect: string, tables: Object<string, {create: string, seed: (string|null)}>, schema: string, seed: (string|null)}>} Statements that create (`create`) and load (`seed`, or `null` without `dataDirectory`) every table, and all statements of each kind joined together (`schema` and `seed`)
+         * @since 1.1.0
+         * @example
+         * // write the schema and seed files of a PostgreSQL copy of two tables
+         * const fs = require('fs');
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function generatePostgresFiles() {
+         *   const tables = ['Demo_Users', 'Demo_Visits'];
+         *   for (let i = 0; i < tables.length; i++) {
+         *     await caspio.tables.exportRecords(tables[i], `data/${tables[i]}.csv`);
+         *   }
+         *   const ddl = await caspio.schema.toDDL({ dialect: 'postgres', tables, dataDirectory: '/var/lib/postgresql/data' });
+         *   fs.writeFileSync('schema.sql', ddl.schema);
+         *   fs.writeFileSync('seed.sql', ddl.seed);
+         *   return ddl;
+         * }
+         *
+         * generatePostgresFiles();
+         *
+         * // sample return value
+         * {
+         *   dialect: 'postgres',
+         *   tables: {
+         *     Demo_Visits: {
+         *       create: 'CREATE TABLE Demo_Visits (\n  Visit_ID INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,\n  Physician_ID VARCHAR(255),\n  Visit_Date TIMESTAMP,\n  "Order" INTEGER\n);',
+         *       seed: "COPY Demo_Visits (Visit_ID, Physician_ID, Visit_Date, \"Order\")\nFROM '/var/lib/postgresql/data/Demo_Visits.csv'\nWITH (FORMAT csv, HEADER true);\nSELECT setval(...);"
+         *     },
+         *     ...
+         *   },
+         *   schema: 'CREATE TABLE Demo_Users (\n ...',
+         *   seed: 'COPY Demo_Users (...'
+         * }
+         */
+        toDDL: async (options) => {
+          try {
+            return await _utils.generateDDL(options);
+          } catch (error) {
+            _utils.handleError(error, 'schema.toDDL');
+          }
+        },
+      },
+      /**
+       * Methods for running versioned migrations (i.e., numbered files that change the schema of an account's tables through the client and can be reverted), so that the tables of several accounts (e.g., staging and production) evolve the same way.
+       *
+       * Migrations are the files of a directory whose names start with a version number followed by an underscore or a hyphen (e.g., `001_create_visits.js` or `20230131093000-add-email.js`). Each exports an async `up(caspio)` function that applies its change and, to be reverted, an async `down(caspio)` function that undoes it; both receive the client running them, in strict mode (i.e., a client created with the same credentials and options and `strict: true` if the running client is not strict), so that a failed request fails its migration instead of being logged and the migration is not recorded as applied.
+       *
+       * Applied migrations are recorded in a bookkeeping table (`Caspio_SDK_Migrations` by default, with `Version`, `Name`, `Applied_At`, `Locked_By`, and `Locked_At` fields) that is created on first run. While migrations run, the table holds a lock row (its `Version` field is unique, so a second process cannot insert its own lock row), and a second deploy fails instead of migrating at the same time. A lock older than `lockTimeout` (e.g., left by a process that crashed) is taken over, and the running process refreshes its lock after every migration, so a single migration must not run longer than `lockTimeout`. The same runner is available from the command line as `caspio-migrate` (see the README).
+       *
+       * @namespace Migrations
+       */
+      migrations: {
+        /**
+         * Applies every pending migration (i.e., not recorded in the bookkeeping table) in version order, up to and including version `to` (the latest version by default), and records each migration once its `up` function has completed. The first failed migration stops the run, and the migrations applied before it stay applied.
+         *
+         * @memberOf Migrations
+         * @param {Object} [options={}] Options
+         * @param {string} [options.directory='migrations'] Directory of the migration files (relative to the current working directory)
+         * @param {Array<{version: (string|number), name: string, up: function(Object): Promise<void>, down: function(Object): Promise<void>}>} [options.migrations] Migrations to run instead of the files of `directory`
+         * @param {(string|number)} [options.to] Version to migrate to
+         * @param {string} [options.table='Caspio_SDK_Migrations'] Name of the bookkeeping table
+         * @param {number} [options.lockTimeout=1800000] Number of milliseconds after which a lock is considered abandoned (30 minutes by default); the lock is refreshed after every migration, so no single migration may run longer
+         * @returns {Promise<{applied: Array<{version: string, name: string}>, current: string}>} Migrations applied by this run and the resulting version (`'0'` if no migration was ever applied)
+         * @since 1.1.0
+         * @example
+         * // apply the pending migrations of the './migrations' directory
+         * // e.g., './migrations/002_add_visit_notes.js':
+         * // module.exports = {
+         * //   up: (caspio) => caspio.tables.addField('Demo_Visits', { Name: 'Notes', Type: 'TEXT' }),
+         * //   down: (caspio) => caspio.tables.deleteField('Demo_Visits', 'Notes'),
+         * // };
+         * const caspio = require('caspio-sdk')(caspioCredentials, { strict: true });
+         *
+         * async function migrateSchema() {
+         *   const result = await caspio.migrations.migrate({ directory: './migrations' });
+         *   console.log(result);
+         *   return result;
+         * }
+         *
+         * migrateSchema();
+         *
+         * // sample return value
+         * {
+         *   applied: [
+         *     { version: '2', name: '002_add_visit_notes' },
+         *     { version: '3', name: '003_create_referrals' }
+         *   ],
+         *   current: '3'
+         * }
+         */
+        migrate: async (options = {}) => {
+          try {
+            return await _utils.migrate(migrationClient(api), options);
+          } catch (error) {
+            _utils.handleError(error, 'migrations.migrate');
+          }
+        },
+        /**
+         * Reverts applied migrations in reverse version order by running their `down` functions and removing their records: the latest `steps` migrations or, with `to`, every migration whose version is greater than `to` (`to: 0` reverts every migration). Nothing is reverted if an applied migration to revert has no file or no `down` function.
+         *
+         * @memberOf Migrations
+         * @param {Object} [options={}] Options (see `migrations.migrate` for `directory`, `migrations`, `table`, and `lockTimeout`)
+         * @param {number} [options.steps=1] Number of migrations to revert (ignored if `to` is provided)
+         * @param {(string|number)} [options.to] Version to roll back to
+         * @returns {Promise<{reverted: Array<{version: string, name: string}>, current: string}>} Migrations reverted by this run and the resulting version (`'0'` if no migration remains applied)
+         * @since 1.1.0
+         * @example
+         * // roll back to version 1
+         * const caspio = require('caspio-sdk')(caspioCredentials, { strict: true });
+         *
+         * async function rollbackSchema() {
+         *   const result = await caspio.migrations.rollback({ directory: './migrations', to: 1 });
+         *   console.log(result);
+         *   return result;
+         * }
+         *
+         * rollbackSchema();
+         *
+         * // sample return value
+         * {
+         *   reverted: [
+         *     { version: '3', name: '003_create_referrals' },
+         *     { version: '2', name: '002_add_visit_notes' }
+         *   ],
+         *   current: '1'
+         * }
+         */
+        rollback: async (options = {}) => {
+          try {
+            return await _utils.rollback(migrationClient(api), options);
+          } catch (error) {
+            _utils.handleError(error, 'migrations.rollback');
+          }
+        },
+        /**
+         * Returns the status of the migrations: whether (and when) each migration was applied, the pending versions, the applied migrations whose files are missing, the current version, and the lock row (if a run is in progress). The bookkeeping table is not created by this method.
+         *
+         * @memberOf Migrations
+         * @param {Object} [options={}] Options (see `migrations.migrate` for `directory`, `migrations`, and `table`)
+         * @returns {Promise<{current: string, migrations: Array<{version: string, name: string, applied: boolean, appliedAt: (Date|null)}>, pending: Array<string>, missing: Array<{version: string, name: string, appliedAt: Date}>, lock: ({lockedBy: string, lockedAt: Date}|null)}>} Status of the migrations
+         * @since 1.1.0
+         * @example
+         * // check which migrations still have to be applied
+         * const caspio = require('caspio-sdk')(caspioCredentials);
+         *
+         * async function migrationStatus() {
+         *   const status = await caspio.migrations.status({ directory: './migrations' });
+         *   console.log(status);
+         *   return status;
+         * }
+         *
+         * migrationStatus();
+         *
+         * // sample return value
+         * {
+         *   current: '2',
+         *   migrations: [
+         *     { version: '1', name: '001_create_visits', applied: true, appliedAt: 2023-01-31T09:30:00.000Z },
+         *     { version: '2', name: '002_add_visit_notes', applied: true, appliedAt: 2023-02-02T14:05:12.000Z },
+         *     { version: '3', name: '003_create_referrals', applied: false, appliedAt: null }
+         *   ],
+         *   pending: [ '3' ],
+         *   missing: [],
+         *   lock: null
+         * }
+         */
+        status: async (options = {}) => {
+          try {
+            return await _utils.migrationStatus(options);
+          } catch (error) {
+            _utils.handleError(error, 'migrations.status');
           }
         },
       },
@@ -4123,7 +4711,7 @@ function apiWrapper(credentials) {
          *
          * @memberOf Utilities
          * @param {string} tableName Name of table (case-insensitive)
-         * @param {string} whereClauseToFindRecord `WHERE` clause to unambiguously determine the record to be copied. If no record is found, then an error is thrown to indicate this. If more than one record is found, then an error is thrown to indicate that a record could not be unambiguously copied.
+         * @param {(string|Filter)} whereClauseToFindRecord `WHERE` clause (or a filter built with `require('caspio-sdk').where`) to unambiguously determine the record to be copied. If no record is found, then an error is thrown to indicate this. If more than one record is found, then an error is thrown to indicate that a record could not be unambiguously copied.
          * @param {object} [recPropUpdateObj={}] Object with key-value pairs in the form `<fieldName>:<newFieldValue>` where `fieldName` is the `Name` of a field from table `tableName` and `newFieldValue` is a *new* or *modified* value to be used for the newly copied record instead of the original value(s) from the copy source.
          *
          * This object effectively allows you to change, modify, or update editable values from the copy source before creating the copied/modified record. Attempting to write to read-only fields (e.g., fields with type `'TIMESTAMP'`, `'AUTONUMBER'`, etc., or formula fields) will cause an error.
@@ -4243,70 +4831,31 @@ function apiWrapper(credentials) {
             const validFieldsForNewRecord = tableDefinition.filter((field) => !(field.IsFormula || field.Type === 'PASSWORD' || _utils.casData.readOnlyFieldTypes.includes(field.Type)));
 
             /* notes about list fields:
-              - Caspio's REST API is weird about handling things as they concern list types
-              - essentially, if you are updating or posting a new record and a field has a list type,
-                then what you enter for the value of that field needs to be an array comprised of
-                only valid INDICES from the hashmap that defines the list field
-              - example: suppose a list field has a definition as follows:
-                "ListField": { "1": "2020-01-01", "2": "42", "3": "Date as a string", "4": "Number as a string", "5": "String", "6": "This is a string" }
-                The valid indices here are 1, 2, 3, 4, 5, and 6. If you want to post or update a record with a value(s) for this field,
-                then you will need to provide something like [val1, val2, ..., valn]  where each val corresponds to one of the valid indices in the field definition
-                For example, [ 1, 2, 4, 6 ] would result in the following object being copied over: { "1": "2020-01-01", "2": "42", "4": "Number as a string", "6": "This is a string" }
-              - beware of odd behavior you can get when you DELETE or REMOVE one of the list field values. For example, above, if we removed "42" from the list values,
-                which corresponds to index 2, then index 2 is no longer a valid index to use when posting to or updating a field value that uses this list definition; also,
-                beware that if we ADDED BACK "42" as a value to the list, then index 2 will become available again (as opposed to indices simply being removed permanently)
-              - given the above, the only takeaway: THIS IS WEIRD
+              - a list value is returned as an object of list items by index but must be written as an array of indexes (see tables.listField)
+              - an index is only valid while its item is part of the field's ListField (the index of a removed item is restored if the item is added again)
+              - list items, not indices, are used to test whether or not the copied item(s) are valid; invalid items are simply left out of the copy
             */
-            const listFieldTypes = ['LIST-STRING', 'LIST-NUMBER', 'LIST-DATE/TIME'];
-            // collect the names of the fields that have type of LIST-DATE/TIME
-            const dateFieldNames = [];
-            // prepare list type data objects to be used to ensure proper copying/creation of new events
-            const [reversedListFieldsDicts, validListFieldValues] = validFieldsForNewRecord.reduce((acc, field) => {
-              if (listFieldTypes.includes(field.Type)) {
-                if (field.Type === 'LIST-DATE/TIME') {
-                  dateFieldNames.push(field.Name);
-                  acc[0][field.Name] = Object.entries(field.ListField).reduce((acc, [key, val]) => {
-                    const newDateFormat = new Date(val);
-                    const newDateTime = newDateFormat.getTime();
-                    acc[newDateTime] = key;
-                    return acc;
-                  }, {});
-                  acc[1][field.Name] = Object.values(field.ListField).map((dateVal) => {
-                    const newDateFormat = new Date(dateVal);
-                    const newDateTime = newDateFormat.getTime();
-                    return newDateTime;
-                  });
-                } else {
-                  acc[0][field.Name] = Object.entries(field.ListField).reduce((acc, [key, val]) => {
-                    acc[val] = key;
-                    return acc;
-                  }, {});
-                  acc[1][field.Name] = Object.values(field.ListField);
-                }
-                return acc;
-              }
-              return acc;
-            }, [{}, {}]);
+            const listFields = validFieldsForNewRecord
+              .filter(({ Type }) => _utils.listFieldTypes.includes(Type))
+              .reduce((acc, field) => ({ ...acc, [field.Name]: _utils.createListField(field, tableName) }), {});
             // ensure what you are trying to copy is legitimate and all fields to be copied can be written to
             const validFieldNames = validFieldsForNewRecord.map(({ Name }) => Name);
-            // retreive the record to be used as the copy source
-            let recordToCopy = await api.tables.getRecords(tableName, { where: whereClauseToFindRecord });
-            if (!recordToCopy) return false; // getRecords returned nothing in which case an error was thrown
+            // retreive the record to be used as the copy source (as returned by Caspio regardless of the client's codec option)
+            let recordToCopy = await _utils.collectRecords(`/v2/tables/${tableName}`, { where: whereClauseToFindRecord }, { method: 'utils.copyRecord', raw: true });
             if (!recordToCopy.length) {
-              throw new Error('No such record to copy was found. Please try again.');
+              throw new CaspioNotFoundError('No such record to copy was found. Please try again.');
             } else if (recordToCopy.length > 1) {
-              throw new Error(`The record could not be copied because ${recordToCopy.length} records were found that matched the provided WHERE clause to find the copy source. Please refine your WHERE clause so that it returns an unambiguous result to copy (i.e., a single record).`);
+              throw new CaspioValidationError(`The record could not be copied because ${recordToCopy.length} records were found that matched the provided WHERE clause to find the copy source. Please refine your WHERE clause so that it returns an unambiguous result to copy (i.e., a single record).`);
             } else {
               recordToCopy = recordToCopy[0];
             }
             // provide opportunity to overwrite any field values from the copy source that will no longer be accurate for the new event
             const propsToOverwrite = Object.keys(recPropUpdateObj);
             if (propsToOverwrite.some((propToOverwrite) => !validFieldNames.includes(propToOverwrite))) {
-              throw new Error('One of the new field names included to overwrite does not exist. Please try again.');
+              throw new CaspioValidationError('One of the new field names included to overwrite does not exist. Please try again.');
             }
             recordToCopy = Object.assign(recordToCopy, recPropUpdateObj);
             // record to copy almost ready to go but one final purifying pass through is needed to ensure things go smoothly
-            let filteredValues;
             const recordProps = Object.keys(recordToCopy);
             for (let i = 0; i < recordProps.length; i++) {
               const property = recordProps[i];
@@ -4315,41 +4864,64 @@ function apiWrapper(credentials) {
                 delete recordToCopy[property];
                 continue;
               }
-              // if a field is of type LIST-{STRING|NUMBER|DATE/TIME}, then ensure the values to be used for the copy are valid
-              // actual list values, not indices, will be used to test whether or not the given list item(s) is valid
-              // if the item is not valid, then it simply will not be included in the event copy (thus not causing a program crash or thrown error)
-              if (reversedListFieldsDicts[property] && recordToCopy[property]) {
-                if (!Array.isArray(recordToCopy[property])) recordToCopy[property] = Object.values(recordToCopy[property]);
-                if (dateFieldNames.includes(property)) {
-                  const dateTimes = recordToCopy[property].map((dateVal) => {
-                    const newDateFormat = new Date(dateVal);
-                    const newDateTime = newDateFormat.getTime();
-                    return newDateTime;
-                  });
-                  filteredValues = dateTimes.filter((dateTime) => validListFieldValues[property].includes(dateTime));
-                } else {
-                  filteredValues = recordToCopy[property].filter((value) => validListFieldValues[property].includes(value));
-                }
-                recordToCopy[property] = filteredValues.map((val) => reversedListFieldsDicts[property][val]).map(Number);
+              // if a field is of type LIST-{STRING|NUMBER|DATE/TIME}, then translate the list items (copied or overwritten) to their indices
+              // if an item is not valid, then it simply will not be included in the event copy (thus not causing a program crash or thrown error)
+              if (listFields[property] && recordToCopy[property]) {
+                recordToCopy[property] = listFields[property].toIndexes(recordToCopy[property], { ignoreUnknown: true });
               }
             }
-            const createReq = await api.tables.createRecord(tableName, recordToCopy, { row: true });
-            if (!createReq) {
-              throw new Error('Something went wrong. The record was not successfully created. Please try again.');
-            }
-            const { createdRecord } = createReq;
+            // list values are already indices, so the copy is written as is (i.e., without the client's codec)
+            const createReq = await _utils.http({
+              method: 'post',
+              url: `/v2/tables/${tableName}/records?response=rows`,
+              data: recordToCopy,
+            });
+            const [createdRecord] = await _utils.decodeRecords(tableName, createReq.data.Result);
             return createdRecord;
           } catch (error) {
-            console.error(error);
+            _utils.handleError(error, 'utils.copyRecord');
           }
         },
+        /**
+         * Returns the live request counters of the client (i.e., how many requests to Caspio's REST API have been issued, how many succeeded or failed, how many are currently in flight, and how many are waiting to be issued because of the client's `rateLimit` option). Retried attempts count as separate requests since each one counts against the account's API call quota.
+         *
+         * @memberOf Utilities
+         * @returns {{total: number, succeeded: number, failed: number, inFlight: number, queued: number}} Snapshot of the client's request counters
+         * @since 1.1.0
+         * @example
+         * // report how many API calls a job consumed
+         * const caspio = require('caspio-sdk')(caspioCredentials, {
+         *   rateLimit: { requestsPerSecond: 5, maxConcurrent: 4 },
+         * });
+         *
+         * async function importRecords(records) {
+         *   const { total: callsBefore } = caspio.utils.requestStats();
+         *   await Promise.all(records.map((record) => caspio.tables.createRecord('Demo_Physicians', record)));
+         *   const { total: callsAfter } = caspio.utils.requestStats();
+         *   console.log(`Import consumed ${callsAfter - callsBefore} API calls`);
+         * }
+         *
+         * // sample return value of caspio.utils.requestStats()
+         * { total: 250, succeeded: 248, failed: 2, inFlight: 0, queued: 0 }
+         */
+        requestStats: () => _utils.http.stats(),
       },
     };
 
     return api;
   } catch (error) {
-    console.error(error);
+    if (options.strict) {
+      throw error;
+    }
+    require('./utils/logger')(options).error(error.message, { err: error });
   }
 }
 
 module.exports = apiWrapper;
+// error classes (e.g., `require('caspio-sdk').errors.CaspioNotFoundError`) for `instanceof` checks in strict mode
+module.exports.errors = Object.fromEntries(Object.entries(errors).filter(([, value]) => value === errors.CaspioError || value.prototype instanceof errors.CaspioError));
+// filter builder (e.g., `require('caspio-sdk').where.eq('Email', email)`) for WHERE clauses whose values are escaped
+module.exports.where = require('./utils/filters').where;
+// sync cursor stores (e.g., `require('caspio-sdk').fileCursorStore('./sync-cursors.json')`) for `tables.changesSince`
+module.exports.fileCursorStore = require('./utils/cursor-stores').fileCursorStore;
+module.exports.memoryCursorStore = require('./utils/cursor-stores').memoryCursorStore;
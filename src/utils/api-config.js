@@ -1,16 +1,14 @@
 /**
- * Returns an object with a `baseURL` property which serves as the base URL to issue API requests to and a `headers` property which provides the headers necessary for most API requests.
- * @param {Object} credentials Object with requisite `accountID` and `accessToken` properties.
+ * Returns an object with a `baseURL` property which serves as the base URL to issue API requests to and a `headers` property which provides the default headers of every API request. Both are attached to each request by the client's transport (see `http-client.js`), as is the `authorization` header.
+ * @param {Object} credentials Object with requisite `accountID` property.
  * @param {string} credentials.accountID Account ID that can be obtained from the Token Endpoint URL for a web services profile in your Caspio account: https://<your-accountID>.caspio.com/oauth/token
- * @param {string} credentials.accessToken Access token that ensures authentication of requests
- * @returns {{baseURL: string, headers: {authoriztion: string, content-type: 'application/json', accept: 'application/json'}}} Object with information about the attempted creation of the specified table (i.e., `status`, `statusText`, and `message`).
+ * @returns {{baseURL: string, headers: {content-type: 'application/json', accept: 'application/json'}}} Object with the base URL and default headers for API requests
  */
 function apiConfig(credentials) {
-  const { accountID, accessToken } = credentials;
+  const { accountID } = credentials;
   const config = {
     baseURL: `https://${accountID}.caspio.com/rest`,
     headers: {
-      authorization: `bearer ${accessToken}`,
       'content-type': 'application/json',
       accept: 'application/json',
     },
@@ -2,18 +2,21 @@
  * Handles HTTP Exceptions, specifically those thrown by the Axios package
  *
  * @param {any} error Axios error
+ * @param {Object} [log] Logger to report the error through (see `logger.js`); the error is written to the console by default
  * @returns {void}
  */
-function axiosErrorHandler(error) {
+function axiosErrorHandler(error, log = require('./logger')()) {
+  if (!error.response) {
+    log.error(`Request to Caspio failed without a server response: "${error.message}"`);
+    return;
+  }
   const {
     status,
     statusText,
-    data: { Message: message },
+    data,
   } = error.response;
-  console.log(`Caspio server response was "${status} ${statusText}"`);
-  if (message) {
-    console.log(`Inner exception message: "${message}"`);
-  }
+  const message = data && data.Message;
+  log.error(`Caspio server response was "${status} ${statusText}"${message ? `\nInner exception message: "${message}"` : ''}`, { status, caspioMessage: message || null });
 }
 
 module.exports = axiosErrorHandler;
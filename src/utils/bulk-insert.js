@@ -0,0 +1,148 @@
+const { CaspioValidationError, toCaspioError } = require('./errors');
+
+/**
+ * Returns an iterator over the rows to insert
+ * @param {(Array<Object>|Iterable<Object>|AsyncIterable<Object>|Readable)} rows Rows (object-mode readable streams are async iterables)
+ * @returns {(Iterator<Object>|AsyncIterator<Object>)} Iterator
+ * @throws {CaspioValidationError} If the rows are not iterable
+ */
+function rowIterator(rows) {
+  if (rows !== null && rows !== undefined && typeof rows[Symbol.asyncIterator] === 'function') {
+    return rows[Symbol.asyncIterator]();
+  }
+  if (rows !== null && rows !== undefined && typeof rows !== 'string' && typeof rows[Symbol.iterator] === 'function') {
+    return rows[Symbol.iterator]();
+  }
+  throw new CaspioValidationError(`The rows to insert must be provided as an array, an iterable, an async iterable, or an object-mode readable stream (received ${rows}).`);
+}
+
+function bulkInsertUtils(credentials, context) {
+  const {
+    http, tableDefinition, recordCodec, recordViolations,
+  } = context;
+
+  /**
+   * Inserts rows into a table one record per request with up to `concurrency` requests in flight. Every row is checked against the table's definition (which is fetched once per client and cached; see `recordViolations`) before it is sent (and, if the client's `codec` option is enabled, encoded; see `createCodec`), and the outcome of every row is reported by its index in the input (rather than thrown).
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {(Array<Object>|Iterable<Object>|AsyncIterable<Object>|Readable)} rows Rows to insert (rows are read lazily, so at most `concurrency` rows are held at any one time)
+   * @param {Object} [options={}] Options
+   * @param {number} [options.concurrency=4] Maximum number of insert requests in flight
+   * @param {boolean} [options.continueOnError=false] Whether to keep inserting rows after a row fails (otherwise, no further rows are read once a row fails, and rows already in flight are completed)
+   * @param {function(Object): void} [options.onProgress] Function called after every row with the number of rows `processed`, `inserted`, and `failed` so far
+   * @param {boolean} [options.rows=false] Whether to return the created records (e.g., to obtain `AUTONUMBER` values)
+   * @returns {Promise<Object>} Report of the inserted and failed rows (with the error of the source of the rows as `sourceError` if reading the rows failed, in which case the rows already read are completed and no further rows are read)
+   * @throws {CaspioValidationError} If the options or rows are invalid
+   */
+  async function bulkInsert(tableName, rows, options = {}) {
+    const {
+      concurrency = 4, continueOnError = false, onProgress, rows: returnRows = false,
+    } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CaspioValidationError(`${concurrency} is not a valid concurrency. The concurrency must be a positive integer.`);
+    }
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+      throw new CaspioValidationError('The onProgress option must be a function.');
+    }
+    const iterator = rowIterator(rows);
+    const fieldDefinitions = await tableDefinition(tableName);
+    const codec = await recordCodec(`/v2/tables/${tableName}`);
+
+    const successes = [];
+    const failures = [];
+    let processed = 0;
+    let nextIndex = 0;
+    let exhausted = false;
+    let stopped = false;
+    let sourceError = null;
+
+    const nextRow = async () => {
+      if (exhausted || stopped) {
+        return { done: true };
+      }
+      const index = nextIndex++;
+      try {
+        const next = await iterator.next();
+        exhausted = exhausted || next.done;
+        return { ...next, index };
+      } catch (error) {
+        // a failed source (e.g., a stream error) stops every worker, and the rows in flight are completed so that the report is kept
+        exhausted = true;
+        stopped = true;
+        sourceError = sourceError || toCaspioError(error, 'tables.bulkInsert');
+        return { done: true };
+      }
+    };
+
+    const insertRows = async () => {
+      let next = await nextRow();
+      while (!next.done) {
+        const { index, value: row } = next;
+        try {
+          const violations = recordViolations(row, fieldDefinitions, { codec: Boolean(codec), tableName });
+          let data = row;
+          if (codec && violations.length === 0) {
+            try {
+              data = codec.encode(row);
+            } catch (error) {
+              violations.push({ field: null, message: error.message });
+            }
+          }
+          if (violations.length > 0) {
+            throw new CaspioValidationError(`Row ${index} cannot be inserted into the '${tableName}' table: ${violations.map(({ message }) => message).join(' ')}`, { method: 'tables.bulkInsert', violations });
+          }
+          const theReq = await http({
+            method: 'post',
+            url: `/v2/tables/${tableName}/records?response=${returnRows ? 'rows' : ''}`,
+            data,
+          });
+          const [createdRecord] = returnRows ? theReq.data.Result : [];
+          successes.push(returnRows ? { index, createdRecord: codec ? codec.decode(createdRecord) : createdRecord } : { index });
+        } catch (error) {
+          const caspioError = toCaspioError(error, 'tables.bulkInsert');
+          failures.push({
+            index, row, message: caspioError.caspioMessage || caspioError.message, error: caspioError,
+          });
+          stopped = stopped || !continueOnError;
+        }
+        processed++;
+        if (onProgress) {
+          onProgress({ processed, inserted: successes.length, failed: failures.length });
+        }
+        next = await nextRow();
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, insertRows));
+    if (stopped && !exhausted && typeof iterator.return === 'function') {
+      // releases the source of the rows (e.g., destroys a stream)
+      await iterator.return();
+    }
+
+    const byIndex = (a, b) => a.index - b.index;
+    let stopMessage = '';
+    if (sourceError) {
+      stopMessage = ` Inserting stopped because the rows could not be read: ${sourceError.message}`;
+    } else if (stopped) {
+      stopMessage = ` Inserting stopped after row ${failures.sort(byIndex)[0].index} failed (set continueOnError to true to insert the remaining rows regardless).`;
+    }
+    return {
+      message: `${successes.length} of ${processed} row(s) successfully inserted into the '${tableName}' table.${stopMessage}`,
+      completed: !stopped,
+      processed,
+      inserted: successes.length,
+      failed: failures.length,
+      successes: successes.sort(byIndex),
+      failures: failures.sort(byIndex),
+      sourceError,
+    };
+  }
+
+  const utils = {
+    bulkInsert,
+    rowIterator,
+  };
+
+  return utils;
+}
+
+module.exports = bulkInsertUtils;
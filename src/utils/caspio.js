@@ -33,6 +33,10 @@ module.exports = {
     orderBy: '',
     limit: 1000,
   },
+  /**
+   * Maximum length of a request URI (including the base URL and query string) that Caspio's servers will interpret; longer URIs are rejected with `414 URI Too Long`
+   */
+  maxUriLength: 2047,
   /**
    * Deployment methods available in REST API (meant to be used when getting the DataPage deploy code)
    */
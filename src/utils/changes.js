@@ -0,0 +1,100 @@
+const { CaspioValidationError } = require('./errors');
+const { where } = require('./filters');
+const { fileCursorStore } = require('./cursor-stores');
+
+// field types whose values can mark when a record was last modified
+const timestampFieldTypes = ['TIMESTAMP', 'DATE/TIME'];
+
+/**
+ * Returns a cursor value as it is stored (dates become `'YYYY-MM-DDTHH:mm:ss'` strings, the format in which Caspio returns `TIMESTAMP` values)
+ * @param {(Date|string)} value Cursor value
+ * @returns {string} Stored cursor value
+ */
+function cursorValue(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 19) : String(value);
+}
+
+function changesUtils(credentials, context) {
+  const { tableDefinition, collectRecords, recordCodec } = context;
+
+  /**
+   * Returns the records of a table modified since a point in time (i.e., whose timestamp field is at or after it) sorted by their timestamp and then by `PK_ID`, along with a `commit` function that stores the timestamp of the latest record as the new cursor. The point in time is `since` or, if it is not provided, the cursor held by `store` (every record is returned if there is neither). Since the cursor is compared with `>=`, the records modified at the exact timestamp of the cursor are returned again by the next call (i.e., records are delivered at least once).
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Object} options Options
+   * @param {string} options.timestampField Name of the `TIMESTAMP` (or `DATE/TIME`) field that marks when a record was last modified
+   * @param {(Date|string)} [options.since] Point in time from which modified records are returned (overrides the stored cursor)
+   * @param {(string|Object)} [options.store] Cursor store (an object with async `get(key)` and `set(key, value)` functions) or the path of a JSON file in which cursors are kept
+   * @param {string} [options.cursorKey] Key of the cursor in the store (defaults to `'tables/<tableName>/<timestampField>'` with the field's name as defined)
+   * @param {string} [options.select] Fields to select (must include the timestamp field)
+   * @param {(string|Filter)} [options.where] Additional condition that the records must satisfy
+   * @returns {Promise<Object>} Modified records, the `since` and `until` cursor values, and the `commit` function
+   * @throws {CaspioValidationError} If the options are invalid or the timestamp field is not a `TIMESTAMP` or `DATE/TIME` field of the table
+   */
+  async function changesSince(tableName, options = {}) {
+    const {
+      timestampField, since: providedSince, store: providedStore, select, where: whereClause,
+    } = options;
+    if (typeof timestampField !== 'string' || timestampField.trim() === '') {
+      throw new CaspioValidationError('The timestampField option must be the name of the TIMESTAMP field that marks when a record was last modified.');
+    }
+    const store = typeof providedStore === 'string' ? fileCursorStore(providedStore) : providedStore;
+    if (store !== undefined && (store === null || typeof store.get !== 'function' || typeof store.set !== 'function')) {
+      throw new CaspioValidationError('The store option must be the path of a JSON file or an object with get(key) and set(key, value) functions.');
+    }
+    if (providedSince !== undefined && !(providedSince instanceof Date && !Number.isNaN(providedSince.getTime())) && typeof providedSince !== 'string') {
+      throw new CaspioValidationError(`${providedSince} is not a valid point in time. The since option must be a date or a 'YYYY-MM-DDTHH:mm:ss' string.`);
+    }
+
+    const fieldDefinitions = await tableDefinition(tableName);
+    const field = fieldDefinitions.find(({ Name }) => Name.toLowerCase() === timestampField.toLowerCase());
+    if (!field) {
+      throw new CaspioValidationError(`The '${tableName}' table does not have a field named '${timestampField}'.`);
+    }
+    if (!timestampFieldTypes.includes(field.Type)) {
+      throw new CaspioValidationError(`The '${field.Name}' field of the '${tableName}' table is a ${field.Type} field. Changes can only be tracked with a TIMESTAMP (or DATE/TIME) field.`);
+    }
+
+    const { cursorKey = `tables/${tableName}/${field.Name}` } = options;
+    const storedSince = providedSince === undefined && store ? await store.get(cursorKey) : undefined;
+    const since = [providedSince, storedSince].find((value) => value !== undefined && value !== null);
+    // many records may share a timestamp (e.g., after a bulk import), so PK_ID keeps their order stable from one page request to the next
+    const selectionCriteriaObj = { orderBy: `${field.Name} ASC, PK_ID ASC` };
+    if (select !== undefined) {
+      selectionCriteriaObj.select = select;
+    }
+    if (since !== undefined || whereClause !== undefined) {
+      selectionCriteriaObj.where = where.and(since === undefined ? null : where.gte(field.Name, since), whereClause);
+    }
+    // cursors are kept as returned by Caspio (records are decoded once the cursor is known)
+    const records = await collectRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { method: 'tables.changesSince', raw: true });
+    if (records.length > 0 && !Object.prototype.hasOwnProperty.call(records[0], field.Name)) {
+      throw new CaspioValidationError(`The selected fields do not include the '${field.Name}' field, which is needed to advance the cursor. Add it to the select option.`);
+    }
+
+    const sinceValue = since === undefined ? null : cursorValue(since);
+    const until = records.reduce((latest, record) => {
+      const timestamp = record[field.Name];
+      return timestamp !== null && (latest === null || timestamp > latest) ? timestamp : latest;
+    }, sinceValue);
+    const codec = await recordCodec(`/v2/tables/${tableName}`);
+    return {
+      records: codec ? records.map(codec.decode) : records,
+      since: sinceValue,
+      until,
+      commit: async () => {
+        if (store && until !== null) {
+          await store.set(cursorKey, until);
+        }
+        return until;
+      },
+    };
+  }
+
+  const utils = {
+    changesSince,
+  };
+
+  return utils;
+}
+
+module.exports = changesUtils;
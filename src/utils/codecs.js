@@ -0,0 +1,148 @@
+const { CaspioValidationError } = require('./errors');
+const { formatDate, parseDate } = require('./dates');
+const { createListField, listFieldTypes } = require('./list-fields');
+
+const dateFieldTypes = ['DATE/TIME', 'TIMESTAMP'];
+
+/**
+ * Returns a codec that converts the records of a table between Caspio's wire format and native JavaScript values according to the table's definition:
+ *
+ * - `DATE/TIME` and `TIMESTAMP` values are read as `Date` objects (see `parseDate`) and `Date` objects are written as `'YYYY-MM-DDTHH:mm:ss'` strings
+ * - `LIST-STRING`, `LIST-NUMBER`, and `LIST-DATE/TIME` values are read as arrays of item values (ordered by item index, with dates as `Date` objects) and written as the arrays of item indexes Caspio expects (a single value, an array of values, or an object of values by index may be written)
+ * - `CURRENCY` values are rounded to 4 decimal places (i.e., the precision Caspio stores) to drop floating-point noise
+ *
+ * Other values (including those of fields the table does not have) are left as is, and `null` values stay `null`.
+ * @param {Array<Object>} fieldDefinitions Field definitions of the table (see `tables.definition`)
+ * @param {string} tableName Name of table (used in error messages)
+ * @returns {{fields: Array<Object>, decode: function(Object): Object, encode: function(Object): Object}} Codec
+ */
+function createCodec(fieldDefinitions, tableName) {
+  const fieldsByName = new Map(fieldDefinitions.map((field) => [field.Name.toLowerCase(), field]));
+  const listFields = new Map(fieldDefinitions
+    .filter(({ Type }) => listFieldTypes.includes(Type))
+    .map((field) => [field.Name, createListField(field, tableName)]));
+
+  const decodeValue = (field, value) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (dateFieldTypes.includes(field.Type)) {
+      return parseDate(value);
+    }
+    if (listFields.has(field.Name) && typeof value === 'object' && !Array.isArray(value)) {
+      const items = listFields.get(field.Name).toValues(value);
+      return field.Type === 'LIST-DATE/TIME' ? items.map(parseDate) : items;
+    }
+    if (field.Type === 'CURRENCY' && typeof value === 'number') {
+      return Math.round(value * 10000) / 10000;
+    }
+    return value;
+  };
+
+  const encodeValue = (field, value) => {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) {
+        throw new CaspioValidationError(`The value of the '${field.Name}' field of the '${tableName}' table is an invalid date.`);
+      }
+      return dateFieldTypes.includes(field.Type) ? formatDate(value) : value;
+    }
+    if (listFields.has(field.Name)) {
+      return listFields.get(field.Name).toIndexes(value);
+    }
+    return value;
+  };
+
+  const convert = (record, convertValue) => {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      throw new CaspioValidationError(`Records must be objects of field values (received ${Array.isArray(record) ? 'an array' : record}).`);
+    }
+    return Object.fromEntries(Object.entries(record).map(([fieldName, value]) => {
+      const field = fieldsByName.get(fieldName.toLowerCase());
+      return [fieldName, field ? convertValue(field, value) : value];
+    }));
+  };
+
+  return {
+    fields: fieldDefinitions,
+    /**
+     * Returns a record read from Caspio with native JavaScript values (the record itself is not modified)
+     * @param {Object} record Record as returned by Caspio
+     * @returns {Object} Decoded record
+     */
+    decode: (record) => convert(record, decodeValue),
+    /**
+     * Returns a record (or the values of a record to write) in the format Caspio expects (the record itself is not modified)
+     * @param {Object} record Record with native JavaScript values
+     * @returns {Object} Encoded record
+     * @throws {CaspioValidationError} If a date is invalid or a value is not an item of a list field
+     */
+    encode: (record) => convert(record, encodeValue),
+  };
+}
+
+function codecUtils(credentials, context) {
+  const { tableDefinition } = context;
+  const { codec: codecEnabled = false } = context.options || {};
+  // codecs by field definitions (a codec is rebuilt once the cached definition of its table is replaced)
+  const codecs = new WeakMap();
+
+  /**
+   * Returns the codec of a table (see `createCodec`), built from the table's cached definition
+   * @param {string} tableName Name of table (case-insensitive)
+   * @returns {Promise<Object>} Codec
+   */
+  async function tableCodec(tableName) {
+    const fieldDefinitions = await tableDefinition(tableName);
+    if (!codecs.has(fieldDefinitions)) {
+      codecs.set(fieldDefinitions, createCodec(fieldDefinitions, tableName));
+    }
+    return codecs.get(fieldDefinitions);
+  }
+
+  /**
+   * Returns the codec applied to the records of a table or view when the client's `codec` option is enabled (views have no definition, so their records are never converted)
+   * @param {string} resourcePath Path of the table or view (e.g., `/v2/tables/Demo_Users`)
+   * @returns {Promise<(Object|null)>} Codec (or `null` if records are not converted)
+   */
+  async function recordCodec(resourcePath) {
+    const [, tableName] = /^\/v2\/tables\/([^/]+)$/.exec(resourcePath) || [];
+    return codecEnabled && tableName ? tableCodec(tableName) : null;
+  }
+
+  /**
+   * Returns records read from a table with native JavaScript values when the client's `codec` option is enabled (or the records themselves otherwise)
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Array<Object>} records Records as returned by Caspio
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async function decodeRecords(tableName, records) {
+    const codec = await recordCodec(`/v2/tables/${tableName}`);
+    return codec ? records.map(codec.decode) : records;
+  }
+
+  /**
+   * Returns a record to write to a table in Caspio's format when the client's `codec` option is enabled (or the record itself otherwise)
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Object} record Record with native JavaScript values
+   * @returns {Promise<Object>} Record
+   */
+  async function encodeRecord(tableName, record) {
+    const codec = await recordCodec(`/v2/tables/${tableName}`);
+    return codec ? codec.encode(record) : record;
+  }
+
+  const utils = {
+    decodeRecords,
+    encodeRecord,
+    recordCodec,
+    tableCodec,
+  };
+
+  return utils;
+}
+
+module.exports = codecUtils;
+module.exports.createCodec = createCodec;
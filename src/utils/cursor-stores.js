@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { CaspioValidationError } = require('./errors');
+
+/**
+ * Returns a sync cursor store (see `tables.changesSince`) that keeps cursors in a local JSON file (an object of cursor values by cursor key). The file is created on the first `set` and rewritten atomically (i.e., written to a temporary file that then replaces it) so that a crash never leaves a truncated file behind; writes of the same store are applied one after the other.
+ * @param {string} filePath Path of the JSON file
+ * @returns {{get: function(string): Promise<*>, set: function(string, *): Promise<void>}} Cursor store
+ */
+function fileCursorStore(filePath) {
+  let pendingWrite = Promise.resolve();
+
+  const readCursors = async () => {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      throw new CaspioValidationError(`The sync cursor file '${filePath}' does not hold valid JSON. Fix or remove the file (every table is then synced in full).`, { cause: error });
+    }
+  };
+
+  const writeCursor = async (key, value) => {
+    const cursors = await readCursors();
+    cursors[key] = value;
+    const tempFilePath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFilePath, `${JSON.stringify(cursors, null, 2)}\n`);
+    await fs.promises.rename(tempFilePath, filePath);
+  };
+
+  return {
+    get: async (key) => {
+      await pendingWrite;
+      const cursors = await readCursors();
+      return cursors[key];
+    },
+    set: (key, value) => {
+      // a failed write does not prevent later writes
+      pendingWrite = pendingWrite.catch(() => {}).then(() => writeCursor(key, value));
+      return pendingWrite;
+    },
+  };
+}
+
+/**
+ * Returns a sync cursor store (see `tables.changesSince`) that keeps cursors in memory (e.g., for tests or for a process that persists cursors itself)
+ * @param {Object} [cursors={}] Initial cursor values by cursor key
+ * @returns {{get: function(string): Promise<*>, set: function(string, *): Promise<void>}} Cursor store
+ */
+function memoryCursorStore(cursors = {}) {
+  const values = new Map(Object.entries(cursors));
+  return {
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+}
+
+module.exports = {
+  fileCursorStore,
+  memoryCursorStore,
+};
@@ -0,0 +1,29 @@
+// date/time values without a time zone designator (the format in which Caspio returns them)
+const wallClockPattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/;
+
+/**
+ * Returns a date/time value returned by Caspio as a `Date`. Caspio's date/time values have no time zone, so they are read as UTC (i.e., the wall-clock time is available through the `getUTC*` methods, and writing the date back yields the same value).
+ * @param {string} value Date/time value
+ * @returns {(Date|string)} Date (or the value itself if it is not a valid date/time value)
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const date = new Date(wallClockPattern.test(value) ? `${value.length === 10 ? `${value}T00:00:00` : value}Z` : value);
+  return Number.isNaN(date.getTime()) ? value : date;
+}
+
+/**
+ * Returns a `Date` as a date/time value Caspio accepts (i.e., `'YYYY-MM-DDTHH:mm:ss'` in UTC; see `parseDate`)
+ * @param {Date} date Date
+ * @returns {string} Date/time value
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+module.exports = {
+  formatDate,
+  parseDate,
+};
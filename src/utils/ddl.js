@@ -0,0 +1,186 @@
+const { CaspioValidationError } = require('./errors');
+const {
+  getDialect, quoteString, sqlIdentifier, sqlLiteral,
+} = require('./sql-dialects');
+
+/**
+ * Returns the path of the data file of a table (i.e., `<dataDirectory>/<tableName>.csv`, as written by `tables.exportRecords`)
+ * @param {string} dataDirectory Directory of the data files (as seen by the database server or client that reads them)
+ * @param {string} tableName Name of the table
+ * @returns {string} Path of the data file
+ */
+function dataFilePath(dataDirectory, tableName) {
+  return `${dataDirectory.replace(/[\\/]+$/, '')}/${tableName}.csv`;
+}
+
+/**
+ * Returns an argument of a dot-command of the `sqlite3` shell (e.g., `.import`): the shell does not use SQL quoting for such arguments, so the argument is enclosed in double quotes, within which backslashes and double quotes are escaped with a backslash
+ * @param {string} value Argument
+ * @returns {string} Quoted argument
+ * @throws {CaspioValidationError} If the argument holds a line break (dot-commands end at the end of their line)
+ */
+function shellArgument(value) {
+  if (/[\r\n]/.test(value)) {
+    throw new CaspioValidationError(`'${value}' cannot be used as an argument of a sqlite3 dot-command since it holds a line break.`);
+  }
+  return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Returns the name of the field that becomes the primary key of its table (i.e., the first `AUTONUMBER` field), if there is one
+ * @param {Array<Object>} fields Field definitions of the table (see `tables.definition`)
+ * @returns {(string|null)} Name of the primary key field (or `null` if the table has no `AUTONUMBER` field)
+ */
+function primaryKeyField(fields) {
+  const autonumberField = fields.find(({ Type }) => Type === 'AUTONUMBER');
+  return autonumberField ? autonumberField.Name : null;
+}
+
+/**
+ * Returns the field definitions of a table with upper-cased types, checking that every type is a Caspio field type
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fields Field definitions of the table (see `tables.definition`)
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @returns {Array<Object>} Field definitions
+ * @throws {CaspioValidationError} If the table has no fields or a field's type is not a Caspio field type
+ */
+function checkedFields(tableName, fields, dialect) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new CaspioValidationError(`The definition of table '${tableName}' must be a non-empty array of field definitions.`);
+  }
+  return fields.map((field) => {
+    const type = String(field.Type).toUpperCase();
+    if (!dialect.types[type]) {
+      throw new CaspioValidationError(`Field '${tableName}.${field.Name}' has the type '${field.Type}', which is not a Caspio field type. Valid types: ${Object.keys(dialect.types).join(', ')}.`);
+    }
+    return { ...field, Type: type };
+  });
+}
+
+/**
+ * Returns the statements that create a table: a `CREATE TABLE` statement whose first `AUTONUMBER` field is the primary key (with the dialect's auto-increment) and whose `Unique` fields have a `UNIQUE` constraint. In SQL Server, where a `UNIQUE` constraint allows a single `NULL`, `Unique` fields that allow nulls (i.e., `UniqueAllowNulls`) get a filtered unique index instead.
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fields Field definitions of the table (see `checkedFields`)
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @returns {string} SQL statements
+ */
+function createTableStatements(tableName, fields, dialect) {
+  const table = sqlIdentifier(tableName, dialect);
+  const primaryKey = primaryKeyField(fields);
+  const uniqueIndexes = [];
+  const columns = fields.map(({
+    Name, Type, Unique, UniqueAllowNulls,
+  }) => {
+    const column = sqlIdentifier(Name, dialect);
+    if (Name === primaryKey) {
+      return `  ${column} ${dialect.autonumberPrimaryKey}`;
+    }
+    if (Unique && UniqueAllowNulls && dialect.name === 'sqlserver') {
+      uniqueIndexes.push(`CREATE UNIQUE INDEX ${sqlIdentifier(`UX_${tableName}_${Name}`, dialect)} ON ${table} (${column}) WHERE ${column} IS NOT NULL;`);
+      return `  ${column} ${dialect.types[Type]}`;
+    }
+    return `  ${column} ${dialect.types[Type]}${Unique ? ' UNIQUE' : ''}`;
+  });
+  return [`CREATE TABLE ${table} (\n${columns.join(',\n')}\n);`, ...uniqueIndexes].join('\n');
+}
+
+/**
+ * Returns the SQL expression that converts a CSV value (i.e., text) into the value of a column: empty values become `NULL` and `YES/NO` values (written as `true` or `false`) become booleans
+ * @param {string} source SQL expression of the CSV value
+ * @param {string} type Caspio type of the field
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @returns {string} SQL expression
+ */
+function csvValueExpression(source, type, dialect) {
+  if (type === 'YES/NO') {
+    return `CASE ${source} WHEN 'true' THEN ${dialect.boolean(true)} WHEN 'false' THEN ${dialect.boolean(false)} END`;
+  }
+  return `NULLIF(${source}, '')`;
+}
+
+/**
+ * Returns the statements that load the data file of a table (written by `tables.exportRecords` in the CSV format) into the table: `COPY` (and a reset of the identity sequence) for PostgreSQL, `LOAD DATA LOCAL INFILE` for MySQL, `BULK INSERT` into a staging table for SQL Server, and `.import` (a command of the `sqlite3` shell) into a staging table for SQLite. `PASSWORD` fields are not part of the file (Caspio never returns their values), so their columns are left empty.
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fields Field definitions of the table (see `checkedFields`)
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @param {string} filePath Path of the data file
+ * @returns {string} SQL statements
+ */
+function seedStatements(tableName, fields, dialect, filePath) {
+  const table = sqlIdentifier(tableName, dialect);
+  const file = sqlLiteral(filePath, dialect);
+  const seededFields = fields.filter(({ Type }) => Type !== 'PASSWORD');
+  const columns = seededFields.map(({ Name }) => sqlIdentifier(Name, dialect));
+  const primaryKey = primaryKeyField(fields);
+
+  if (dialect.name === 'postgres') {
+    const statements = [`COPY ${table} (${columns.join(', ')})\nFROM ${file}\nWITH (FORMAT csv, HEADER true);`];
+    if (primaryKey) {
+      const column = sqlIdentifier(primaryKey, dialect);
+      // the column name is not parsed by pg_get_serial_sequence, so an unquoted name is given as PostgreSQL stores it (i.e., in lower case)
+      const storedColumn = column === primaryKey ? primaryKey.toLowerCase() : primaryKey;
+      statements.push(`SELECT setval(pg_get_serial_sequence(${sqlLiteral(table, dialect)}, ${sqlLiteral(storedColumn, dialect)}), COALESCE(MAX(${column}), 0) + 1, false) FROM ${table};`);
+    }
+    return statements.join('\n');
+  }
+  if (dialect.name === 'mysql') {
+    const variables = seededFields.map((field, i) => `@v${i + 1}`);
+    const assignments = seededFields.map(({ Type }, i) => `${columns[i]} = ${csvValueExpression(variables[i], Type, dialect)}`);
+    return `LOAD DATA LOCAL INFILE ${file}\nINTO TABLE ${table}\nCHARACTER SET utf8mb4\nFIELDS TERMINATED BY ',' OPTIONALLY ENCLOSED BY '"' ESCAPED BY ''\nLINES TERMINATED BY '\\n'\nIGNORE 1 LINES\n(${variables.join(', ')})\nSET ${assignments.join(',\n  ')};`;
+  }
+
+  // SQL Server and SQLite load the file into a staging table of text columns and convert the values while copying them
+  const stagingName = dialect.name === 'sqlserver' ? `#${tableName}_seed` : `${tableName}_seed`;
+  const staging = sqlIdentifier(stagingName, dialect);
+  const textType = dialect.name === 'sqlserver' ? 'NVARCHAR(MAX)' : 'TEXT';
+  const conversions = seededFields.map(({ Type }, i) => csvValueExpression(columns[i], Type, dialect));
+  const insert = `INSERT INTO ${table} (${columns.join(', ')})\nSELECT ${conversions.join(', ')}\nFROM ${staging};`;
+  const statements = [`CREATE TABLE ${staging} (${columns.map((column) => `${column} ${textType}`).join(', ')});`];
+  if (dialect.name === 'sqlserver') {
+    // the file of BULK INSERT is a plain (rather than N-prefixed) string literal
+    statements.push(`BULK INSERT ${staging}\nFROM ${quoteString(filePath)}\nWITH (FORMAT = 'CSV', FIRSTROW = 2, FIELDTERMINATOR = ',', ROWTERMINATOR = '0x0a', CODEPAGE = '65001');`);
+    statements.push(primaryKey ? `SET IDENTITY_INSERT ${table} ON;\n${insert}\nSET IDENTITY_INSERT ${table} OFF;` : insert);
+  } else {
+    statements.push(`.import --csv --skip 1 ${shellArgument(filePath)} ${stagingName}`, insert);
+  }
+  statements.push(`DROP TABLE ${staging};`);
+  return statements.join('\n');
+}
+
+/**
+ * Returns the DDL of tables in a SQL dialect: the statements that create every table and, with `dataDirectory`, the statements that load the data file of every table (see `createTableStatements` and `seedStatements`)
+ * @param {Object<string, Array<Object>>} definitions Field definitions (see `tables.definition`) by table name
+ * @param {Object} options Options
+ * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} options.dialect SQL dialect
+ * @param {string} [options.dataDirectory] Directory of the data files of the tables (each named `<tableName>.csv`)
+ * @returns {{dialect: string, tables: Object<string, {create: string, seed: (string|null)}>, schema: string, seed: (string|null)}} Statements by table and all statements of each kind
+ * @throws {CaspioValidationError} If the dialect is not supported or a table's definition is invalid
+ */
+function tablesDDL(definitions, options) {
+  const { dialect: dialectName, dataDirectory } = options;
+  const dialect = getDialect(dialectName);
+  if (dataDirectory !== undefined && (typeof dataDirectory !== 'string' || dataDirectory === '')) {
+    throw new CaspioValidationError('The dataDirectory must be a non-empty string.');
+  }
+  const tables = Object.entries(definitions).reduce((statements, [tableName, fields]) => {
+    const checked = checkedFields(tableName, fields, dialect);
+    return {
+      ...statements,
+      [tableName]: {
+        create: createTableStatements(tableName, checked, dialect),
+        seed: dataDirectory ? seedStatements(tableName, checked, dialect, dataFilePath(dataDirectory, tableName)) : null,
+      },
+    };
+  }, {});
+  const statementsOf = (kind) => Object.values(tables).map((statements) => statements[kind]).join('\n\n');
+  return {
+    dialect: dialect.name,
+    tables,
+    schema: statementsOf('create'),
+    seed: dataDirectory ? statementsOf('seed') : null,
+  };
+}
+
+module.exports = {
+  tablesDDL,
+};
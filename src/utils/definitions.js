@@ -0,0 +1,47 @@
+function definitionUtils(credentials, context) {
+  const { http } = context;
+  // table definitions by lowercased table name (table names are case-insensitive)
+  const cache = new Map();
+
+  /**
+   * Returns the definition of a table (i.e., the same array of field definitions returned by `tables.definition`). The definition is fetched once per client and cached; concurrent callers share a single request, and a failed request is not cached.
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Object} [options={}] Options
+   * @param {boolean} [options.refresh=false] Whether to fetch the definition again instead of using the cached definition
+   * @returns {Promise<Array<Object>>} Field definitions of the table
+   */
+  function tableDefinition(tableName, options = {}) {
+    const key = String(tableName).toLowerCase();
+    if (options.refresh || !cache.has(key)) {
+      const pendingDefinition = http({
+        method: 'get',
+        url: `/v2/tables/${tableName}/fields`,
+      }).then((theReq) => theReq.data.Result);
+      pendingDefinition.catch(() => {
+        if (cache.get(key) === pendingDefinition) {
+          cache.delete(key);
+        }
+      });
+      cache.set(key, pendingDefinition);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Removes the cached definition of a table (e.g., after one of its fields was added, updated, or deleted) so that it is fetched again when it is next needed
+   * @param {string} tableName Name of table (case-insensitive)
+   * @returns {void}
+   */
+  function forgetTableDefinition(tableName) {
+    cache.delete(String(tableName).toLowerCase());
+  }
+
+  const utils = {
+    forgetTableDefinition,
+    tableDefinition,
+  };
+
+  return utils;
+}
+
+module.exports = definitionUtils;
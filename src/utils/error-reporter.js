@@ -0,0 +1,27 @@
+const axios = require('axios');
+const axiosErrorHandler = require('./axios-error-handler');
+const { toCaspioError } = require('./errors');
+
+/**
+ * Returns the function used by every SDK method to report an error. In strict mode, the error is converted into a `CaspioError` (or one of its subclasses) and thrown so that the method's promise rejects; otherwise, the error is logged and the method resolves to `undefined`.
+ * @param {Object} [options={}] Client options
+ * @param {boolean} [options.strict=false] Whether or not errors should be thrown instead of logged
+ * @param {Object} [log] Logger to report errors through when not in strict mode (see `logger.js`)
+ * @returns {function(any, string): void} Error reporting function that accepts the error and the name of the method that failed (e.g., `'tables.getRecords'`)
+ */
+function errorReporter(options = {}, log = require('./logger')(options)) {
+  const { strict = false } = options;
+
+  return function handleError(error, method) {
+    if (strict) {
+      throw toCaspioError(error, method);
+    }
+    if (axios.isAxiosError(error)) {
+      axiosErrorHandler(error, log);
+    } else {
+      log.error(`${method} failed: ${error && error.message ? error.message : error}`, { err: error, method });
+    }
+  };
+}
+
+module.exports = errorReporter;
@@ -0,0 +1,157 @@
+const axios = require('axios');
+
+/**
+ * Returns the provided URL with the values of any token-like query parameters (e.g., `access_token`) redacted so that the URL may be safely logged or attached to an error
+ * @param {string} url URL of a request
+ * @returns {string} URL with token values replaced by `[REDACTED]`
+ */
+function redactUrl(url) {
+  if (typeof url !== 'string') {
+    return url;
+  }
+  return url.replace(/([?&](?:access_token|refresh_token|token)=)[^&#]*/gi, '$1[REDACTED]');
+}
+
+/**
+ * Base class for all errors reported by the SDK.
+ */
+class CaspioError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details={}] Error details
+   * @param {number} [details.status] HTTP status code of Caspio's response (if any)
+   * @param {string} [details.caspioMessage] Inner exception message (i.e., the `Message` property) of Caspio's response (if any)
+   * @param {string} [details.method] Name of the SDK method that failed (e.g., `'tables.getRecords'`)
+   * @param {string} [details.url] URL of the failed request (token values are redacted)
+   * @param {Error} [details.cause] Original error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    const {
+      status = null, caspioMessage = null, method = null, url = null, cause = null,
+    } = details;
+    this.name = this.constructor.name;
+    this.status = status;
+    this.caspioMessage = caspioMessage;
+    this.method = method;
+    this.url = redactUrl(url);
+    if (cause) {
+      Object.defineProperty(this, 'cause', { value: cause, enumerable: false, writable: true });
+    }
+  }
+}
+
+/**
+ * Authentication or authorization failure (e.g., `401 Unauthorized`, `403 Forbidden`, or a failure to obtain an access token).
+ */
+class CaspioAuthError extends CaspioError {}
+
+/**
+ * The requested resource does not exist (e.g., `404 Not Found` or a table, file, application, etc. that could not be found by name).
+ */
+class CaspioNotFoundError extends CaspioError {}
+
+/**
+ * The request was rejected as invalid, either by Caspio (e.g., `400 Bad Request`) or by the SDK before the request was sent.
+ */
+class CaspioValidationError extends CaspioError {
+  /**
+   * @param {string} message Error message
+   * @param {Object} [details={}] Error details (see `CaspioError`)
+   * @param {Array<{field: string, message: string}>} [details.violations] Every field-level violation found by the SDK before the request was sent
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.violations = details.violations || [];
+  }
+}
+
+/**
+ * Caspio is throttling requests (i.e., `429 Too Many Requests`).
+ */
+class CaspioRateLimitError extends CaspioError {}
+
+/**
+ * The request URI exceeds the maximum length accepted by Caspio (i.e., `414 URI Too Long`) or would exceed it, in which case the request is not sent.
+ */
+class CaspioUriTooLongError extends CaspioError {}
+
+/**
+ * Caspio failed to fulfill a valid request (i.e., `5xx` responses).
+ */
+class CaspioServerError extends CaspioError {}
+
+/**
+ * The request failed without a usable response from Caspio (e.g., network failure, timeout, or an unexpected status code).
+ */
+class CaspioRequestError extends CaspioError {}
+
+/**
+ * Returns the error class that corresponds to an HTTP status code
+ * @param {number} status HTTP status code
+ * @returns {Function} Subclass of `CaspioError`
+ */
+function errorClassForStatus(status) {
+  if (status === 401 || status === 403) {
+    return CaspioAuthError;
+  }
+  if (status === 404) {
+    return CaspioNotFoundError;
+  }
+  if (status === 400 || status === 422) {
+    return CaspioValidationError;
+  }
+  if (status === 414) {
+    return CaspioUriTooLongError;
+  }
+  if (status === 429) {
+    return CaspioRateLimitError;
+  }
+  if (status >= 500) {
+    return CaspioServerError;
+  }
+  return CaspioRequestError;
+}
+
+/**
+ * Converts any error into a `CaspioError` (errors that already are instances of `CaspioError` are returned as they are, with the method name filled in if missing)
+ * @param {any} error Error to convert
+ * @param {string} [method] Name of the SDK method that failed
+ * @returns {CaspioError} Structured error
+ */
+function toCaspioError(error, method) {
+  if (error instanceof CaspioError) {
+    if (!error.method && method) {
+      error.method = method;
+    }
+    return error;
+  }
+  if (axios.isAxiosError(error)) {
+    const { config = {}, response } = error;
+    const url = config.url && config.baseURL && !/^https?:\/\//i.test(config.url) ? `${config.baseURL}${config.url}` : config.url;
+    if (!response) {
+      return new CaspioRequestError(`Request to Caspio failed: ${error.message}`, { method, url, cause: error });
+    }
+    const { status, statusText, data } = response;
+    const caspioMessage = data && typeof data === 'object' && data.Message ? data.Message : null;
+    const ErrorClass = errorClassForStatus(status);
+    const message = `Caspio server response was "${status} ${statusText}"${caspioMessage ? `: ${caspioMessage}` : ''}`;
+    return new ErrorClass(message, {
+      status, caspioMessage, method, url, cause: error,
+    });
+  }
+  return new CaspioError(error && error.message ? error.message : String(error), { method, cause: error });
+}
+
+module.exports = {
+  CaspioError,
+  CaspioAuthError,
+  CaspioNotFoundError,
+  CaspioValidationError,
+  CaspioRateLimitError,
+  CaspioUriTooLongError,
+  CaspioServerError,
+  CaspioRequestError,
+  redactUrl,
+  toCaspioError,
+};
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { CaspioValidationError } = require('./errors');
+const { getDialect, sqlLiteral } = require('./sql-dialects');
+
+const exportFormats = ['csv', 'ndjson', 'xlsx', 'sql'];
+const exportFormatsByExtension = {
+  '.csv': 'csv', '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.xlsx': 'xlsx', '.sql': 'sql',
+};
+// limits imposed by Excel (see https://support.microsoft.com/en-us/office/excel-specifications-and-limits-1672b34d-7043-467e-8e27-269d656771c3)
+const excelMaxCellLength = 32767;
+const excelMaxRows = 1048576;
+// field types whose values (returned by Caspio as ISO 8601 strings without an offset) become Excel dates
+const dateTimeFieldTypes = ['DATE/TIME', 'TIMESTAMP'];
+
+/**
+ * Returns the value of a record's field as it is exported: values of `LIST-STRING`, `LIST-NUMBER`, and `LIST-DATE/TIME` fields (returned by Caspio as objects such as `{ "1": "Dog", "3": "Cat" }`) become arrays of the selected values ordered by their list index; every other value is returned as is (`FILE` fields hold the file's path and `DATE/TIME` fields hold ISO 8601 strings)
+ * @param {any} value Value of a record's field
+ * @returns {any} Exported value
+ */
+function normalizeValue(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.keys(value)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((key) => value[key]);
+  }
+  return value;
+}
+
+/**
+ * Returns the value of a record's field as it is written to formats that only hold scalar values (i.e., CSV, XLSX, and SQL): lists are written as JSON arrays
+ * @param {any} value Value of a record's field
+ * @returns {(string|number|boolean|null)} Scalar value
+ */
+function scalarValue(value) {
+  const normalizedValue = normalizeValue(value);
+  return Array.isArray(normalizedValue) ? JSON.stringify(normalizedValue) : normalizedValue;
+}
+
+/**
+ * Returns a CSV field as specified by RFC 4180 (i.e., a field that contains the delimiter, a double quote, or a line break is enclosed in double quotes, and double quotes are escaped by doubling them)
+ * @param {any} value Value of a record's field
+ * @param {string} delimiter Field delimiter
+ * @returns {string} CSV field
+ */
+function csvField(value, delimiter) {
+  const scalar = scalarValue(value);
+  if (scalar === null) {
+    return '';
+  }
+  const field = String(scalar);
+  if (field.includes(delimiter) || /["\r\n]/.test(field) || field.trim() !== field) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+}
+
+/**
+ * Returns a transform stream that turns pages of records into CSV text (a header row with the field names of the first record followed by one row per record)
+ * @param {Object} options Export options
+ * @param {string} [options.delimiter=','] Field delimiter
+ * @param {function(number): void} onRecords Function called with the number of records in every page
+ * @returns {Transform} Transform stream
+ */
+function csvTransform(options, onRecords) {
+  const { delimiter = ',' } = options;
+  let fieldNames = null;
+  return new Transform({
+    writableObjectMode: true,
+    transform(page, encoding, callback) {
+      if (page.length > 0 && !fieldNames) {
+        fieldNames = Object.keys(page[0]);
+        this.push(`${fieldNames.map((fieldName) => csvField(fieldName, delimiter)).join(delimiter)}\n`);
+      }
+      const rows = page.map((record) => `${fieldNames.map((fieldName) => csvField(record[fieldName], delimiter)).join(delimiter)}\n`);
+      onRecords(page.length);
+      callback(null, rows.join(''));
+    },
+  });
+}
+
+/**
+ * Returns a transform stream that turns pages of records into newline-delimited JSON (one JSON object per line)
+ * @param {Object} options Export options
+ * @param {function(number): void} onRecords Function called with the number of records in every page
+ * @returns {Transform} Transform stream
+ */
+function ndjsonTransform(options, onRecords) {
+  return new Transform({
+    writableObjectMode: true,
+    transform(page, encoding, callback) {
+      const lines = page.map((record) => {
+        const exportedRecord = Object.fromEntries(Object.entries(record).map(([fieldName, value]) => [fieldName, normalizeValue(value)]));
+        return `${JSON.stringify(exportedRecord)}\n`;
+      });
+      onRecords(page.length);
+      callback(null, lines.join(''));
+    },
+  });
+}
+
+/**
+ * Returns a transform stream that turns pages of records into multi-row `INSERT` statements
+ * @param {Object} options Export options
+ * @param {string} options.tableName Name of the table the statements insert into
+ * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} [options.dialect='postgres'] SQL dialect
+ * @param {number} [options.batchSize=500] Maximum number of records per `INSERT` statement (capped at the dialect's limit)
+ * @param {function(number): void} onRecords Function called with the number of records in every page
+ * @returns {Transform} Transform stream
+ */
+function sqlTransform(options, onRecords) {
+  const { tableName, dialect: dialectName = 'postgres', batchSize = 500 } = options;
+  const dialect = getDialect(dialectName);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new CaspioValidationError(`The batchSize must be a positive integer (received ${batchSize}).`);
+  }
+  const rowsPerStatement = Math.min(batchSize, dialect.maxRowsPerInsert);
+  let fieldNames = null;
+  let batch = [];
+
+  /**
+   * Returns an `INSERT` statement for the records of the current batch and empties the batch
+   * @returns {string} `INSERT` statement
+   */
+  function flushBatch() {
+    const columns = fieldNames.map((fieldName) => dialect.quoteIdentifier(fieldName)).join(', ');
+    const rows = batch.map((record) => `  (${fieldNames.map((fieldName) => sqlLiteral(scalarValue(record[fieldName]), dialect)).join(', ')})`);
+    batch = [];
+    return `INSERT INTO ${dialect.quoteIdentifier(tableName)} (${columns}) VALUES\n${rows.join(',\n')};\n`;
+  }
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(page, encoding, callback) {
+      if (page.length > 0 && !fieldNames) {
+        fieldNames = Object.keys(page[0]);
+      }
+      const statements = [];
+      page.forEach((record) => {
+        batch.push(record);
+        if (batch.length === rowsPerStatement) {
+          statements.push(flushBatch());
+        }
+      });
+      onRecords(page.length);
+      callback(null, statements.join(''));
+    },
+    flush(callback) {
+      callback(null, batch.length > 0 ? flushBatch() : '');
+    },
+  });
+}
+
+/**
+ * Returns the value of a record's field as an Excel cell value: values of `DATE/TIME` and `TIMESTAMP` fields become dates (formatted as `yyyy-mm-dd hh:mm:ss`) and lists become JSON arrays
+ * @param {any} value Value of a record's field
+ * @param {string} fieldName Name of the field
+ * @param {(string|undefined)} fieldType Caspio type of the field (if known)
+ * @param {number} recordNumber Position of the record in the export (starting at `1`)
+ * @returns {(string|number|boolean|Date|null)} Cell value
+ * @throws {CaspioValidationError} If the value is longer than an Excel cell can hold (values are never truncated)
+ */
+function excelCellValue(value, fieldName, fieldType, recordNumber) {
+  const scalar = scalarValue(value);
+  if (typeof scalar !== 'string') {
+    return scalar;
+  }
+  if (dateTimeFieldTypes.includes(fieldType)) {
+    const date = new Date(`${scalar}Z`);
+    if (!Number.isNaN(date.getTime())) {
+      return date;
+    }
+  }
+  if (scalar.length > excelMaxCellLength) {
+    throw new CaspioValidationError(`The value of the '${fieldName}' field of record ${recordNumber} has ${scalar.length} characters, but an Excel cell holds at most ${excelMaxCellLength} characters. Export the records as CSV, NDJSON, or SQL instead so that no value is truncated.`);
+  }
+  return scalar;
+}
+
+/**
+ * Returns a writable stream that writes pages of records to an Excel workbook (one worksheet with a header row with the field names of the first record followed by one row per record)
+ * @param {string} destPath Path of the workbook
+ * @param {Object} options Export options
+ * @param {string} options.tableName Name of the table or view (used as the worksheet name unless `sheetName` is provided)
+ * @param {string} [options.sheetName] Name of the worksheet
+ * @param {Object<string, string>} [options.fieldTypes={}] Caspio types of the fields by field name (values of `DATE/TIME` and `TIMESTAMP` fields become Excel dates)
+ * @param {function(number): void} onRecords Function called with the number of records in every page
+ * @returns {Writable} Writable stream
+ */
+function xlsxWriter(destPath, options, onRecords) {
+  const { tableName, sheetName = tableName, fieldTypes = {} } = options;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: destPath, useStyles: true });
+  // worksheet names may not contain any of : \ / ? * [ ] and hold at most 31 characters
+  const worksheet = workbook.addWorksheet(String(sheetName).replace(/[:\\/?*[\]]/g, '_').slice(0, 31));
+  let fieldNames = null;
+  let recordNumber = 0;
+
+  return new Writable({
+    objectMode: true,
+    write(page, encoding, callback) {
+      try {
+        if (page.length > 0 && !fieldNames) {
+          fieldNames = Object.keys(page[0]);
+          worksheet.columns = fieldNames.map((fieldName) => ({ header: fieldName, key: fieldName }));
+        }
+        page.forEach((record) => {
+          recordNumber++;
+          if (recordNumber >= excelMaxRows) {
+            throw new CaspioValidationError(`An Excel worksheet holds at most ${excelMaxRows - 1} records (in addition to the header row). Export the records as CSV, NDJSON, or SQL instead, or narrow down the records with the 'where' criteria.`);
+          }
+          const row = worksheet.addRow(fieldNames.map((fieldName) => excelCellValue(record[fieldName], fieldName, fieldTypes[fieldName], recordNumber)));
+          row.eachCell((cell) => {
+            if (cell.value instanceof Date) {
+              cell.numFmt = 'yyyy-mm-dd hh:mm:ss';
+            }
+          });
+          row.commit();
+        });
+        onRecords(page.length);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    final(callback) {
+      worksheet.commit();
+      workbook.commit().then(() => callback(), callback);
+    },
+  });
+}
+
+/**
+ * Writes pages of records to a file in the provided format. Every format renders values the same way: the `PK_ID` field is left out, `LIST-*` values become lists of the selected values (JSON arrays in NDJSON and JSON array text in CSV, XLSX, and SQL), `FILE` values hold the file's path, `DATE/TIME` values are written as ISO 8601 strings (as Excel dates in XLSX, according to `fieldTypes`), and `TEXT (64000)` values are written in full. A value is never truncated: if a value cannot be stored in the target format (i.e., an Excel cell holds at most 32,767 characters), then the export fails with a `CaspioValidationError` and the partially written file is removed.
+ * @param {AsyncIterable<Array<Object>>} recordPages Pages of records (see `iterateRecords`)
+ * @param {string} destPath Path of the file to write to
+ * @param {Object} [options={}] Export options
+ * @param {('csv'|'ndjson'|'xlsx'|'sql')} [options.format] Format of the file (inferred from the extension of `destPath` if not provided)
+ * @param {string} options.tableName Name of the table or view being exported
+ * @param {Object<string, string>} [options.fieldTypes={}] Caspio types of the fields by field name (e.g., from the table's definition)
+ * @returns {Promise<{format: string, destPath: string, recordsExported: number}>} Export summary
+ * @throws {CaspioValidationError} If the format (or one of its options) is invalid or a value cannot be exported without truncation
+ */
+async function exportRecords(recordPages, destPath, options = {}) {
+  const format = options.format ? String(options.format).toLowerCase() : exportFormatsByExtension[path.extname(destPath).toLowerCase()];
+  if (!exportFormats.includes(format)) {
+    throw new CaspioValidationError(`'${options.format || destPath}' does not identify a supported export format. Provide one of the following as the format option: ${exportFormats.map((name) => `'${name}'`).join(', ')}.`);
+  }
+  let recordsExported = 0;
+  const onRecords = (count) => { recordsExported += count; };
+  const withoutPKID = new Transform({
+    objectMode: true,
+    transform(page, encoding, callback) {
+      callback(null, page.map(({ PK_ID, ...record }) => record));
+    },
+  });
+
+  const stages = {
+    csv: () => [csvTransform(options, onRecords), fs.createWriteStream(destPath)],
+    ndjson: () => [ndjsonTransform(options, onRecords), fs.createWriteStream(destPath)],
+    sql: () => [sqlTransform(options, onRecords), fs.createWriteStream(destPath)],
+    xlsx: () => [xlsxWriter(destPath, options, onRecords)],
+  }[format]();
+
+  try {
+    await pipeline(recordPages, withoutPKID, ...stages);
+  } catch (error) {
+    await fs.promises.rm(destPath, { force: true });
+    throw error;
+  }
+  return { format, destPath, recordsExported };
+}
+
+module.exports = {
+  exportFormats,
+  exportRecords,
+};
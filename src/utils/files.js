@@ -1,36 +1,31 @@
 const path = require('path');
-const axios = require('axios');
-const axiosErrorHandler = require('./axios-error-handler');
+const { CaspioNotFoundError, CaspioValidationError } = require('./errors');
 
-function fileUtils(credentials) {
-  const { baseURL, headers: caspioHeaders } = require('./api-config')(credentials);
+function fileUtils(credentials, context) {
+  const { http } = context;
 
   /**
-   * Returns the requested resource if found or false otherwise
+   * Returns the requested resource if found
    * @param {{Folders: Array.<Object>, Files: Array.<Object>}} filesFoldersObj An object with two properties, Folders and Files, both of which contain an array of objects describing folders and files, respectively
    * @param {string} resourceName Name of resource to find
    * @param {('f'|'d')} resourceType Resource type, where 'f' stands for *file* and 'd' stands for *directory*
-   * @returns {Object} Found resource or false otherwise
+   * @returns {Object} Found resource
+   * @throws {CaspioNotFoundError} If the resource does not exist
    */
   function findResource(filesFoldersObj, resourceName, resourceType) {
-    try {
-      const { Files, Folders } = filesFoldersObj;
-      if (resourceType === 'f') {
-        const resource = Files.find((file) => file.Name === `${resourceName}`);
-        if (resource) {
-          return resource;
-        }
-        throw new Error(`The file '${resourceName}' does not exist in the specified location. Please try again.`);
-      } else if (resourceType === 'd') {
-        const resource = Folders.find((folder) => folder.Name === `${resourceName}`);
-        if (resource) {
-          return resource;
-        }
-        throw new Error(`The folder '${resourceName}' does not exist in the specified location. Please try again.`);
+    const { Files, Folders } = filesFoldersObj;
+    if (resourceType === 'f') {
+      const resource = Files.find((file) => file.Name === `${resourceName}`);
+      if (resource) {
+        return resource;
       }
-    } catch (error) {
-      console.error(error);
+      throw new CaspioNotFoundError(`The file '${resourceName}' does not exist in the specified location. Please try again.`);
     }
+    const resource = Folders.find((folder) => folder.Name === `${resourceName}`);
+    if (resource) {
+      return resource;
+    }
+    throw new CaspioNotFoundError(`The folder '${resourceName}' does not exist in the specified location. Please try again.`);
   }
 
   /**
@@ -39,20 +34,11 @@ function fileUtils(credentials) {
    * @returns {{Folders: Array.<Object>, Files: Array.<Object>}} An object with two properties, Folders and Files, both of which contain an array of objects describing folders and files (as objects), respectively
    */
   async function metadataByKey(externalKey) {
-    try {
-      const theReq = await axios({
-        method: 'get',
-        url: `${baseURL}/v2/files?externalKey=${externalKey}`,
-        headers: caspioHeaders,
-      });
-      return theReq.data.Result;
-    } catch (error) {
-      if (axios.isAxiosError(error)) {
-        axiosErrorHandler(error);
-      } else {
-        console.error(error);
-      }
-    }
+    const theReq = await http({
+      method: 'get',
+      url: `/v2/files?externalKey=${externalKey}`,
+    });
+    return theReq.data.Result;
   }
 
   /**
@@ -60,63 +46,61 @@ function fileUtils(credentials) {
    * @param {string} resourcePath Path to resource
    * @param {{resourceType: ('f'|'d')}} options Options object; currently the only supported property is resourceType with possible values of `'f'` or `'d'` to denote *file* or *directory*, respectively
    * @returns {Object} Object with metainformation on the requested file or folder resource
+   * @throws {CaspioValidationError} If the path or options provided are not valid
+   * @throws {CaspioNotFoundError} If the file or folder (or one of its parent folders) does not exist
    */
   async function fileOrDirectoryMetadata(resourcePath, options = { resourceType: 'f' }) {
-    try {
-      if (typeof resourcePath !== 'string') {
-        throw new Error(`The following path provided is not valid: ${resourcePath}. A valid path must be a string.`);
-      }
+    if (typeof resourcePath !== 'string') {
+      throw new CaspioValidationError(`The following path provided is not valid: ${resourcePath}. A valid path must be a string.`);
+    }
 
-      if (!resourcePath.startsWith('/')) {
-        throw new Error(`The provided path '${resourcePath}' is not valid. A valid path must begin with the '/' character.`);
-      }
+    if (!resourcePath.startsWith('/')) {
+      throw new CaspioValidationError(`The provided path '${resourcePath}' is not valid. A valid path must begin with the '/' character.`);
+    }
 
-      if (resourcePath.endsWith('/')) {
-        throw new Error(`The provided path '${resourcePath}' is not valid. A valid path must not end with the '/' character.`);
-      }
+    if (resourcePath.endsWith('/')) {
+      throw new CaspioValidationError(`The provided path '${resourcePath}' is not valid. A valid path must not end with the '/' character.`);
+    }
 
-      if (typeof options !== 'object') {
-        throw new Error('The second argument provided is not valid. Ensure the second argument provided is an object with a \'resourceType\' property with a value of either \'f\' for \'file\' or \'d\' for \'directory\'.');
-      }
-      if (!Object.prototype.hasOwnProperty.call(options, 'resourceType')) {
-        throw new Error('The second argument provided is not valid. The object provided must have a \'resourceType\' property set to either \'f\' for \'file\', which is the default, or \'d\' for \'directory\'.');
-      }
+    if (typeof options !== 'object') {
+      throw new CaspioValidationError('The second argument provided is not valid. Ensure the second argument provided is an object with a \'resourceType\' property with a value of either \'f\' for \'file\' or \'d\' for \'directory\'.');
+    }
+    if (!Object.prototype.hasOwnProperty.call(options, 'resourceType')) {
+      throw new CaspioValidationError('The second argument provided is not valid. The object provided must have a \'resourceType\' property set to either \'f\' for \'file\', which is the default, or \'d\' for \'directory\'.');
+    }
 
-      if (!(options.resourceType === 'f' || options.resourceType === 'd')) {
-        throw new Error('The second argument provided is not valid. The object provided must have a \'resourceType\' property value of either \'f\' for \'file\', which is the default, or \'d\' for \'directory\'. Other values are not valid at this time.');
-      }
+    if (!(options.resourceType === 'f' || options.resourceType === 'd')) {
+      throw new CaspioValidationError('The second argument provided is not valid. The object provided must have a \'resourceType\' property value of either \'f\' for \'file\', which is the default, or \'d\' for \'directory\'. Other values are not valid at this time.');
+    }
 
-      let foundResource;
-      const targetResource = path.basename(resourcePath);
-      let baseData = await metadataByKey('');
-
-      if (resourcePath.lastIndexOf('/') === 0) {
-        if (options.resourceType === 'f') {
-          foundResource = findResource(baseData, targetResource, 'f');
-        } else if (options.resourceType === 'd') {
-          foundResource = findResource(baseData, targetResource, 'd');
-        }
-        return foundResource;
-      }
+    let foundResource;
+    const targetResource = path.basename(resourcePath);
+    let baseData = await metadataByKey('');
 
-      const directoriesToFind = path.dirname(resourcePath).split('/');
-
-      for (let i = 1; i < directoriesToFind.length; i++) {
-        const dirToFind = directoriesToFind[i];
-        const foundDir = findResource(baseData, dirToFind, 'd');
-        if (foundDir) {
-          const dirKey = foundDir.ExternalKey;
-          baseData = await metadataByKey(dirKey);
-        } else {
-          throw new Error(`Folder '${dirToFind}' not found as specified in the provided path: '${resourcePath}'. Please check your file structure and try again.`);
-        }
+    if (resourcePath.lastIndexOf('/') === 0) {
+      if (options.resourceType === 'f') {
+        foundResource = findResource(baseData, targetResource, 'f');
+      } else if (options.resourceType === 'd') {
+        foundResource = findResource(baseData, targetResource, 'd');
       }
-
-      foundResource = findResource(baseData, targetResource, options.resourceType);
       return foundResource;
-    } catch (error) {
-      console.error(error);
     }
+
+    const directoriesToFind = path.dirname(resourcePath).split('/');
+
+    for (let i = 1; i < directoriesToFind.length; i++) {
+      const dirToFind = directoriesToFind[i];
+      const foundDir = baseData.Folders.find((folder) => folder.Name === dirToFind);
+      if (foundDir) {
+        const dirKey = foundDir.ExternalKey;
+        baseData = await metadataByKey(dirKey);
+      } else {
+        throw new CaspioNotFoundError(`Folder '${dirToFind}' not found as specified in the provided path: '${resourcePath}'. Please check your file structure and try again.`);
+      }
+    }
+
+    foundResource = findResource(baseData, targetResource, options.resourceType);
+    return foundResource;
   }
 
   const utils = {
@@ -0,0 +1,262 @@
+const { CaspioValidationError } = require('./errors');
+
+// field names may be qualified by a table name (e.g., `Demo_Users.Email` in a subquery)
+const fieldNamePattern = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/;
+
+/**
+ * A condition (or group of conditions) of a `WHERE` clause. Filters are immutable: `and`, `or`, and `not` return new filters. A filter compiles to the string used as the `q.where` query parameter (see `toString`), and it may be provided wherever a `WHERE` clause is accepted (e.g., `tables.updateRecords` or the `where` property of a query criteria object).
+ */
+class Filter {
+  /**
+   * @param {string} clause Compiled condition
+   * @param {Object} [details={}] Condition details
+   * @param {boolean} [details.grouped=false] Whether the condition combines other conditions (and has to be enclosed in parentheses when it is combined itself)
+   * @param {Array<string>} [details.fields=[]] Names of the fields the condition refers to (so that they can be checked against a table's definition)
+   */
+  constructor(clause, details = {}) {
+    const { grouped = false, fields = [] } = details;
+    this.clause = clause;
+    this.grouped = grouped;
+    this.fields = Object.freeze([...new Set(fields)]);
+    Object.freeze(this);
+  }
+
+  /**
+   * Returns a filter that matches records matched by this filter and all of the provided conditions
+   * @param {...(Filter|string)} conditions Filters or `WHERE` clauses
+   * @returns {Filter} Combined filter
+   */
+  and(...conditions) {
+    return Filter.combine('AND', [this, ...conditions]);
+  }
+
+  /**
+   * Returns a filter that matches records matched by this filter or any of the provided conditions
+   * @param {...(Filter|string)} conditions Filters or `WHERE` clauses
+   * @returns {Filter} Combined filter
+   */
+  or(...conditions) {
+    return Filter.combine('OR', [this, ...conditions]);
+  }
+
+  /**
+   * Returns a filter that matches records not matched by this filter
+   * @returns {Filter} Negated filter
+   */
+  not() {
+    return Filter.negate(this);
+  }
+
+  /**
+   * Returns the compiled `WHERE` clause (without the `WHERE` keyword)
+   * @returns {string} `WHERE` clause
+   */
+  toString() {
+    return this.clause;
+  }
+
+  /**
+   * Returns the clause of a condition as it is used within a group
+   * @param {(Filter|string)} condition Filter or `WHERE` clause
+   * @returns {string} Clause (enclosed in parentheses if it combines other conditions or is a `WHERE` clause)
+   * @throws {CaspioValidationError} If the condition is neither a filter nor a non-empty string
+   */
+  static groupedClause(condition) {
+    if (condition instanceof Filter) {
+      return condition.grouped ? `(${condition.clause})` : condition.clause;
+    }
+    if (typeof condition === 'string' && condition.trim() !== '') {
+      return `(${condition})`;
+    }
+    throw new CaspioValidationError(`${condition} is not a valid condition. Conditions must be filters or non-empty WHERE clauses.`);
+  }
+
+  /**
+   * Returns a filter that joins conditions with a logical operator
+   * @param {('AND'|'OR')} operator Logical operator
+   * @param {Array<(Filter|string)>} conditions Filters or `WHERE` clauses (`null` and `undefined` are skipped so that optional conditions may be included conditionally)
+   * @returns {Filter} Combined filter
+   * @throws {CaspioValidationError} If no condition is provided
+   */
+  static combine(operator, conditions) {
+    const providedConditions = conditions.filter((condition) => condition !== null && condition !== undefined);
+    const clauses = providedConditions.map(Filter.groupedClause);
+    const fields = providedConditions.flatMap((condition) => (condition instanceof Filter ? condition.fields : []));
+    if (clauses.length === 0) {
+      throw new CaspioValidationError(`At least one condition is needed to build an ${operator} group.`);
+    }
+    if (clauses.length === 1) {
+      return new Filter(clauses[0], { fields });
+    }
+    return new Filter(clauses.join(` ${operator} `), { grouped: true, fields });
+  }
+
+  /**
+   * Returns a filter that is `true` for records that do not satisfy the condition
+   * @param {(Filter|string)} condition Filter or `WHERE` clause
+   * @returns {Filter} Negated filter
+   */
+  static negate(condition) {
+    const clause = Filter.groupedClause(condition);
+    const fields = condition instanceof Filter ? condition.fields : [];
+    // grouped filters and WHERE clauses are already enclosed in parentheses
+    return new Filter(condition instanceof Filter && !condition.grouped ? `NOT (${clause})` : `NOT ${clause}`, { fields });
+  }
+}
+
+/**
+ * Returns a field name after ensuring it cannot alter the clause it is used in
+ * @param {string} fieldName Name of a field
+ * @returns {string} Field name
+ * @throws {CaspioValidationError} If the field name is not a valid field name
+ */
+function field(fieldName) {
+  if (typeof fieldName !== 'string' || !fieldNamePattern.test(fieldName)) {
+    throw new CaspioValidationError(`'${fieldName}' is not a valid field name. Field names may only contain letters, numbers, and underscores (use where.raw for expressions).`);
+  }
+  return fieldName;
+}
+
+/**
+ * Returns a value as a literal of Caspio's (i.e., SQL Server's) dialect: strings are enclosed in single quotes (single quotes within are doubled), booleans become `1` or `0` (as stored by `YES/NO` fields), and dates become `'YYYY-MM-DDTHH:mm:ss'` strings (in UTC, since `DATE/TIME` values have no time zone)
+ * @param {(string|number|boolean|Date)} value Value
+ * @returns {string} Literal
+ * @throws {CaspioValidationError} If the value cannot be used in a `WHERE` clause
+ */
+function literal(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return `'${value.toISOString().slice(0, 19)}'`;
+  }
+  throw new CaspioValidationError(`${value} cannot be used as a value in a WHERE clause. Values must be strings, finite numbers, booleans, or valid dates.`);
+}
+
+/**
+ * Returns a string with the wildcard characters of a `LIKE` pattern (i.e., `%`, `_`, and `[`) escaped so that they are matched literally
+ * @param {string} value String to match literally
+ * @returns {string} Escaped string
+ */
+function escapeLikeWildcards(value) {
+  if (typeof value !== 'string') {
+    throw new CaspioValidationError(`${value} cannot be used in a pattern. Patterns must be strings.`);
+  }
+  return value.replace(/[[%_]/g, '[$&]');
+}
+
+/**
+ * Returns a filter that compares a field to a value
+ * @param {string} operator Comparison operator
+ * @returns {function(string, (string|number|boolean|Date)): Filter} Filter factory
+ */
+function comparison(operator) {
+  return (fieldName, value) => new Filter(`${field(fieldName)} ${operator} ${literal(value)}`, { fields: [fieldName] });
+}
+
+/**
+ * Returns a filter that is `true` for records that satisfy every condition
+ * @param {...(Filter|string)} conditions Filters or `WHERE` clauses (`null` and `undefined` are skipped)
+ * @returns {Filter} Combined filter
+ */
+function and(...conditions) {
+  return Filter.combine('AND', conditions);
+}
+
+/**
+ * Returns a filter that is `true` for records that satisfy any condition
+ * @param {...(Filter|string)} conditions Filters or `WHERE` clauses (`null` and `undefined` are skipped)
+ * @returns {Filter} Combined filter
+ */
+function or(...conditions) {
+  return Filter.combine('OR', conditions);
+}
+
+/**
+ * Returns a filter that is `true` for records that do not satisfy the condition
+ * @param {(Filter|string)} condition Filter or `WHERE` clause
+ * @returns {Filter} Negated filter
+ */
+function not(condition) {
+  return Filter.negate(condition);
+}
+
+/**
+ * Filter builder. Every method returns a `Filter` whose values are escaped and formatted as Caspio expects, so user input can be safely used in `WHERE` clauses.
+ */
+const where = {
+  /** `field = value` (or `field IS NULL` if `value` is `null`) */
+  eq: (fieldName, value) => (value === null ? new Filter(`${field(fieldName)} IS NULL`, { fields: [fieldName] }) : comparison('=')(fieldName, value)),
+  /** `field <> value` (or `field IS NOT NULL` if `value` is `null`) */
+  ne: (fieldName, value) => (value === null ? new Filter(`${field(fieldName)} IS NOT NULL`, { fields: [fieldName] }) : comparison('<>')(fieldName, value)),
+  /** `field < value` */
+  lt: comparison('<'),
+  /** `field <= value` */
+  lte: comparison('<='),
+  /** `field > value` */
+  gt: comparison('>'),
+  /** `field >= value` */
+  gte: comparison('>='),
+  /** `field IN (values...)` (an empty list matches no records) */
+  in: (fieldName, values) => {
+    if (!Array.isArray(values)) {
+      throw new CaspioValidationError(`The values of an IN condition must be provided as an array (received ${values}).`);
+    }
+    return new Filter(values.length === 0 ? '1 = 0' : `${field(fieldName)} IN (${values.map(literal).join(', ')})`, { fields: [fieldName] });
+  },
+  /** `field NOT IN (values...)` (an empty list matches every record) */
+  notIn: (fieldName, values) => {
+    if (!Array.isArray(values)) {
+      throw new CaspioValidationError(`The values of a NOT IN condition must be provided as an array (received ${values}).`);
+    }
+    return new Filter(values.length === 0 ? '1 = 1' : `${field(fieldName)} NOT IN (${values.map(literal).join(', ')})`, { fields: [fieldName] });
+  },
+  /** `field LIKE pattern` (`%` and `_` in `pattern` are wildcards) */
+  like: (fieldName, pattern) => new Filter(`${field(fieldName)} LIKE ${literal(String(pattern))}`, { fields: [fieldName] }),
+  /** `field LIKE 'prefix%'` (`prefix` is matched literally) */
+  startsWith: (fieldName, prefix) => new Filter(`${field(fieldName)} LIKE ${literal(`${escapeLikeWildcards(prefix)}%`)}`, { fields: [fieldName] }),
+  /** `field LIKE '%suffix'` (`suffix` is matched literally) */
+  endsWith: (fieldName, suffix) => new Filter(`${field(fieldName)} LIKE ${literal(`%${escapeLikeWildcards(suffix)}`)}`, { fields: [fieldName] }),
+  /** `field LIKE '%text%'` (`text` is matched literally) */
+  contains: (fieldName, text) => new Filter(`${field(fieldName)} LIKE ${literal(`%${escapeLikeWildcards(text)}%`)}`, { fields: [fieldName] }),
+  /** `field BETWEEN low AND high` (both bounds are inclusive) */
+  between: (fieldName, low, high) => new Filter(`${field(fieldName)} BETWEEN ${literal(low)} AND ${literal(high)}`, { fields: [fieldName] }),
+  /** `field IS NULL` */
+  isNull: (fieldName) => new Filter(`${field(fieldName)} IS NULL`, { fields: [fieldName] }),
+  /** `field IS NOT NULL` */
+  isNotNull: (fieldName) => new Filter(`${field(fieldName)} IS NOT NULL`, { fields: [fieldName] }),
+  and,
+  or,
+  not,
+  /** Clause used as is (e.g., a subquery); it is *not* escaped, so it must never contain user input */
+  raw: (clause) => new Filter(Filter.groupedClause(clause)),
+};
+
+/**
+ * Returns the `WHERE` clause to send to Caspio for a filter or a string. Double quotes in strings are replaced with single quotes (as has always been the case), whereas filters are used as compiled since their values are already quoted and escaped.
+ * @param {(Filter|string)} whereClause Filter or `WHERE` clause
+ * @returns {string} `WHERE` clause
+ * @throws {CaspioValidationError} If the `WHERE` clause is neither a filter nor a string
+ */
+function compileWhereClause(whereClause) {
+  if (whereClause instanceof Filter) {
+    return whereClause.toString();
+  }
+  if (typeof whereClause !== 'string') {
+    throw new CaspioValidationError(`The following WHERE clause provided is invalid: ${whereClause}. The WHERE clause must be a string or a filter (see where).`);
+  }
+  return whereClause.replace(/"/g, "'");
+}
+
+module.exports = {
+  Filter,
+  compileWhereClause,
+  literal,
+  where,
+};
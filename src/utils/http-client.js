@@ -0,0 +1,203 @@
+const axios = require('axios');
+const { CaspioAuthError, CaspioUriTooLongError, redactUrl } = require('./errors');
+const { maxUriLength } = require('./caspio');
+
+/**
+ * Returns a function that resolves to the access token to be used for the next request. The token is obtained from a token manager if one was provided, from a user-supplied function if `accessToken` is a function, or is simply the static `accessToken` string otherwise.
+ * @param {Object} credentials Object with either an `accessToken` or a `tokenManager` property.
+ * @returns {function(): Promise<string>} Function that resolves to the current access token
+ */
+function tokenSource(credentials) {
+  const { accessToken, tokenManager } = credentials;
+  if (tokenManager) {
+    return () => tokenManager.getToken();
+  }
+  if (typeof accessToken === 'function') {
+    return async () => accessToken();
+  }
+  return async () => accessToken;
+}
+
+/**
+ * Returns the token manager to be used for re-authenticating after a `401 Unauthorized` response: the token manager provided in the credentials or, if only the `clientID`, `clientSecret`, and `tokenEndpointURL` were provided alongside a fixed access token, a token manager created from those client credentials
+ * @param {Object} credentials Credentials provided to the main module
+ * @param {Object} options Client options (only `logger` and `logLevel` are used)
+ * @returns {(Object|null)} Token manager or `null` if re-authentication is not possible
+ */
+function reauthenticator(credentials, options) {
+  if (credentials.tokenManager) {
+    return typeof credentials.tokenManager.refresh === 'function' ? credentials.tokenManager : null;
+  }
+  const hasClientCredentials = ['clientID', 'clientSecret', 'tokenEndpointURL'].every((prop) => Object.prototype.hasOwnProperty.call(credentials, prop));
+  if (hasClientCredentials) {
+    const { logger, logLevel } = options;
+    return require('../../auth/token-manager')(credentials, { logger, logLevel });
+  }
+  return null;
+}
+
+/**
+ * Returns the hooks of a middleware chain as an array
+ * @param {(function|Array<function>|undefined)} hooks Single hook or array of hooks
+ * @returns {Array<function>} Array of hooks (in the order in which they run)
+ */
+function hookChain(hooks) {
+  if (!hooks) {
+    return [];
+  }
+  return Array.isArray(hooks) ? hooks : [hooks];
+}
+
+/**
+ * Returns the function through which every request to Caspio's REST API is issued (i.e., the client's transport). Every method issues its requests with a path relative to the account's base URL (e.g., `url: '/v2/tables'`); the base URL, default headers, and access token are attached by the transport. The current access token is resolved anew for each request so that a client never has to be rebuilt when its token is renewed.
+ *
+ * If Caspio responds with `401 Unauthorized` (e.g., the token was revoked or has expired) and client credentials are available, then a new access token is obtained through the client credentials flow and the original request is replayed once. Request bodies that can only be consumed once (e.g., multipart forms that stream files) should be provided as a function that returns the body (i.e., `data: () => new FormData(...)`) so that a fresh body is built for every attempt.
+ *
+ * Requests whose URI would exceed the maximum length Caspio accepts (i.e., 2047 characters) are rejected with a `CaspioUriTooLongError` without being sent. Transient failures (e.g., `429`, `502`, or `503` responses) are retried according to the `retry` option (see `retry.js`; a `POST` request is only retried if its config opts in with `retry: true`, a flag that is not passed on to axios), and every attempt is scheduled through the client's rate limiter according to the `rateLimit` option (see `rate-limiter.js`). Every request is logged at the `debug` level with its method, path, status, and duration (the bearer token is redacted).
+ *
+ * The `transport` option configures how every attempt is sent. Its `onRequest`, `onResponse`, and `onError` hooks (each either a function or an array of functions that run in order) form a middleware chain around every attempt:
+ *
+ * - `onRequest(config)` may modify or replace the axios request config (e.g., to add a correlation ID header) and returns it (or nothing to keep the current config)
+ * - `onResponse(response, config)` may inspect or replace the axios response (e.g., for an audit log) and returns it (or nothing to keep the current response)
+ * - `onError(error, config)` may inspect the error of a failed attempt (e.g., for metrics), return a response to recover from the error, throw a different error, or return nothing to let the error propagate (e.g., to the retry policy)
+ * @param {Object} credentials Object with requisite `accountID` property and either an `accessToken` or a `tokenManager` property.
+ * @param {Object} [options={}] Client options provided to the main module (see `logger.js` for the `logger` and `logLevel` options, `retry.js` for the `retry` option, and `rate-limiter.js` for the `rateLimit` option)
+ * @param {Object} [options.transport={}] Transport options
+ * @param {number} [options.transport.timeout=0] Number of milliseconds before an attempt times out (`0` means no timeout)
+ * @param {(Object|false)} [options.transport.proxy] Proxy configuration for axios (i.e., `{ protocol, host, port, auth }`) or `false` to ignore proxy environment variables
+ * @param {Object} [options.transport.httpAgent] Agent used for `http` requests (e.g., to keep connections alive)
+ * @param {Object} [options.transport.httpsAgent] Agent used for `https` requests (e.g., to keep connections alive or to provide custom certificates)
+ * @param {Object} [options.transport.axiosInstance] Axios instance to issue requests with (e.g., one with its own interceptors); a new instance is created by default
+ * @param {function} [options.transport.adapter] Axios adapter that sends the requests (e.g., for testing or custom HTTP stacks)
+ * @param {(function|Array<function>)} [options.transport.onRequest] Hook(s) that run before every attempt
+ * @param {(function|Array<function>)} [options.transport.onResponse] Hook(s) that run after every successful attempt
+ * @param {(function|Array<function>)} [options.transport.onError] Hook(s) that run after every failed attempt
+ * @returns {function(Object): Promise<Object>} Function that accepts an axios request config and resolves to the axios response (its `stats` property returns the client's request counters)
+ */
+function httpClient(credentials, options = {}) {
+  const {
+    timeout, proxy, httpAgent, httpsAgent, axiosInstance, adapter, onRequest, onResponse, onError,
+  } = options.transport || {};
+  const log = require('./logger')(options);
+  const { baseURL, headers: defaultHeaders } = require('./api-config')(credentials);
+  const instance = axiosInstance || axios.create();
+  // only settings that were provided are passed along so that the defaults of an injected instance are kept
+  const transportConfig = Object.fromEntries(Object.entries({
+    timeout, proxy, httpAgent, httpsAgent, adapter,
+  }).filter(([, value]) => value !== undefined));
+  const requestHooks = hookChain(onRequest);
+  const responseHooks = hookChain(onResponse);
+  const errorHooks = hookChain(onError);
+  let getToken = tokenSource(credentials);
+  const tokenManager = reauthenticator(credentials, options);
+  const withRetry = require('./retry')(options.retry, log);
+  const limiter = require('./rate-limiter')(options.rateLimit);
+
+  /**
+   * Logs a completed (or failed) request at the `debug` level
+   * @param {Object} requestConfig Final axios request config
+   * @param {(Object|undefined)} response Axios response (if any)
+   * @param {number} startedAt Time (in milliseconds) at which the request was issued
+   * @returns {void}
+   */
+  function logRequest(requestConfig, response, startedAt) {
+    const method = String(requestConfig.method || 'get').toUpperCase();
+    const url = redactUrl(requestConfig.url);
+    const status = response ? response.status : null;
+    const durationMs = Date.now() - startedAt;
+    log.debug(`${method} ${url} ${status || 'failed'} (${durationMs} ms)`, {
+      method, url, status, durationMs, headers: { ...requestConfig.headers, authorization: 'bearer [REDACTED]' },
+    });
+  }
+
+  /**
+   * Issues a single attempt through the middleware chain
+   * @param {Object} requestConfig Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async function attempt(requestConfig) {
+    let finalConfig = requestConfig;
+    for (let i = 0; i < requestHooks.length; i++) {
+      finalConfig = (await requestHooks[i](finalConfig)) || finalConfig;
+    }
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await instance.request(finalConfig);
+      logRequest(finalConfig, response, startedAt);
+    } catch (error) {
+      logRequest(finalConfig, error.response, startedAt);
+      for (let i = 0; i < errorHooks.length && !response; i++) {
+        response = await errorHooks[i](error, finalConfig);
+      }
+      if (!response) {
+        throw error;
+      }
+    }
+    for (let i = 0; i < responseHooks.length; i++) {
+      response = (await responseHooks[i](response, finalConfig)) || response;
+    }
+    return response;
+  }
+
+  /**
+   * Builds the final request config (base URL, default headers, transport settings, current access token and, if needed, a fresh request body) and schedules the attempt
+   * @param {Object} config Axios request config
+   * @param {string} accessToken Access token to authenticate the request with
+   * @returns {Promise<Object>} Axios response
+   */
+  function send(config, accessToken) {
+    const { retry, ...axiosConfig } = config;
+    const requestConfig = {
+      baseURL,
+      ...transportConfig,
+      ...axiosConfig,
+      headers: { ...defaultHeaders, ...config.headers, authorization: `bearer ${accessToken}` },
+    };
+    if (typeof config.data === 'function') {
+      requestConfig.data = config.data();
+      if (requestConfig.data && typeof requestConfig.data.getHeaders === 'function') {
+        Object.assign(requestConfig.headers, requestConfig.data.getHeaders());
+      }
+    }
+    return limiter.schedule(() => attempt(requestConfig));
+  }
+
+  async function request(config) {
+    // Caspio rejects longer URIs with "414 URI Too Long", so such requests are not sent at all
+    const uri = `${baseURL}${config.url}`;
+    if (uri.length > maxUriLength) {
+      throw new CaspioUriTooLongError(`The request URI would be ${uri.length} characters long, but Caspio rejects URIs longer than ${maxUriLength} characters. Shorten the query (e.g., the WHERE clause or the list of selected fields).`, { url: redactUrl(uri) });
+    }
+    const accessToken = await getToken();
+    try {
+      return await withRetry(config, () => send(config, accessToken));
+    } catch (error) {
+      if (!(tokenManager && axios.isAxiosError(error) && error.response && error.response.status === 401)) {
+        throw error;
+      }
+      // only obtain a new token if no other request has done so already since the failed request was issued
+      const tokenInfo = typeof tokenManager.tokenInfo === 'function' ? tokenManager.tokenInfo() : null;
+      if (!tokenInfo || tokenInfo.accessToken === accessToken) {
+        try {
+          await tokenManager.refresh();
+        } catch (authError) {
+          throw new CaspioAuthError(`Caspio responded with "401 Unauthorized" and re-authentication failed: ${authError.message}`, {
+            status: 401, url: `${baseURL}${config.url}`, cause: authError,
+          });
+        }
+      }
+      log.info('Caspio responded with "401 Unauthorized"; replaying the request with a new access token.');
+      getToken = () => tokenManager.getToken();
+      const newAccessToken = await getToken();
+      return withRetry(config, () => send(config, newAccessToken));
+    }
+  }
+
+  // live request counters (see `rate-limiter.js`)
+  request.stats = limiter.stats;
+
+  return request;
+}
+
+module.exports = httpClient;
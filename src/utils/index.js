@@ -1,33 +1,114 @@
 /**
  * Returns an object with all utility methods needed for the main module to function correctly
- * @param {Object} apiCredentials Object with requisite `accountID` and `accessToken` properties.
+ * @param {Object} apiCredentials Object with requisite `accountID` property and either an `accessToken` or a `tokenManager` property.
  * @param {string} apiCredentials.accountID Account ID that can be obtained from the Token Endpoint URL for a web services profile in your Caspio account: https://<your-accountID>.caspio.com/oauth/token
- * @param {string} apiCredentials.accessToken Access token that ensures authentication of requests
+ * @param {(string|function(): (string|Promise<string>))} [apiCredentials.accessToken] Access token that ensures authentication of requests (or a function that returns the current access token)
+ * @param {{getToken: function(): Promise<string>}} [apiCredentials.tokenManager] Token manager (see `caspio-sdk/auth`) from which the current access token is obtained for every request
+ * @param {Object} [options={}] Client options provided to the main module
+ * @param {boolean} [options.strict=false] Whether or not failures should be thrown as typed errors (see `errors.js`) instead of being logged
+ * @param {(Object|false)} [options.logger] Logger every module reports through (see `logger.js`)
+ * @param {('debug'|'info'|'warn'|'error'|'silent')} [options.logLevel='info'] Lowest level written to the console when no custom logger is provided
+ * @param {boolean} [options.codec=false] Whether records of tables should be read with native JavaScript values and written from them (see `codecs.js`)
+ * @param {boolean} [options.validate=false] Whether records should be checked against their table's definition before they are created or updated (see `record-validation.js`)
  * @returns {Object} Object with information about the attempted creation of the specified table (i.e., `status`, `statusText`, and `message`).
  */
-function utilsBundler(apiCredentials) {
+function utilsBundler(apiCredentials, options = {}) {
   const axiosErrorHandler = require('./axios-error-handler');
   const casData = require('./caspio');
   const {
     whereClauseBuilder, stripPKIDFields, criteriaQueryBuilder, criteriaQueryBuilderPaginated,
   } = require('./data-processing');
+  const errors = require('./errors');
+  const { exportRecords } = require('./exporters');
+  const { createListField, listFieldTypes } = require('./list-fields');
+  const logger = require('./logger')(options);
+  const { validateTableCreation, validateFieldAddition, validateFieldUpdate } = require('./schema-validation');
+  const handleError = require('./error-reporter')(options, logger);
   const apiConfig = require('./api-config')(apiCredentials);
-  const { appKeyGivenAppName, appAndDataPageKeysGivenNames } = require('./apps')(apiCredentials);
-  const { fileOrDirectoryMetadata, metadataByKey: fileMetadataByKey } = require('./files')(apiCredentials);
-  const { taskKeysGivenTaskNames } = require('./tasks')(apiCredentials);
+  const http = require('./http-client')(apiCredentials, options);
+  // state shared by every utility module of a single client
+  const context = { http, logger };
+  const { appKeyGivenAppName, appAndDataPageKeysGivenNames } = require('./apps')(apiCredentials, context);
+  const { fileOrDirectoryMetadata, metadataByKey: fileMetadataByKey } = require('./files')(apiCredentials, context);
+  const { taskKeysGivenTaskNames } = require('./tasks')(apiCredentials, context);
+  const { tableDefinition, forgetTableDefinition } = require('./definitions')(apiCredentials, context);
+  const {
+    decodeRecords, encodeRecord, recordCodec, tableCodec,
+  } = require('./codecs')(apiCredentials, { ...context, options, tableDefinition });
+  const { whereClauseChunks, requestInWhereChunks } = require('./uri-length')(apiCredentials, context);
+  const { collectRecords, iterateRecords, createReadStream } = require('./pagination')(apiCredentials, { ...context, whereClauseChunks, recordCodec });
+  const { recordViolations, validateRecord } = require('./record-validation')(apiCredentials, {
+    ...context, options, tableDefinition, collectRecords,
+  });
+  const { bulkInsert, rowIterator } = require('./bulk-insert')(apiCredentials, {
+    ...context, tableDefinition, recordCodec, recordViolations,
+  });
+  const { upsert } = require('./upsert')(apiCredentials, {
+    ...context, tableDefinition, collectRecords, recordCodec, rowIterator, recordViolations,
+  });
+  const { changesSince } = require('./changes')(apiCredentials, {
+    ...context, tableDefinition, collectRecords, recordCodec,
+  });
+  const { watchTable } = require('./watch')(apiCredentials, {
+    ...context, tableDefinition, collectRecords, recordCodec,
+  });
+  const { listField } = require('./list-fields')(apiCredentials, {
+    ...context, handleError, tableDefinition, collectRecords,
+  });
+  const {
+    diffSchema, applySchema, generateDDL, snapshotSchema, restoreSchema,
+  } = require('./schema')(apiCredentials, { ...context, tableDefinition, forgetTableDefinition });
+  const { migrate, migrationStatus, rollback } = require('./migrations')(apiCredentials, { ...context, collectRecords });
+  const { createQuery } = require('./query')(apiCredentials, {
+    ...context, handleError, tableDefinition, iterateRecords, collectRecords, requestInWhereChunks,
+  });
 
   const utils = {
     apiConfig,
+    applySchema,
     appAndDataPageKeysGivenNames,
     appKeyGivenAppName,
     axiosErrorHandler,
+    bulkInsert,
     casData,
+    changesSince,
+    collectRecords,
+    createListField,
+    createQuery,
+    createReadStream,
     criteriaQueryBuilder,
     criteriaQueryBuilderPaginated,
+    decodeRecords,
+    diffSchema,
+    encodeRecord,
+    errors,
+    exportRecords,
     fileOrDirectoryMetadata,
     fileMetadataByKey,
+    forgetTableDefinition,
+    generateDDL,
+    handleError,
+    http,
+    iterateRecords,
+    listField,
+    listFieldTypes,
+    logger,
+    migrate,
+    migrationStatus,
+    requestInWhereChunks,
+    restoreSchema,
+    rollback,
+    snapshotSchema,
     stripPKIDFields,
+    tableCodec,
+    tableDefinition,
     taskKeysGivenTaskNames,
+    upsert,
+    validateFieldAddition,
+    validateFieldUpdate,
+    validateRecord,
+    validateTableCreation,
+    watchTable,
     whereClauseBuilder,
   };
 
@@ -0,0 +1,339 @@
+const { CaspioValidationError } = require('./errors');
+const { formatDate, parseDate } = require('./dates');
+
+const listFieldTypes = ['LIST-STRING', 'LIST-NUMBER', 'LIST-DATE/TIME'];
+
+/**
+ * Returns the value by which an item of a list field is identified (so that, e.g., `42` and `'42'` are the same item of a `LIST-NUMBER` field and dates are compared by time)
+ * @param {string} type Type of the list field
+ * @param {*} value Item value
+ * @returns {string} Item identity
+ */
+function listItemIdentity(type, value) {
+  if (type === 'LIST-DATE/TIME') {
+    const date = value instanceof Date ? value : parseDate(String(value));
+    return date instanceof Date ? String(date.getTime()) : String(value);
+  }
+  if (type === 'LIST-NUMBER') {
+    return String(Number(value));
+  }
+  return String(value);
+}
+
+/**
+ * Returns an item as it is defined in the `ListField` of a list field (i.e., a string, a number, or a `'YYYY-MM-DDTHH:mm:ss'` string)
+ * @param {string} type Type of the list field
+ * @param {*} value Item value
+ * @returns {(string|number)} Item value
+ * @throws {CaspioValidationError} If the value is not valid for the type of the list field
+ */
+function listItemValue(type, value) {
+  if (type === 'LIST-DATE/TIME') {
+    const date = value instanceof Date ? value : parseDate(value);
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+      throw new CaspioValidationError(`${value} is not a valid item of a LIST-DATE/TIME field. Items must be dates or 'YYYY-MM-DDTHH:mm:ss' strings.`);
+    }
+    return formatDate(date);
+  }
+  if (type === 'LIST-NUMBER') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new CaspioValidationError(`${value} is not a valid item of a LIST-NUMBER field. Items must be numbers.`);
+    }
+    return number;
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new CaspioValidationError(`${value} is not a valid item of a LIST-STRING field. Items must be strings.`);
+  }
+  return String(value);
+}
+
+/**
+ * Returns the items of a list value (i.e., a single item, an array of items, or an object of items by index such as the list values Caspio returns)
+ * @param {*} listValue List value
+ * @returns {Array<*>} Items
+ */
+function listValueItems(listValue) {
+  if (listValue === null || listValue === undefined) {
+    return [];
+  }
+  if (Array.isArray(listValue)) {
+    return listValue;
+  }
+  if (typeof listValue === 'object' && !(listValue instanceof Date)) {
+    return Object.keys(listValue).sort((a, b) => Number(a) - Number(b)).map((index) => listValue[index]);
+  }
+  return [listValue];
+}
+
+/**
+ * Returns helpers that translate between the items of a list field (i.e., a field whose `Type` is `LIST-STRING`, `LIST-NUMBER`, or `LIST-DATE/TIME`) and the indexes Caspio identifies them by, according to the field's definition. Caspio returns list values as objects of items by index but only accepts arrays of indexes when records are written, and an index is only valid while its item is part of the field's `ListField`.
+ * @param {Object} field Definition of the list field (see `tables.definition`)
+ * @param {string} tableName Name of table (used in error messages)
+ * @returns {Object} List field helpers
+ * @throws {CaspioValidationError} If the field is not a list field
+ */
+function createListField(field, tableName) {
+  if (!listFieldTypes.includes(field.Type)) {
+    throw new CaspioValidationError(`The '${field.Name}' field of the '${tableName}' table is a ${field.Type} field, not a list field (i.e., LIST-STRING, LIST-NUMBER, or LIST-DATE/TIME).`);
+  }
+  const listItems = { ...(field.ListField || {}) };
+  const indexesByIdentity = new Map(Object.entries(listItems).map(([index, value]) => [listItemIdentity(field.Type, value), Number(index)]));
+  const describe = (item) => `'${item instanceof Date ? formatDate(item) : item}'`;
+
+  const listField = {
+    name: field.Name,
+    type: field.Type,
+    /**
+     * Returns the items of the list field by index (i.e., a copy of its `ListField`)
+     * @returns {Object} Items by index
+     */
+    items: () => ({ ...listItems }),
+    /**
+     * Returns the items of the list field ordered by index
+     * @returns {Array<(string|number)>} Items
+     */
+    values: () => listValueItems(listItems),
+    /**
+     * Returns the index of an item (or `-1` if the item is not part of the list)
+     * @param {*} item Item (e.g., `'Dog'`, `42`, or a date)
+     * @returns {number} Index
+     */
+    indexOf: (item) => (indexesByIdentity.has(listItemIdentity(field.Type, item)) ? indexesByIdentity.get(listItemIdentity(field.Type, item)) : -1),
+    /**
+     * Returns the indexes of items (i.e., the list value to write to a record)
+     * @param {*} items Single item, array of items, or object of items by index
+     * @param {Object} [options={}] Options
+     * @param {boolean} [options.ignoreUnknown=false] Whether to leave out items that are not part of the list instead of throwing
+     * @returns {Array<number>} Indexes (without duplicates)
+     * @throws {CaspioValidationError} If an item is not part of the list (unless `ignoreUnknown` is set)
+     */
+    toIndexes: (items, options = {}) => {
+      const providedItems = listValueItems(items);
+      const unknownItems = providedItems.filter((item) => listField.indexOf(item) === -1);
+      if (unknownItems.length > 0 && !options.ignoreUnknown) {
+        const validItems = listField.values().map(describe).join(', ');
+        throw new CaspioValidationError(`The following values are not items of the '${field.Name}' list field of the '${tableName}' table: ${unknownItems.map(describe).join(', ')}. Valid items: ${validItems || 'none'}.`);
+      }
+      return [...new Set(providedItems.map(listField.indexOf).filter((index) => index !== -1))];
+    },
+    /**
+     * Returns the items of a list value as returned by Caspio (i.e., an object of items by index) or of an array of indexes
+     * @param {(Object|Array<number>)} listValue List value
+     * @returns {Array<(string|number)>} Items ordered as in the list value
+     * @throws {CaspioValidationError} If an index is not part of the list
+     */
+    toValues: (listValue) => {
+      if (!Array.isArray(listValue)) {
+        return listValueItems(listValue);
+      }
+      const unknownIndexes = listValue.filter((index) => !Object.prototype.hasOwnProperty.call(listItems, index));
+      if (unknownIndexes.length > 0) {
+        throw new CaspioValidationError(`The following indexes are not part of the '${field.Name}' list field of the '${tableName}' table: ${unknownIndexes.join(', ')}. Valid indexes: ${Object.keys(listItems).join(', ') || 'none'}.`);
+      }
+      return listValue.map((index) => listItems[index]);
+    },
+    /**
+     * Returns whether a list value holds any (or all) of the provided items
+     * @param {*} listValue List value of a record (an object of items by index as returned by Caspio or an array of items as decoded by a codec)
+     * @param {*} items Single item or array of items
+     * @param {Object} [options={}] Options
+     * @param {('any'|'all')} [options.match='any'] Whether the list value must hold any or all of the items
+     * @returns {boolean} Whether the list value matches
+     */
+    includes: (listValue, items, options = {}) => {
+      const { match = 'any' } = options;
+      if (!['any', 'all'].includes(match)) {
+        throw new CaspioValidationError(`${match} is not a valid match option. The match option must be 'any' or 'all'.`);
+      }
+      const heldItems = new Set(listValueItems(listValue).map((item) => listItemIdentity(field.Type, item)));
+      const providedItems = listValueItems(items);
+      const held = (item) => heldItems.has(listItemIdentity(field.Type, item));
+      return match === 'all' ? providedItems.every(held) : providedItems.some(held);
+    },
+  };
+
+  return listField;
+}
+
+function listFieldUtils(credentials, context) {
+  const {
+    http, handleError, tableDefinition, collectRecords,
+  } = context;
+
+  /**
+   * Returns the definition of a list field of a table
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {string} fieldName Name of field (case-insensitive)
+   * @param {boolean} refresh Whether to fetch the table's definition again instead of using the cached definition
+   * @returns {Promise<Object>} List field helpers (see `createListField`)
+   * @throws {CaspioValidationError} If the table has no such field or the field is not a list field
+   */
+  async function fetchListField(tableName, fieldName, refresh) {
+    const fieldDefinitions = await tableDefinition(tableName, { refresh });
+    const field = fieldDefinitions.find(({ Name }) => Name.toLowerCase() === String(fieldName).toLowerCase());
+    if (!field) {
+      throw new CaspioValidationError(`The '${tableName}' table does not have a field named '${fieldName}'.`);
+    }
+    return createListField(field, tableName);
+  }
+
+  /**
+   * Returns helpers for a list field of a table (see `tables.listField`). Translations use the field's definition as of the last request (i.e., when the helpers were created or the items were last read or changed), whereas `items`, `add`, `remove`, and `findRecords` send requests and report failures according to the client's `strict` option.
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {string} fieldName Name of field (case-insensitive)
+   * @returns {Promise<Object>} List field helpers
+   * @throws {CaspioValidationError} If the table has no such field or the field is not a list field
+   */
+  async function listField(tableName, fieldName) {
+    let list = await fetchListField(tableName, fieldName, false);
+
+    /**
+     * Replaces the items of the list field (see `tables.updateFieldDefinition` for how Caspio assigns indexes) and refreshes the definition
+     * @param {Array<(string|number)>} newItems Items
+     * @returns {Promise<Object>} Items by index
+     */
+    const replaceItems = async (newItems) => {
+      await http({
+        method: 'put',
+        url: `/v2/tables/${tableName}/fields/${list.name}`,
+        data: { NewListField: newItems },
+      });
+      list = await fetchListField(tableName, list.name, true);
+      return list.items();
+    };
+
+    const helpers = {
+      /**
+       * Returns the name of the list field as defined
+       * @returns {string} Field name
+       */
+      name: () => list.name,
+      /**
+       * Returns the type of the list field (i.e., `LIST-STRING`, `LIST-NUMBER`, or `LIST-DATE/TIME`)
+       * @returns {string} Field type
+       */
+      type: () => list.type,
+      /**
+       * Returns the current items of the list field by index (i.e., its `ListField`, requested anew)
+       * @returns {Promise<Object>} Items by index
+       */
+      items: async () => {
+        try {
+          list = await fetchListField(tableName, list.name, true);
+          return list.items();
+        } catch (error) {
+          handleError(error, 'tables.listField.items');
+        }
+      },
+      /**
+       * Returns the items of the list field ordered by index
+       * @returns {Array<(string|number)>} Items
+       */
+      values: () => list.values(),
+      /**
+       * Returns the index of an item (or `-1` if the item is not part of the list)
+       * @param {*} item Item
+       * @returns {number} Index
+       */
+      indexOf: (item) => list.indexOf(item),
+      /**
+       * Returns the indexes of items (i.e., the list value to write to a record)
+       * @param {*} items Single item, array of items, or object of items by index
+       * @param {Object} [options={}] Options (see `createListField`)
+       * @returns {Array<number>} Indexes
+       */
+      toIndexes: (items, options = {}) => list.toIndexes(items, options),
+      /**
+       * Returns the items of a list value as returned by Caspio (i.e., an object of items by index) or of an array of indexes
+       * @param {(Object|Array<number>)} listValue List value
+       * @returns {Array<(string|number)>} Items
+       */
+      toValues: (listValue) => list.toValues(listValue),
+      /**
+       * Adds items to the list field (items already in the list are skipped, and no request is sent if every item is)
+       * @param {*} items Single item or array of items
+       * @returns {Promise<Object>} Items by index after the update
+       */
+      add: async (items) => {
+        try {
+          list = await fetchListField(tableName, list.name, true);
+          const newItems = listValueItems(items).map((item) => listItemValue(list.type, item)).filter((item, i, all) => list.indexOf(item) === -1
+            && all.findIndex((other) => listItemIdentity(list.type, other) === listItemIdentity(list.type, item)) === i);
+          return newItems.length === 0 ? list.items() : await replaceItems([...list.values(), ...newItems]);
+        } catch (error) {
+          handleError(error, 'tables.listField.add');
+        }
+      },
+      /**
+       * Removes items from the list field (items not in the list are skipped, and no request is sent if every item is)
+       * @param {*} items Single item or array of items
+       * @returns {Promise<Object>} Items by index after the update
+       */
+      remove: async (items) => {
+        try {
+          list = await fetchListField(tableName, list.name, true);
+          const removedIdentities = new Set(listValueItems(items).map((item) => listItemIdentity(list.type, item)));
+          const remainingItems = list.values().filter((item) => !removedIdentities.has(listItemIdentity(list.type, item)));
+          return remainingItems.length === list.values().length ? list.items() : await replaceItems(remainingItems);
+        } catch (error) {
+          handleError(error, 'tables.listField.remove');
+        }
+      },
+      /**
+       * Returns whether the list value of a record holds any (or all) of the provided items
+       * @param {Object} record Record (as returned by Caspio or decoded by a codec)
+       * @param {*} items Single item or array of items
+       * @param {Object} [options={}] Options
+       * @param {('any'|'all')} [options.match='any'] Whether the record must hold any or all of the items
+       * @returns {boolean} Whether the record matches
+       */
+      matches: (record, items, options = {}) => {
+        const key = Object.keys(record).find((recordKey) => recordKey.toLowerCase() === list.name.toLowerCase());
+        return key !== undefined && list.includes(record[key], items, options);
+      },
+      /**
+       * Returns the records whose list value holds any (or all) of the provided items
+       * @param {Array<Object>} records Records
+       * @param {*} items Single item or array of items
+       * @param {Object} [options={}] Options (see `matches`)
+       * @returns {Array<Object>} Matching records
+       */
+      filter: (records, items, options = {}) => records.filter((record) => helpers.matches(record, items, options)),
+      /**
+       * Returns the records of the table whose list value holds any (or all) of the provided items. Since list values cannot be filtered with a `WHERE` clause, every record matched by the query criteria is requested and the records are filtered client-side.
+       * @param {*} items Single item or array of items
+       * @param {Object} [options={}] Options
+       * @param {('any'|'all')} [options.match='any'] Whether records must hold any or all of the items
+       * @param {string} [options.select] Fields to select (must include the list field)
+       * @param {(string|Filter)} [options.where] Condition that narrows down the requested records
+       * @returns {Promise<Array<Object>>} Matching records
+       */
+      findRecords: async (items, options = {}) => {
+        try {
+          const { match, select, where } = options;
+          const selectionCriteriaObj = Object.fromEntries(Object.entries({ select, where }).filter(([, value]) => value !== undefined));
+          const records = await collectRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { method: 'tables.listField.findRecords' });
+          if (records.length > 0 && !Object.keys(records[0]).some((key) => key.toLowerCase() === list.name.toLowerCase())) {
+            throw new CaspioValidationError(`The selected fields do not include the '${list.name}' field, which is needed to filter the records. Add it to the select option.`);
+          }
+          return helpers.filter(records, items, { match });
+        } catch (error) {
+          handleError(error, 'tables.listField.findRecords');
+        }
+      },
+    };
+
+    return helpers;
+  }
+
+  const utils = {
+    listField,
+  };
+
+  return utils;
+}
+
+module.exports = listFieldUtils;
+module.exports.createListField = createListField;
+module.exports.listFieldTypes = listFieldTypes;
@@ -0,0 +1,57 @@
+const { CaspioValidationError } = require('./errors');
+
+const levels = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Returns the logger through which every module of a client reports messages. Each level method accepts a message and, optionally, an object with structured details about the message.
+ *
+ * If a custom `logger` is provided (e.g., a pino or bunyan logger), then every message is forwarded to it, using the calling convention of pino and bunyan (i.e., `logger.warn(details, message)`) whenever structured details are available and `logger.warn(message)` otherwise; filtering by level is left to the custom logger. Otherwise, messages at or above `logLevel` are written to the console.
+ * @param {Object} [options={}] Client options
+ * @param {(Object|false)} [options.logger] Logger with `debug`, `info`, `warn`, and `error` methods (missing methods are ignored) or `false` to disable logging entirely
+ * @param {('debug'|'info'|'warn'|'error'|'silent')} [options.logLevel='info'] Lowest level written to the console when no custom logger is provided (`'silent'` disables logging entirely)
+ * @returns {{debug: function(string, Object=): void, info: function(string, Object=): void, warn: function(string, Object=): void, error: function(string, Object=): void}} Logger
+ */
+function createLogger(options = {}) {
+  const { logger, logLevel = 'info' } = options;
+  const log = {};
+
+  if (logger === false || logLevel === 'silent') {
+    levels.forEach((level) => {
+      log[level] = () => {};
+    });
+    return log;
+  }
+
+  if (logger) {
+    levels.forEach((level) => {
+      log[level] = (message, details) => {
+        if (typeof logger[level] !== 'function') {
+          return;
+        }
+        if (details) {
+          logger[level](details, message);
+        } else {
+          logger[level](message);
+        }
+      };
+    });
+    return log;
+  }
+
+  if (!levels.includes(logLevel)) {
+    throw new CaspioValidationError(`'${logLevel}' is not a valid log level. Try one of the following: 'debug', 'info', 'warn', 'error', or 'silent'.`);
+  }
+  const threshold = levels.indexOf(logLevel);
+  levels.forEach((level, index) => {
+    log[level] = (message, details) => {
+      if (index < threshold) {
+        return;
+      }
+      // print the original error (with its stack trace) when one is attached
+      console[level](details && details.err instanceof Error ? details.err : message);
+    };
+  });
+  return log;
+}
+
+module.exports = createLogger;
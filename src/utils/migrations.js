@@ -0,0 +1,369 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  CaspioError, CaspioNotFoundError, CaspioValidationError, toCaspioError,
+} = require('./errors');
+const { where } = require('./filters');
+const { whereClauseBuilder } = require('./data-processing');
+const { formatDate, parseDate } = require('./dates');
+
+// file names of migrations: a version number, an underscore or hyphen, and a description (e.g., '003_add_email_to_users.js')
+const migrationFilePattern = /^(\d+)[_-].*\.c?js$/;
+// value of the Version field of the bookkeeping table's lock row (a unique value, so only one lock row can exist)
+const lockVersion = 'LOCK';
+// fields of the bookkeeping table
+const bookkeepingFields = [
+  {
+    Name: 'Version', Type: 'STRING', Unique: true, Description: 'Version of an applied migration (or LOCK for the row held while migrations run)',
+  },
+  { Name: 'Name', Type: 'STRING', Description: 'Name of the migration' },
+  { Name: 'Applied_At', Type: 'DATE/TIME', Description: 'When the migration was applied (UTC)' },
+  { Name: 'Locked_By', Type: 'STRING', Description: 'Process holding the lock' },
+  { Name: 'Locked_At', Type: 'DATE/TIME', Description: 'When the lock was acquired or last refreshed (UTC)' },
+];
+
+/**
+ * Returns a migration version as it is stored and compared (i.e., a number without leading zeros, as a string)
+ * @param {(string|number)} version Version
+ * @returns {string} Normalized version
+ */
+function normalizeVersion(version) {
+  return String(Number(version));
+}
+
+/**
+ * Returns the migrations of a directory (i.e., its files whose names start with a version number, such as `001_create_users.js` or `20230131093000-add-email.js`), ordered by version
+ * @param {string} directory Path of the directory
+ * @returns {Array<{version: string, name: string, up: function(Object): Promise<void>, down: function(Object): Promise<void>}>} Migrations
+ * @throws {CaspioValidationError} If the directory cannot be read or a migration does not export an `up` function
+ */
+function loadMigrations(directory) {
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(directory);
+  } catch (error) {
+    throw new CaspioValidationError(`The migrations directory '${directory}' cannot be read: ${error.message}`);
+  }
+  return fileNames
+    .filter((fileName) => migrationFilePattern.test(fileName))
+    .map((fileName) => {
+      // migration files are found at run time, so they are required by their path
+      const migration = require(path.resolve(directory, fileName));
+      return {
+        version: fileName.match(migrationFilePattern)[1],
+        name: path.basename(fileName, path.extname(fileName)),
+        up: migration.up,
+        down: migration.down,
+      };
+    });
+}
+
+/**
+ * Returns migrations ordered by version after checking that each has a version and an `up` function and that no two have the same version
+ * @param {Array<Object>} migrations Migrations (see `loadMigrations`)
+ * @returns {Array<{version: string, name: string, up: function(Object): Promise<void>, down: function(Object): Promise<void>}>} Migrations with normalized versions
+ * @throws {CaspioValidationError} If a migration is invalid
+ */
+function orderedMigrations(migrations) {
+  const versions = new Map();
+  return migrations.map((migration) => {
+    const { version, name = `migration ${version}` } = migration;
+    if (!/^\d+$/.test(String(version))) {
+      throw new CaspioValidationError(`The migration '${name}' does not have a valid version (i.e., a non-negative integer such as 3 or 20230131093000).`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new CaspioValidationError(`The migration '${name}' does not export an up function.`);
+    }
+    const normalizedVersion = normalizeVersion(version);
+    if (normalizedVersion === '0') {
+      throw new CaspioValidationError(`The migration '${name}' has version 0, which is reserved for the state before any migration.`);
+    }
+    if (versions.has(normalizedVersion)) {
+      throw new CaspioValidationError(`The migrations '${versions.get(normalizedVersion)}' and '${name}' have the same version (${normalizedVersion}).`);
+    }
+    versions.set(normalizedVersion, name);
+    return { ...migration, version: normalizedVersion, name };
+  }).sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function migrationUtils(credentials, context) {
+  const { http, logger, collectRecords } = context;
+
+  /**
+   * Returns whether a table exists
+   * @param {string} table Name of table (case-insensitive)
+   * @returns {Promise<boolean>} Whether the table exists
+   */
+  async function tableExists(table) {
+    const theReq = await http({
+      method: 'get',
+      url: '/v2/tables',
+    });
+    return theReq.data.Result.some((name) => name.toLowerCase() === table.toLowerCase());
+  }
+
+  /**
+   * Creates the bookkeeping table unless it exists (another process may create it at the same time)
+   * @param {string} table Name of the bookkeeping table
+   * @returns {Promise<void>}
+   */
+  async function ensureBookkeepingTable(table) {
+    if (await tableExists(table)) {
+      return;
+    }
+    try {
+      await http({
+        method: 'post',
+        url: '/v2/tables',
+        data: { Name: table, Columns: bookkeepingFields },
+      });
+      logger.info(`Created the migration bookkeeping table '${table}'.`);
+    } catch (error) {
+      if (!await tableExists(table)) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Returns the rows of the bookkeeping table (i.e., the applied migrations and the lock row, if any)
+   * @param {string} table Name of the bookkeeping table
+   * @param {string} method Name of the SDK method (used for error reporting)
+   * @returns {Promise<{applied: Array<{version: string, name: string, appliedAt: Date}>, lock: ({lockedBy: string, lockedAt: Date}|null)}>} Applied migrations (ordered by version) and lock
+   */
+  async function bookkeepingRows(table, method) {
+    const rows = await collectRecords(`/v2/tables/${table}`, { select: 'Version, Name, Applied_At, Locked_By, Locked_At' }, { method, raw: true });
+    const lockRow = rows.find((row) => row.Version === lockVersion);
+    return {
+      applied: rows
+        .filter((row) => row !== lockRow)
+        .map((row) => ({ version: normalizeVersion(row.Version), name: row.Name, appliedAt: parseDate(row.Applied_At) }))
+        .sort((a, b) => Number(a.version) - Number(b.version)),
+      lock: lockRow ? { lockedBy: lockRow.Locked_By, lockedAt: parseDate(lockRow.Locked_At) } : null,
+    };
+  }
+
+  /**
+   * Deletes the rows of the bookkeeping table matched by a filter
+   * @param {string} table Name of the bookkeeping table
+   * @param {Filter} filter Filter built with `where`
+   * @returns {Promise<void>}
+   */
+  async function deleteRows(table, filter) {
+    await http({
+      method: 'delete',
+      url: `/v2/tables/${table}/records?q.where=${whereClauseBuilder(filter)}`,
+    });
+  }
+
+  /**
+   * Acquires the lock of the bookkeeping table by inserting its lock row (the `Version` field is unique, so the insert fails while another process holds the lock). A lock held for longer than `lockTimeout` (e.g., by a process that crashed) is taken over. The holder refreshes the lock (i.e., its `Locked_At` value) after every migration, so only a single migration that runs longer than `lockTimeout` can have its lock taken over.
+   * @param {string} table Name of the bookkeeping table
+   * @param {number} lockTimeout Number of milliseconds after which a lock is considered abandoned
+   * @param {string} method Name of the SDK method (used for error reporting)
+   * @returns {Promise<{refresh: function(): Promise<void>, release: function(): Promise<void>}>} Functions that refresh and release the lock
+   * @throws {CaspioError} If another process holds the lock
+   */
+  async function acquireLock(table, lockTimeout, method) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    const ownLock = where.and(where.eq('Version', lockVersion), where.eq('Locked_By', owner));
+    const insertLockRow = () => http({
+      method: 'post',
+      url: `/v2/tables/${table}/records`,
+      data: {
+        Version: lockVersion, Name: 'lock', Locked_By: owner, Locked_At: formatDate(new Date()),
+      },
+    });
+    const lockHeldError = (lock) => new CaspioError(`Migrations cannot run because '${lock ? lock.lockedBy : 'another process'}' holds the migration lock${lock && lock.lockedAt instanceof Date ? ` (since ${formatDate(lock.lockedAt)} UTC)` : ''}. Wait for it to finish or, if it crashed, for the lock timeout to expire.`, { method });
+    const isLockHeld = (error) => toCaspioError(error) instanceof CaspioValidationError;
+    const refresh = async () => {
+      try {
+        await http({
+          method: 'put',
+          url: `/v2/tables/${table}/records?q.where=${whereClauseBuilder(ownLock)}`,
+          data: { Locked_At: formatDate(new Date()) },
+        });
+      } catch (error) {
+        throw new CaspioError(`The migration lock could not be refreshed, so no further migration was run: ${toCaspioError(error).message}`, { method, cause: error });
+      }
+    };
+    // a failure to release the lock is logged rather than thrown so that it does not hide the outcome of the migrations (the lock then expires after lockTimeout)
+    const release = () => deleteRows(table, ownLock)
+      .catch((error) => logger.error(`The migration lock held by '${owner}' could not be released: ${error.message}`, { err: error }));
+    try {
+      await insertLockRow();
+      return { refresh, release };
+    } catch (error) {
+      if (!isLockHeld(error)) {
+        throw error;
+      }
+    }
+    const { lock } = await bookkeepingRows(table, method);
+    if (!(lock && lock.lockedAt instanceof Date && Date.now() - lock.lockedAt.getTime() > lockTimeout)) {
+      throw lockHeldError(lock);
+    }
+    logger.warn(`Taking over the migration lock held by '${lock.lockedBy}' since ${formatDate(lock.lockedAt)} (older than the lock timeout of ${lockTimeout} ms).`);
+    await deleteRows(table, where.and(where.eq('Version', lockVersion), where.eq('Locked_By', lock.lockedBy)));
+    try {
+      await insertLockRow();
+    } catch (error) {
+      // another process took over the abandoned lock at the same time (and inserted its lock row first)
+      if (!isLockHeld(error)) {
+        throw error;
+      }
+      throw lockHeldError((await bookkeepingRows(table, method)).lock);
+    }
+    return { refresh, release };
+  }
+
+  /**
+   * Returns the migrations to run from the options of a runner method
+   * @param {Object} options Options (see `migrate`)
+   * @returns {Array<Object>} Migrations ordered by version
+   */
+  function resolveMigrations(options) {
+    const { directory = 'migrations', migrations } = options;
+    return orderedMigrations(Array.isArray(migrations) ? migrations : loadMigrations(directory));
+  }
+
+  /**
+   * Runs the `up` function of every pending migration (i.e., not recorded in the bookkeeping table) in version order, up to and including version `to`, and records each applied migration. The bookkeeping table is created on first run, and its lock row keeps two processes from migrating at once.
+   * @param {Object} caspio Client passed to the migrations
+   * @param {Object} [options={}] Options
+   * @param {string} [options.directory='migrations'] Directory of the migration files
+   * @param {Array<Object>} [options.migrations] Migrations (`{ version, name, up, down }`) to run instead of the files of `directory`
+   * @param {(string|number)} [options.to] Version to migrate to (defaults to the latest version)
+   * @param {string} [options.table='Caspio_SDK_Migrations'] Name of the bookkeeping table
+   * @param {number} [options.lockTimeout=1800000] Number of milliseconds after which a lock is considered abandoned (30 minutes by default); the lock is refreshed after every migration, so no single migration may run longer
+   * @returns {Promise<{applied: Array<{version: string, name: string}>, current: string}>} Applied migrations and the resulting version (`'0'` before any migration)
+   */
+  async function migrate(caspio, options = {}) {
+    const method = 'migrations.migrate';
+    const { table = 'Caspio_SDK_Migrations', lockTimeout = 1800000 } = options;
+    const migrations = resolveMigrations(options);
+    const to = options.to === undefined ? null : normalizeVersion(options.to);
+    if (to !== null && !migrations.some(({ version }) => version === to)) {
+      throw new CaspioNotFoundError(`There is no migration with version ${options.to} to migrate to.`, { method });
+    }
+    await ensureBookkeepingTable(table);
+    const { refresh, release } = await acquireLock(table, lockTimeout, method);
+    const applied = [];
+    try {
+      const appliedVersions = new Set((await bookkeepingRows(table, method)).applied.map(({ version }) => version));
+      const pending = migrations.filter(({ version }) => !appliedVersions.has(version) && (to === null || Number(version) <= Number(to)));
+      for (let i = 0; i < pending.length; i++) {
+        const { version, name, up } = pending[i];
+        logger.info(`Applying migration ${version} (${name})...`);
+        try {
+          await up(caspio);
+        } catch (error) {
+          throw new CaspioError(`Migration ${version} (${name}) failed, and no later migration was applied: ${error && error.message ? error.message : error}`, { method, cause: error });
+        }
+        await http({
+          method: 'post',
+          url: `/v2/tables/${table}/records`,
+          data: { Version: version, Name: name, Applied_At: formatDate(new Date()) },
+        });
+        applied.push({ version, name });
+        await refresh();
+      }
+      const { applied: appliedMigrations } = await bookkeepingRows(table, method);
+      const current = appliedMigrations.length > 0 ? appliedMigrations[appliedMigrations.length - 1].version : '0';
+      logger.info(`${applied.length} migration(s) applied; the schema is at version ${current}.`);
+      return { applied, current };
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Runs the `down` function of applied migrations in reverse version order and removes their records: the latest `steps` migrations or, with `to`, every migration whose version is greater than `to` (`0` reverts every migration)
+   * @param {Object} caspio Client passed to the migrations
+   * @param {Object} [options={}] Options (see `migrate`)
+   * @param {number} [options.steps=1] Number of migrations to revert (ignored if `to` is provided)
+   * @param {(string|number)} [options.to] Version to roll back to
+   * @returns {Promise<{reverted: Array<{version: string, name: string}>, current: string}>} Reverted migrations and the resulting version (`'0'` before any migration)
+   * @throws {CaspioNotFoundError} If an applied migration to revert is not part of the migrations or does not export a `down` function
+   */
+  async function rollback(caspio, options = {}) {
+    const method = 'migrations.rollback';
+    const { table = 'Caspio_SDK_Migrations', lockTimeout = 1800000, steps = 1 } = options;
+    const migrations = resolveMigrations(options);
+    const to = options.to === undefined ? null : normalizeVersion(options.to);
+    if (to === 'NaN') {
+      throw new CaspioValidationError(`${options.to} is not a valid version to roll back to.`, { method });
+    }
+    if (to === null && (!Number.isInteger(steps) || steps < 1)) {
+      throw new CaspioValidationError(`${steps} is not a valid number of steps. The number of steps must be a positive integer.`, { method });
+    }
+    if (!await tableExists(table)) {
+      return { reverted: [], current: '0' };
+    }
+    const { refresh, release } = await acquireLock(table, lockTimeout, method);
+    const reverted = [];
+    try {
+      const { applied } = await bookkeepingRows(table, method);
+      const toRevert = (to === null ? applied.slice(-steps) : applied.filter(({ version }) => Number(version) > Number(to))).reverse();
+      const migrationsByVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+      const irreversible = toRevert.filter(({ version }) => !migrationsByVersion.has(version) || typeof migrationsByVersion.get(version).down !== 'function');
+      if (irreversible.length > 0) {
+        throw new CaspioNotFoundError(`The following applied migrations cannot be reverted because their files or down functions are missing: ${irreversible.map(({ version, name }) => `${version} (${name})`).join(', ')}. No migration was reverted.`, { method });
+      }
+      for (let i = 0; i < toRevert.length; i++) {
+        const { version, name, down } = migrationsByVersion.get(toRevert[i].version);
+        logger.info(`Reverting migration ${version} (${name})...`);
+        try {
+          await down(caspio);
+        } catch (error) {
+          throw new CaspioError(`Reverting migration ${version} (${name}) failed, and no earlier migration was reverted: ${error && error.message ? error.message : error}`, { method, cause: error });
+        }
+        await deleteRows(table, where.eq('Version', version));
+        reverted.push({ version, name });
+        await refresh();
+      }
+      const current = applied.length > reverted.length ? applied[applied.length - reverted.length - 1].version : '0';
+      logger.info(`${reverted.length} migration(s) reverted; the schema is at version ${current}.`);
+      return { reverted, current };
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Returns the status of every migration (i.e., whether it was applied and when), the applied migrations whose files are missing, the current version, and the lock (if held). The bookkeeping table is not created by this method.
+   * @param {Object} [options={}] Options (see `migrate`)
+   * @returns {Promise<{current: string, migrations: Array<{version: string, name: string, applied: boolean, appliedAt: (Date|null)}>, pending: Array<string>, missing: Array<{version: string, name: string, appliedAt: Date}>, lock: ({lockedBy: string, lockedAt: Date}|null)}>} Status
+   */
+  async function migrationStatus(options = {}) {
+    const method = 'migrations.status';
+    const { table = 'Caspio_SDK_Migrations' } = options;
+    const migrations = resolveMigrations(options);
+    const { applied, lock } = await tableExists(table) ? await bookkeepingRows(table, method) : { applied: [], lock: null };
+    const appliedByVersion = new Map(applied.map((migration) => [migration.version, migration]));
+    const statuses = migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: appliedByVersion.has(version),
+      appliedAt: appliedByVersion.has(version) ? appliedByVersion.get(version).appliedAt : null,
+    }));
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : '0',
+      migrations: statuses,
+      pending: statuses.filter((status) => !status.applied).map(({ version }) => version),
+      missing: applied.filter(({ version }) => !migrations.some((migration) => migration.version === version)),
+      lock,
+    };
+  }
+
+  const utils = {
+    migrate,
+    migrationStatus,
+    rollback,
+  };
+
+  return utils;
+}
+
+module.exports = migrationUtils;
@@ -0,0 +1,284 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const { criteriaQueryBuilder } = require('./data-processing');
+const { CaspioUriTooLongError, toCaspioError } = require('./errors');
+const { maxUriLength } = require('./caspio');
+
+/**
+ * Throws the abort reason of `signal` (or an `AbortError` if the signal has no reason) if the signal has been aborted
+ * @param {AbortSignal} [signal] Signal to check
+ * @returns {void}
+ */
+function throwIfAborted(signal) {
+  if (!signal || !signal.aborted) {
+    return;
+  }
+  if (signal.reason !== undefined) {
+    throw signal.reason;
+  }
+  const abortError = new Error('The operation was aborted.');
+  abortError.name = 'AbortError';
+  throw abortError;
+}
+
+// aggregate functions of SQL Server (whose results cannot be merged across requests unless they are grouped)
+const aggregatePattern = /\b(COUNT|COUNT_BIG|SUM|AVG|MIN|MAX|STDEV|STDEVP|VAR|VARP)\s*\(/i;
+
+/**
+ * Returns the fields and directions of an `ORDER BY` clause that only lists fields (e.g., `'Last_Name DESC, First_Name'`)
+ * @param {string} [orderBy=''] `ORDER BY` clause
+ * @returns {(Array<{fieldName: string, descending: boolean}>|null)} Sort fields (or `null` if the clause does not only list fields)
+ */
+function parseOrderBy(orderBy = '') {
+  if (orderBy.trim() === '') {
+    return [];
+  }
+  const sortFields = orderBy.split(',').map((part) => /^\s*([A-Za-z_]\w*)(?:\s+(ASC|DESC))?\s*$/i.exec(part));
+  if (sortFields.some((match) => !match)) {
+    return null;
+  }
+  return sortFields.map(([, fieldName, direction = 'ASC']) => ({ fieldName, descending: direction.toUpperCase() === 'DESC' }));
+}
+
+/**
+ * Sorts records in place the way Caspio (i.e., SQL Server) sorts them: `null` values first, numbers numerically, and strings case-insensitively
+ * @param {Array<Object>} records Records
+ * @param {Array<{fieldName: string, descending: boolean}>} sortFields Sort fields (see `parseOrderBy`)
+ * @returns {void}
+ * @throws {CaspioUriTooLongError} If the records do not include a sort field
+ */
+function sortRecords(records, sortFields) {
+  if (records.length === 0) {
+    return;
+  }
+  const recordKeys = Object.keys(records[0]);
+  const sortKeys = sortFields.map(({ fieldName, descending }) => {
+    const key = recordKeys.find((recordKey) => recordKey.toLowerCase() === fieldName.toLowerCase());
+    if (!key) {
+      throw new CaspioUriTooLongError(`The request URI would exceed the ${maxUriLength} characters Caspio accepts, and the records of the query split into several requests cannot be sorted by '${fieldName}' since the field is not selected. Include the field in the selection.`);
+    }
+    return { key, direction: descending ? -1 : 1 };
+  });
+  const compareValues = (a, b) => {
+    if (a === b) {
+      return 0;
+    }
+    if (a === null || a === undefined) {
+      return -1;
+    }
+    if (b === null || b === undefined) {
+      return 1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+      return a - b;
+    }
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'accent' });
+  };
+  records.sort((a, b) => sortKeys.reduce((result, { key, direction }) => result || direction * compareValues(a[key], b[key]), 0));
+}
+
+function paginationUtils(credentials, context) {
+  const { http, whereClauseChunks, recordCodec } = context;
+
+  /**
+   * Returns an async iterable that retrieves the records of a table or view lazily, one page of `1000` records (i.e., the maximum number of records Caspio's REST API will respond with for any request) at a time. The next page is only requested once every record of the current page has been consumed, so breaking out of a `for await...of` loop early stops any further requests.
+   *
+   * The same pagination logic as `getRecords` is used: if the initial (non-paginated) request returns fewer than `1000` records, then those records are all there is; otherwise, every record is retrieved page by page (with `pageSize` set to `1000`).
+   *
+   * If the request URI would exceed the maximum length Caspio accepts (i.e., 2047 characters) because of a large `IN` list in the `WHERE` clause, then the list is split and the records matched by each part are requested in turn (see `whereClauseChunks`), and if an `ORDER BY` clause lists fields, then the records are sorted once every record has been retrieved. Queries with a `GROUP BY` clause or aggregates in their selection cannot be split.
+   *
+   * If the client's `codec` option is enabled, then the records of a table are yielded with native JavaScript values (see `createCodec`) unless `raw` is set.
+   *
+   * Errors are always thrown by the iterator (converted to a `CaspioError`) regardless of the client's `strict` option since skipping records silently is never desirable.
+   * @param {string} resourcePath Path of the table or view (e.g., `/v2/tables/Demo_Users`)
+   * @param {Object} [selectionCriteriaObj={}] Query criteria object (`select`, `where`, `groupBy`, and `orderBy`; `limit`, `pageNumber`, and `pageSize` are ignored)
+   * @param {Object} [options={}] Iteration options
+   * @param {boolean} [options.pages=false] Whether to yield whole pages (i.e., arrays of records) instead of single records
+   * @param {number} [options.pageSize=1000] Number of records requested per page (between `5` and `1000`); records are requested page by page from the start if fewer than `1000` records per page are requested
+   * @param {number} [options.limit=Infinity] Maximum number of records yielded (no more records than needed are requested)
+   * @param {AbortSignal} [options.signal] Signal that aborts the iteration (including any request in flight)
+   * @param {string} [options.method] Name of the SDK method that iterates (used for error reporting)
+   * @param {boolean} [options.raw=false] Whether to yield records as returned by Caspio even if the client's `codec` option is enabled
+   * @returns {AsyncIterable<(Object|Array<Object>)>} Async iterable of records (or pages of records)
+   */
+  async function* iterateRecords(resourcePath, selectionCriteriaObj = {}, options = {}) {
+    const {
+      pages = false, pageSize = 1000, limit = Infinity, signal, method, raw = false,
+    } = options;
+    const queryObj = { ...selectionCriteriaObj };
+    delete queryObj.limit;
+    delete queryObj.pageNumber;
+    delete queryObj.pageSize;
+
+    /**
+     * Requests the records matched by `query`
+     * @param {Object} query Query criteria object
+     * @returns {Promise<Array<Object>>} Retrieved records
+     */
+    async function fetchRecords(query) {
+      throwIfAborted(signal);
+      try {
+        const queryString = criteriaQueryBuilder(query);
+        const theReq = await http({
+          method: 'get',
+          url: `${resourcePath}/records${queryString}`,
+          signal,
+        });
+        return theReq.data.Result;
+      } catch (error) {
+        if (axios.isCancel(error)) {
+          throwIfAborted(signal);
+        }
+        throw toCaspioError(error, method);
+      }
+    }
+
+    /**
+     * Yields the pages of records matched by `query` (at most `maxRecords` records in total)
+     * @param {Object} query Query criteria object (without `limit`, `pageNumber`, and `pageSize`)
+     * @param {number} maxRecords Maximum number of records
+     * @returns {AsyncIterable<Array<Object>>} Pages of records
+     */
+    async function* queryPages(query, maxRecords) {
+      const pageQuery = { ...query, limit: Math.min(1000, maxRecords) };
+      let retrievedRecords = [];
+      if (pageSize === 1000) {
+        retrievedRecords = await fetchRecords(pageQuery);
+      }
+      if (pageSize !== 1000 || (retrievedRecords.length >= 1000 && maxRecords > 1000)) {
+        // ensure all records are retrieved by overriding any value set for pageNumber query parameter
+        pageQuery.pageNumber = 1;
+        pageQuery.pageSize = pageSize;
+        retrievedRecords = await fetchRecords(pageQuery);
+      }
+
+      let remaining = maxRecords;
+      while (retrievedRecords.length > 0 && remaining > 0) {
+        const page = retrievedRecords.length > remaining ? retrievedRecords.slice(0, remaining) : retrievedRecords;
+        remaining -= page.length;
+        yield page;
+        if (!pageQuery.pageNumber || retrievedRecords.length < pageQuery.pageSize || remaining <= 0) {
+          return;
+        }
+        pageQuery.pageNumber++;
+        retrievedRecords = await fetchRecords(pageQuery);
+      }
+    }
+
+    /**
+     * Yields the pages of records matched by any of `whereClauses` (i.e., the clauses a `WHERE` clause was split into because of its length). If the records are to be sorted, then every record is retrieved before the records are sorted and yielded since each request only sorts its own records.
+     * @param {Array<(string|Filter)>} whereClauses `WHERE` clauses
+     * @returns {AsyncIterable<Array<Object>>} Pages of records
+     */
+    async function* mergedPages(whereClauses) {
+      if (queryObj.groupBy) {
+        throw new CaspioUriTooLongError(`The request URI would exceed the ${maxUriLength} characters Caspio accepts, and a query with a GROUP BY clause cannot be split into several requests since their aggregated results cannot be merged. Shorten the WHERE clause (e.g., use a subquery instead of listing values).`);
+      }
+      if (aggregatePattern.test(queryObj.select || '')) {
+        throw new CaspioUriTooLongError(`The request URI would exceed the ${maxUriLength} characters Caspio accepts, and a query that selects aggregates (e.g., COUNT(*)) cannot be split into several requests since each request would only aggregate its own records. Shorten the WHERE clause (e.g., use a subquery instead of listing values).`);
+      }
+      const sortFields = parseOrderBy(queryObj.orderBy);
+      if (!sortFields) {
+        throw new CaspioUriTooLongError(`The request URI would exceed the ${maxUriLength} characters Caspio accepts, and the records of a query split into several requests can only be sorted by fields (e.g., 'Last_Name DESC, First_Name'). Shorten the WHERE clause or simplify the ORDER BY clause.`);
+      }
+      const sortedRecords = [];
+      let remaining = sortFields.length > 0 ? Infinity : limit;
+      for (let i = 0; i < whereClauses.length && remaining > 0; i++) {
+        const chunkPages = queryPages({ ...queryObj, where: whereClauses[i] }, Infinity);
+        let next = await chunkPages.next();
+        while (!next.done && remaining > 0) {
+          // the parts of a split IN list do not share values, so no record is matched by more than one request
+          const page = next.value.slice(0, remaining);
+          remaining -= page.length;
+          if (sortFields.length > 0) {
+            sortedRecords.push(...page);
+          } else if (page.length > 0) {
+            yield page;
+          }
+          next = remaining > 0 ? await chunkPages.next() : { done: true };
+        }
+      }
+      if (sortFields.length > 0) {
+        sortRecords(sortedRecords, sortFields);
+        const selectedRecords = sortedRecords.slice(0, limit);
+        for (let start = 0; start < selectedRecords.length; start += pageSize) {
+          yield selectedRecords.slice(start, start + pageSize);
+        }
+      }
+    }
+
+    let whereClauses;
+    let codec;
+    try {
+      whereClauses = whereClauseChunks(queryObj.where === undefined ? '' : queryObj.where, (where) => `${resourcePath}/records${criteriaQueryBuilder({
+        ...queryObj, where, limit: 1000, pageNumber: 999999, pageSize,
+      })}`);
+      codec = raw ? null : await recordCodec(resourcePath);
+    } catch (error) {
+      throw toCaspioError(error, method);
+    }
+    // records are decoded after merged pages are sorted (sorting compares the values returned by Caspio)
+    const recordPages = whereClauses.length === 1 ? queryPages({ ...queryObj, where: whereClauses[0] }, limit) : mergedPages(whereClauses);
+    let next = await recordPages.next();
+    while (!next.done) {
+      const page = codec ? next.value.map(codec.decode) : next.value;
+      if (pages) {
+        yield page;
+      } else {
+        yield* page;
+      }
+      next = await recordPages.next();
+    }
+  }
+
+  /**
+   * Returns an object-mode `Readable` stream of the records of a table or view. Records are pulled from `iterateRecords` only as fast as the stream is consumed (i.e., backpressure is respected), so the next page is not requested until the records of the current page have been read.
+   *
+   * Errors (including aborts) are emitted on the stream as `'error'` events (as `CaspioError` instances) rather than logged, and destroying the stream stops any further requests.
+   * @param {string} resourcePath Path of the table or view (e.g., `/v2/tables/Demo_Users`)
+   * @param {Object} [selectionCriteriaObj={}] Query criteria object (see `iterateRecords`)
+   * @param {Object} [options={}] Stream options
+   * @param {number} [options.highWaterMark=1000] Number of records buffered by the stream before backpressure is applied
+   * @param {number} [options.pageSize=1000] Number of records requested per page (see `iterateRecords`)
+   * @param {number} [options.limit=Infinity] Maximum number of records streamed
+   * @param {AbortSignal} [options.signal] Signal that aborts the stream (including any request in flight)
+   * @param {string} [options.method] Name of the SDK method that streams (used for error reporting)
+   * @returns {Readable} Object-mode readable stream of records
+   */
+  function createReadStream(resourcePath, selectionCriteriaObj = {}, options = {}) {
+    const {
+      highWaterMark = 1000, pageSize, limit, signal, method,
+    } = options;
+    return Readable.from(iterateRecords(resourcePath, selectionCriteriaObj, {
+      pageSize, limit, signal, method,
+    }), { objectMode: true, highWaterMark });
+  }
+
+  /**
+   * Returns every record matched by the query criteria (see `iterateRecords`)
+   * @param {string} resourcePath Path of the table or view (e.g., `/v2/tables/Demo_Users`)
+   * @param {Object} [selectionCriteriaObj={}] Query criteria object (see `iterateRecords`)
+   * @param {Object} [options={}] Iteration options (`pageSize`, `limit`, `signal`, `method`, and `raw`; see `iterateRecords`)
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async function collectRecords(resourcePath, selectionCriteriaObj = {}, options = {}) {
+    const records = [];
+    const recordPages = iterateRecords(resourcePath, selectionCriteriaObj, { ...options, pages: true });
+    let next = await recordPages.next();
+    while (!next.done) {
+      records.push(...next.value);
+      next = await recordPages.next();
+    }
+    return records;
+  }
+
+  const utils = {
+    collectRecords,
+    createReadStream,
+    iterateRecords,
+  };
+
+  return utils;
+}
+
+module.exports = paginationUtils;
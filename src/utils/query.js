@@ -0,0 +1,248 @@
+const { Readable } = require('stream');
+const { CaspioValidationError, toCaspioError } = require('./errors');
+const { Filter, where } = require('./filters');
+const { criteriaQueryBuilder } = require('./data-processing');
+
+// a selected field, optionally aliased (e.g., `First_Name AS name`)
+const selectedFieldPattern = /^([A-Za-z_]\w*)(?:\s+AS\s+([A-Za-z_]\w*))?$/i;
+const orderDirections = ['asc', 'desc'];
+
+function queryUtils(credentials, context) {
+  const {
+    handleError, tableDefinition, iterateRecords, collectRecords, requestInWhereChunks,
+  } = context;
+
+  /**
+   * Returns a chainable query of the records of a table. Every chained method returns the query itself, and nothing is requested until the query is run with `all`, `first`, `count`, `iterate`, or `stream`.
+   *
+   * Before the records are requested, every field the query refers to (i.e., in `select`, `groupBy`, `orderBy`, and filters built with `where`) is checked against the table's definition, which is fetched once per client and cached. Unknown fields are reported with a `CaspioValidationError` without requesting any records. Clauses provided as strings (and expressions provided to `selectRaw`) are used as is.
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {string} method Name of the SDK method that created the query (used for error reporting)
+   * @returns {Object} Query
+   */
+  function createQuery(tableName, method) {
+    const resourcePath = `/v2/tables/${tableName}`;
+    const state = {
+      select: [],
+      selectRaw: [],
+      where: [],
+      groupBy: [],
+      orderBy: [],
+      limit: Infinity,
+      pageSize: 1000,
+    };
+
+    /**
+     * Returns the query criteria object of the query (after checking every field it refers to against the table's definition)
+     * @returns {Promise<Object>} Query criteria object (see `getRecords`)
+     * @throws {CaspioValidationError} If the query refers to a field the table does not have or one of its settings is invalid
+     */
+    async function compile() {
+      if (state.limit !== Infinity && (!Number.isInteger(state.limit) || state.limit < 1)) {
+        throw new CaspioValidationError(`${state.limit} is not a valid limit. The limit must be a positive integer.`);
+      }
+      if (!Number.isInteger(state.pageSize) || state.pageSize < 5 || state.pageSize > 1000) {
+        throw new CaspioValidationError(`${state.pageSize} is not a valid page size. The page size must be an integer between 5 and 1000, inclusive.`);
+      }
+      const invalidSelection = state.select.find((selected) => typeof selected !== 'string' || !selectedFieldPattern.test(selected));
+      if (invalidSelection !== undefined) {
+        throw new CaspioValidationError(`'${invalidSelection}' is not a valid field to select. Provide a field name (optionally followed by AS and an alias) or use selectRaw for expressions.`);
+      }
+      const invalidOrder = state.orderBy.find(({ direction }) => !orderDirections.includes(direction));
+      if (invalidOrder) {
+        throw new CaspioValidationError(`'${invalidOrder.direction}' is not a valid sort direction for '${invalidOrder.fieldName}'. Use 'asc' or 'desc'.`);
+      }
+      const fieldDefinitions = await tableDefinition(tableName);
+      const fieldNames = new Map(fieldDefinitions.map(({ Name }) => [Name.toLowerCase(), Name]));
+      const aliases = state.select.map((selected) => selectedFieldPattern.exec(selected)[2]).filter(Boolean).map((alias) => alias.toLowerCase());
+      const referencedFields = [
+        ...state.select.map((selected) => selectedFieldPattern.exec(selected)[1]),
+        ...state.groupBy,
+        ...state.orderBy.map(({ fieldName }) => fieldName).filter((fieldName) => !aliases.includes(fieldName.toLowerCase())),
+        // fields qualified by a table name refer to other tables (e.g., in subqueries)
+        ...state.where.flatMap((condition) => (condition instanceof Filter ? condition.fields : [])).filter((fieldName) => !fieldName.includes('.')),
+      ];
+      const unknownFields = [...new Set(referencedFields.filter((fieldName) => !fieldNames.has(String(fieldName).toLowerCase())))];
+      if (unknownFields.length > 0) {
+        throw new CaspioValidationError(`The following fields do not exist in the '${tableName}' table: ${unknownFields.map((fieldName) => `'${fieldName}'`).join(', ')}. Valid fields: ${[...fieldNames.values()].map((fieldName) => `'${fieldName}'`).join(', ')}.`);
+      }
+
+      const selectionCriteriaObj = {};
+      const selected = [...state.select, ...state.selectRaw];
+      if (selected.length > 0) {
+        selectionCriteriaObj.select = selected.join(', ');
+      }
+      if (state.where.length > 0) {
+        selectionCriteriaObj.where = where.and(...state.where);
+      }
+      if (state.groupBy.length > 0) {
+        selectionCriteriaObj.groupBy = state.groupBy.join(', ');
+      }
+      if (state.orderBy.length > 0) {
+        selectionCriteriaObj.orderBy = state.orderBy.map(({ fieldName, direction }) => `${fieldName} ${direction.toUpperCase()}`).join(', ');
+      }
+      return selectionCriteriaObj;
+    }
+
+    /**
+     * Returns an async iterable over the records matched by the query (see `iterateRecords`)
+     * @param {Object} [options={}] Iteration options (`pages` and `signal`)
+     * @returns {AsyncIterable<(Object|Array<Object>)>} Async iterable of records (or pages of records)
+     */
+    async function* iterate(options = {}) {
+      let selectionCriteriaObj;
+      try {
+        selectionCriteriaObj = await compile();
+      } catch (error) {
+        throw toCaspioError(error, method);
+      }
+      yield* iterateRecords(resourcePath, selectionCriteriaObj, {
+        ...options, pageSize: state.pageSize, limit: state.limit, method,
+      });
+    }
+
+    const query = {
+      /**
+       * Adds fields to the selection (e.g., `'First_Name'` or `'First_Name AS name'`); every field is selected if none are added
+       * @param {...string} fieldNames Names of fields (optionally aliased)
+       * @returns {Object} Query
+       */
+      select: (...fieldNames) => {
+        state.select.push(...fieldNames.flat().map((fieldName) => (typeof fieldName === 'string' ? fieldName.trim() : fieldName)));
+        return query;
+      },
+      /**
+       * Adds expressions (e.g., `'COUNT(User_ID) AS users'` or subqueries) to the selection as is (they are not checked against the table's definition)
+       * @param {...string} expressions Expressions
+       * @returns {Object} Query
+       */
+      selectRaw: (...expressions) => {
+        state.selectRaw.push(...expressions.flat());
+        return query;
+      },
+      /**
+       * Adds a condition that every matched record satisfies (conditions added by repeated calls are combined with `AND`)
+       * @param {(Filter|string)} condition Filter built with `where` or `WHERE` clause
+       * @returns {Object} Query
+       */
+      where: (condition) => {
+        state.where.push(condition);
+        return query;
+      },
+      /**
+       * Adds fields to group records by
+       * @param {...string} fieldNames Names of fields
+       * @returns {Object} Query
+       */
+      groupBy: (...fieldNames) => {
+        state.groupBy.push(...fieldNames.flat());
+        return query;
+      },
+      /**
+       * Adds a field (or an alias of the selection) to sort records by (sort fields added by repeated calls are applied in order)
+       * @param {string} fieldName Name of field
+       * @param {('asc'|'desc')} [direction='asc'] Sort direction
+       * @returns {Object} Query
+       */
+      orderBy: (fieldName, direction = 'asc') => {
+        state.orderBy.push({ fieldName, direction: String(direction).toLowerCase() });
+        return query;
+      },
+      /**
+       * Sets the maximum number of records returned
+       * @param {number} maxRecords Maximum number of records
+       * @returns {Object} Query
+       */
+      limit: (maxRecords) => {
+        state.limit = maxRecords;
+        return query;
+      },
+      /**
+       * Sets the number of records requested per page (between `5` and `1000`; defaults to `1000`)
+       * @param {number} size Number of records per page
+       * @returns {Object} Query
+       */
+      pageSize: (size) => {
+        state.pageSize = size;
+        return query;
+      },
+      /**
+       * Returns the query criteria object of the query (e.g., to be used with `getRecords` or `exportRecords`) after checking every field it refers to against the table's definition
+       * @returns {Promise<Object>} Query criteria object
+       */
+      toCriteria: () => compile(),
+      /**
+       * Returns every record matched by the query
+       * @returns {Promise<Array<Object>>} Records
+       */
+      all: async () => {
+        try {
+          const selectionCriteriaObj = await compile();
+          return await collectRecords(resourcePath, selectionCriteriaObj, { pageSize: state.pageSize, limit: state.limit, method });
+        } catch (error) {
+          handleError(error, `${method}.all`);
+        }
+      },
+      /**
+       * Returns the first record matched by the query (or `null` if no record is matched)
+       * @returns {Promise<(Object|null)>} Record
+       */
+      first: async () => {
+        try {
+          const selectionCriteriaObj = await compile();
+          const [record = null] = await iterateRecords(resourcePath, selectionCriteriaObj, { pages: true, limit: 1, method }).next().then(({ value }) => value || []);
+          return record;
+        } catch (error) {
+          handleError(error, `${method}.first`);
+        }
+      },
+      /**
+       * Returns the number of records matched by the query's conditions (the selection, grouping, sort order, and limit are ignored). If the request URI would be too long because of a long `IN` list, then the list is split across several requests (see `requestInWhereChunks`) and their counts are added up.
+       * @returns {Promise<number>} Number of records
+       */
+      count: async () => {
+        try {
+          const { where: whereClause = '' } = await compile();
+          const theReq = await requestInWhereChunks(whereClause, (processedWhereClause) => ({
+            method: 'get',
+            // the clause is already compiled, so it is wrapped in a filter to be used as is
+            url: `${resourcePath}/records${criteriaQueryBuilder({ select: 'COUNT(*) AS RecordCount', where: new Filter(decodeURIComponent(processedWhereClause)), limit: 1 })}`,
+          }));
+          // the split IN lists share no values, so no record is counted twice
+          return theReq.data.Result.reduce((total, { RecordCount }) => total + RecordCount, 0);
+        } catch (error) {
+          handleError(error, `${method}.count`);
+        }
+      },
+      /**
+       * Returns an async iterable over the records matched by the query; errors are always thrown by the iterator
+       * @param {Object} [options={}] Iteration options
+       * @param {boolean} [options.pages=false] Whether to yield whole pages (i.e., arrays of records) instead of single records
+       * @param {AbortSignal} [options.signal] Signal that aborts the iteration (including any request in flight)
+       * @returns {AsyncIterable<(Object|Array<Object>)>} Async iterable of records (or pages of records)
+       */
+      iterate: (options = {}) => iterate({ pages: options.pages, signal: options.signal }),
+      /**
+       * Returns an object-mode `Readable` stream of the records matched by the query; errors are emitted on the stream
+       * @param {Object} [options={}] Stream options
+       * @param {number} [options.highWaterMark=1000] Number of records buffered by the stream before backpressure is applied
+       * @param {AbortSignal} [options.signal] Signal that aborts the stream (including any request in flight)
+       * @returns {Readable} Object-mode readable stream of records
+       */
+      stream: (options = {}) => {
+        const { highWaterMark = 1000, signal } = options;
+        return Readable.from(iterate({ signal }), { objectMode: true, highWaterMark });
+      },
+    };
+
+    return query;
+  }
+
+  const utils = {
+    createQuery,
+  };
+
+  return utils;
+}
+
+module.exports = queryUtils;
@@ -0,0 +1,125 @@
+const { finished } = require('stream');
+
+/**
+ * Whether or not a response is a streamed axios response (i.e., one whose body is still being read when the response arrives)
+ * @param {any} response Result of a scheduled task
+ * @returns {boolean} `true` if the response body is a stream
+ */
+function isStreamedResponse(response) {
+  return Boolean(response && response.config && response.config.responseType === 'stream' && response.data && typeof response.data.on === 'function');
+}
+
+/**
+ * Returns a limiter through which every request of a client is scheduled. The limiter combines a token bucket (i.e., at most `requestsPerSecond` requests per second on average, with bursts of up to `burst` requests) with a cap on the number of requests in flight at any one time. Requests that cannot be issued right away wait in a first-in, first-out queue.
+ *
+ * A request is in flight until its response arrives, except for a streamed response (i.e., `responseType: 'stream'`, as used by `files.downloadByPath` and `files.downloadByKey`), which is in flight until its body has been read to the end (or has failed) so that `maxConcurrent` also caps the number of open downloads.
+ *
+ * Both limits are disabled by default, but the limiter always keeps count of the requests it has scheduled so that the number of API calls consumed by a job can be reported.
+ * @param {Object} [options={}] Rate limit options
+ * @param {number} [options.requestsPerSecond=Infinity] Average number of requests issued per second
+ * @param {number} [options.burst] Maximum number of requests issued at once after a quiet period (defaults to `requestsPerSecond` rounded up)
+ * @param {number} [options.maxConcurrent=Infinity] Maximum number of requests in flight at any one time
+ * @returns {{schedule: function(function(): Promise<any>): Promise<any>, stats: function(): {total: number, succeeded: number, failed: number, inFlight: number, queued: number}}} Limiter
+ */
+function rateLimiter(options = {}) {
+  const { requestsPerSecond = Infinity, maxConcurrent = Infinity } = options;
+  const { burst = Math.max(1, Math.ceil(requestsPerSecond)) } = options;
+  const queue = [];
+  const counters = {
+    total: 0, succeeded: 0, failed: 0, inFlight: 0,
+  };
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let timer = null;
+
+  /**
+   * Adds the tokens accrued since the last refill to the bucket
+   * @returns {void}
+   */
+  function refill() {
+    if (requestsPerSecond === Infinity) {
+      tokens = Infinity;
+      return;
+    }
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = now;
+  }
+
+  /**
+   * Calls `resume` once the next token has accrued
+   * @param {function(): void} resume Function that resumes issuing queued requests
+   * @returns {void}
+   */
+  function wakeUpForNextToken(resume) {
+    if (timer) {
+      return;
+    }
+    const wait = Math.ceil(((1 - tokens) / requestsPerSecond) * 1000);
+    timer = setTimeout(() => {
+      timer = null;
+      resume();
+    }, wait);
+  }
+
+  /**
+   * Issues queued requests for as long as both limits allow it; otherwise waits for the next token to become available
+   * @returns {void}
+   */
+  function pump() {
+    while (queue.length > 0 && counters.inFlight < maxConcurrent) {
+      refill();
+      if (tokens < 1) {
+        wakeUpForNextToken(pump);
+        return;
+      }
+      tokens -= 1;
+      const { task, resolve, reject } = queue.shift();
+      counters.total += 1;
+      counters.inFlight += 1;
+      const release = () => {
+        counters.inFlight -= 1;
+        pump();
+      };
+      Promise.resolve()
+        .then(task)
+        .then((result) => {
+          counters.succeeded += 1;
+          resolve(result);
+          if (isStreamedResponse(result)) {
+            finished(result.data, release);
+          } else {
+            release();
+          }
+        }, (error) => {
+          counters.failed += 1;
+          reject(error);
+          release();
+        });
+    }
+  }
+
+  /**
+   * Runs `task` as soon as both limits allow it
+   * @param {function(): Promise<any>} task Function that issues a request
+   * @returns {Promise<any>} Result of `task`
+   */
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      pump();
+    });
+  }
+
+  /**
+   * Returns a snapshot of the limiter's counters
+   * @returns {{total: number, succeeded: number, failed: number, inFlight: number, queued: number}} Number of requests issued, succeeded, failed, currently in flight, and currently waiting to be issued
+   */
+  function stats() {
+    return { ...counters, queued: queue.length };
+  }
+
+  return { schedule, stats };
+}
+
+module.exports = rateLimiter;
@@ -0,0 +1,192 @@
+const { readOnlyFieldTypes } = require('./caspio');
+const { CaspioValidationError } = require('./errors');
+const { where } = require('./filters');
+const { formatDate, parseDate } = require('./dates');
+const { createListField, listFieldTypes } = require('./list-fields');
+
+// maximum number of characters of the values of text fields
+const maxTextLengths = { STRING: 255, TEXT: 64000 };
+// range of the values of INTEGER fields (i.e., SQL Server's int)
+const integerRange = [-2147483648, 2147483647];
+
+/**
+ * Returns whether a value is a number or a string holding a number
+ * @param {*} value Value
+ * @returns {boolean} Whether the value is numeric
+ */
+function isNumeric(value) {
+  if (typeof value === 'string') {
+    return value.trim() !== '' && Number.isFinite(Number(value));
+  }
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Returns why a value cannot be written to a field (according to the field's definition), if it cannot
+ * @param {Object} field Field definition (see `tables.definition`)
+ * @param {*} value Value to write (`null` clears the value)
+ * @param {Object} [options={}] Options
+ * @param {boolean} [options.codec=false] Whether the value holds native JavaScript values to be encoded by the table's codec (i.e., list items instead of list indexes; see `createCodec`)
+ * @param {string} [options.tableName] Name of table (used in error messages)
+ * @returns {(string|null)} Violation (or `null` if the value may be written)
+ */
+function fieldValueViolation(field, value, options = {}) {
+  const { codec = false, tableName } = options;
+  const { Name: name, Type: type } = field;
+  if (field.IsFormula || readOnlyFieldTypes.includes(type)) {
+    return `'${name}' is a read-only ${field.IsFormula ? 'formula' : type} field.`;
+  }
+  if (type === 'PASSWORD') {
+    return `'${name}' is a PASSWORD field whose values can only be set with updatePasswordFieldValue.`;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type in maxTextLengths) {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return `'${name}' is a ${type} field, but its value is not a string.`;
+    }
+    const { length } = String(value);
+    return length > maxTextLengths[type] ? `'${name}' is a ${type} field whose values can be at most ${maxTextLengths[type]} characters long, but its value is ${length} characters long.` : null;
+  }
+  if (type === 'NUMBER' || type === 'CURRENCY') {
+    return isNumeric(value) ? null : `'${name}' is a ${type} field, but its value (${value}) is not a number.`;
+  }
+  if (type === 'INTEGER') {
+    const number = Number(value);
+    if (!isNumeric(value) || !Number.isInteger(number)) {
+      return `'${name}' is an INTEGER field, but its value (${value}) is not an integer.`;
+    }
+    return number < integerRange[0] || number > integerRange[1] ? `'${name}' is an INTEGER field whose values must be between ${integerRange[0]} and ${integerRange[1]}, but its value is ${value}.` : null;
+  }
+  if (type === 'YES/NO') {
+    return typeof value === 'boolean' || value === 0 || value === 1 ? null : `'${name}' is a YES/NO field, but its value (${value}) is not a boolean.`;
+  }
+  if (type === 'DATE/TIME') {
+    const date = value instanceof Date ? value : parseDate(value);
+    return date instanceof Date && !Number.isNaN(date.getTime()) ? null : `'${name}' is a DATE/TIME field, but its value (${value}) is not a valid date/time value (e.g., a date or a 'YYYY-MM-DDTHH:mm:ss' string).`;
+  }
+  if (type === 'FILE') {
+    return typeof value === 'string' ? null : `'${name}' is a FILE field, but its value is not a file path.`;
+  }
+  if (listFieldTypes.includes(type)) {
+    const listField = createListField(field, tableName);
+    if (codec) {
+      try {
+        listField.toIndexes(value);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (!Array.isArray(value)) {
+      return `'${name}' is a ${type} field whose values must be written as arrays of list indexes (e.g., [ ${Object.keys(listField.items()).slice(0, 2).join(', ')} ]).`;
+    }
+    try {
+      listField.toValues(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns every reason the values of a record cannot be written to a table (i.e., values of fields the table does not have, of read-only, formula, and `PASSWORD` fields, and values that do not match the type, length, or list items of their field)
+ * @param {Object} record Values to write by field name (case-insensitive)
+ * @param {Array<Object>} fieldDefinitions Field definitions of the table (see `tables.definition`)
+ * @param {Object} [options={}] Options (see `fieldValueViolation`)
+ * @returns {Array<{field: string, message: string}>} Violations (empty if the record may be written)
+ */
+function recordViolations(record, fieldDefinitions, options = {}) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, message: `The record must be an object of field values (received ${Array.isArray(record) ? 'an array' : record}).` }];
+  }
+  const fieldsByName = new Map(fieldDefinitions.map((field) => [field.Name.toLowerCase(), field]));
+  return Object.entries(record).reduce((violations, [fieldName, value]) => {
+    const field = fieldsByName.get(fieldName.toLowerCase());
+    const message = field ? fieldValueViolation(field, value, options) : `'${fieldName}' is not a field of the${options.tableName ? ` '${options.tableName}'` : ''} table.`;
+    if (message) {
+      violations.push({ field: fieldName, message });
+    }
+    return violations;
+  }, []);
+}
+
+function recordValidationUtils(credentials, context) {
+  const { tableDefinition, collectRecords } = context;
+  const { codec = false, validate: validateByDefault = false } = context.options || {};
+
+  /**
+   * Returns the violations of the uniqueness of `Unique` fields that writing a record would cause: a value already held by another record, or the same value written to several records by an update
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Array<{field: Object, fieldName: string, value: *}>} uniqueValues Values written to unique fields
+   * @param {(string|Filter)} [whereClause] `WHERE` clause of the update (not provided for an insert)
+   * @param {string} [method] Name of the SDK method that writes the record (used for error reporting)
+   * @returns {Promise<Array<{field: string, message: string}>>} Violations
+   */
+  async function uniquenessViolations(tableName, uniqueValues, whereClause, method) {
+    if (uniqueValues.length === 0) {
+      return [];
+    }
+    const resourcePath = `/v2/tables/${tableName}`;
+    const select = uniqueValues.map(({ field }) => field.Name).join(', ');
+    const options = { limit: 2, method, raw: true };
+    const updatedRecords = whereClause === undefined ? [] : await collectRecords(resourcePath, { select, where: whereClause }, options);
+    if (updatedRecords.length > 1) {
+      return uniqueValues.map(({ fieldName }) => ({ field: fieldName, message: `'${fieldName}' is a unique field, but the update matches more than one record (which would all be given the same value).` }));
+    }
+    const sameValue = (a, b) => String(a).trimEnd().toLowerCase() === String(b).trimEnd().toLowerCase();
+    const violations = await Promise.all(uniqueValues.map(async ({ field, fieldName, value }) => {
+      // a record already holding the value is the updated record itself if the updated record holds the value (values are unique)
+      if (updatedRecords.length === 1 && sameValue(updatedRecords[0][field.Name], value instanceof Date ? formatDate(value) : value)) {
+        return null;
+      }
+      const [holder] = await collectRecords(resourcePath, { select: field.Name, where: where.eq(field.Name, value) }, { ...options, limit: 1 });
+      return holder ? { field: fieldName, message: `'${fieldName}' is a unique field, and its value (${value instanceof Date ? formatDate(value) : value}) is already held by another record.` } : null;
+    }));
+    return violations.filter(Boolean);
+  }
+
+  /**
+   * Checks the values of a record to write against the table's definition (which is fetched once per client and cached) and, for values of `Unique` fields, against the records of the table, if validation is enabled (i.e., by the `validate` option of the write or, if it is not provided, of the client). Every violation is reported at once.
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Object} record Values to write by field name (case-insensitive)
+   * @param {Object} [options={}] Options
+   * @param {boolean} [options.validate] Whether to validate the record (defaults to the client's `validate` option)
+   * @param {(string|Filter)} [options.whereClause] `WHERE` clause of the update (not provided for an insert)
+   * @param {string} [options.method] Name of the SDK method that writes the record (used for error reporting)
+   * @returns {Promise<void>}
+   * @throws {CaspioValidationError} If the record cannot be written (its `violations` property lists every field-level violation)
+   */
+  async function validateRecord(tableName, record, options = {}) {
+    const { whereClause, method, validate = validateByDefault } = options;
+    if (!validate) {
+      return;
+    }
+    const fieldDefinitions = await tableDefinition(tableName);
+    const violations = recordViolations(record, fieldDefinitions, { codec, tableName });
+    if (violations.length === 0 || violations[0].field !== null) {
+      // only values that may otherwise be written are looked up
+      const fieldsByName = new Map(fieldDefinitions.map((field) => [field.Name.toLowerCase(), field]));
+      const uniqueValues = Object.entries(record)
+        .filter(([fieldName]) => !violations.some(({ field }) => field === fieldName))
+        .map(([fieldName, value]) => ({ field: fieldsByName.get(fieldName.toLowerCase()), fieldName, value }))
+        .filter(({ field, value }) => field.Unique && value !== null && value !== undefined && !listFieldTypes.includes(field.Type));
+      violations.push(...await uniquenessViolations(tableName, uniqueValues, whereClause, method));
+    }
+    if (violations.length > 0) {
+      throw new CaspioValidationError(`The record cannot be written to the '${tableName}' table (${violations.length} violation(s)): ${violations.map(({ message }) => message).join(' ')}`, { method, violations });
+    }
+  }
+
+  const utils = {
+    recordViolations,
+    validateRecord,
+  };
+
+  return utils;
+}
+
+module.exports = recordValidationUtils;
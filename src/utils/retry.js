@@ -0,0 +1,125 @@
+const axios = require('axios');
+
+const defaultPolicy = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statuses: [408, 429, 500, 502, 503, 504],
+  methods: ['get', 'delete'],
+};
+
+/**
+ * Returns the number of milliseconds requested by a `Retry-After` header (either a number of seconds or an HTTP date)
+ * @param {(string|undefined)} headerValue Value of the `Retry-After` header
+ * @returns {(number|null)} Delay in milliseconds or `null` if the header is missing or not valid
+ */
+function retryAfterDelay(headerValue) {
+  if (headerValue === undefined || headerValue === null || headerValue === '') {
+    return null;
+  }
+  const seconds = Number(headerValue);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(headerValue);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Returns a retry policy for transient failures of Caspio's REST API (e.g., `429 Too Many Requests`, `502 Bad Gateway`, `503 Service Unavailable`, or network errors). Failed requests are retried with exponential backoff and (full) jitter unless Caspio specifies how long to wait through a `Retry-After` header.
+ *
+ * Only idempotent requests whose method is listed in `methods` (i.e., `GET` and `DELETE` by default) are retried. A `POST` request, which may create a duplicate if Caspio received the original request, is only retried if its request config opts in with `retry: true` (e.g., `tables.createRecord` or `files.uploadByPath` called with `{ retry: true }`), and a `PUT` request is never retried.
+ * @param {(Object|false)} [options={}] Retry options (or `false` to disable retries)
+ * @param {number} [options.maxAttempts=3] Maximum number of attempts per request (including the first one)
+ * @param {number} [options.baseDelay=500] Delay (in milliseconds) before the first retry; each subsequent delay is multiplied by `factor`
+ * @param {number} [options.maxDelay=30000] Upper bound (in milliseconds) for any single delay, including delays requested through `Retry-After`
+ * @param {number} [options.factor=2] Multiplier applied to the delay after every attempt
+ * @param {boolean} [options.jitter=true] Whether or not to randomize each delay between `0` and its computed value to spread out retries of concurrent requests
+ * @param {Array<number>} [options.statuses=[408, 429, 500, 502, 503, 504]] HTTP status codes that are retried
+ * @param {Array<string>} [options.methods=['get', 'delete']] Idempotent HTTP methods (case-insensitive) that are retried (`POST` and `PUT` requests are only retried as described above)
+ * @param {Object} [log] Logger through which retries are reported at the `warn` level (see `logger.js`)
+ * @returns {function(Object, function(): Promise<Object>): Promise<Object>} Function that accepts a request config and a function that issues the request, and resolves to the response of the first successful attempt
+ */
+function retryPolicy(options = {}, log = require('./logger')()) {
+  const policy = options === false ? { ...defaultPolicy, maxAttempts: 1 } : { ...defaultPolicy, ...options };
+  const methods = policy.methods.map((method) => method.toLowerCase());
+
+  /**
+   * Whether or not a request may be retried at all: `POST` requests only if their config opts in with `retry: true`, `PUT` requests never, and any other request if its method is listed in `methods`
+   * @param {Object} config Axios request config
+   * @returns {boolean} `true` if the request may be retried
+   */
+  function isRetryable(config) {
+    const method = String(config.method || 'get').toLowerCase();
+    if (method === 'post') {
+      return config.retry === true;
+    }
+    return method !== 'put' && methods.includes(method);
+  }
+
+  /**
+   * Whether or not a failed attempt should be retried
+   * @param {any} error Error thrown by the attempt
+   * @param {Object} config Axios request config
+   * @param {number} attempt Number of the failed attempt (starting at `1`)
+   * @returns {boolean} `true` if the request should be retried
+   */
+  function shouldRetry(error, config, attempt) {
+    if (attempt >= policy.maxAttempts || !axios.isAxiosError(error) || axios.isCancel(error)) {
+      return false;
+    }
+    if (!isRetryable(config)) {
+      return false;
+    }
+    // network failures and timeouts have no response
+    return error.response ? policy.statuses.includes(error.response.status) : true;
+  }
+
+  /**
+   * Number of milliseconds to wait before the next attempt
+   * @param {any} error Error thrown by the failed attempt
+   * @param {number} attempt Number of the failed attempt (starting at `1`)
+   * @returns {number} Delay in milliseconds
+   */
+  function delayFor(error, attempt) {
+    const retryAfter = error.response && error.response.headers ? retryAfterDelay(error.response.headers['retry-after']) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+    const backoff = Math.min(policy.baseDelay * (policy.factor ** (attempt - 1)), policy.maxDelay);
+    return policy.jitter ? Math.round(Math.random() * backoff) : backoff;
+  }
+
+  /**
+   * Runs `attemptFn` until it succeeds, fails with a non-retryable error, or runs out of attempts
+   * @param {Object} config Axios request config of the request being attempted
+   * @param {function(): Promise<Object>} attemptFn Function that issues the request
+   * @returns {Promise<Object>} Axios response
+   */
+  async function run(config, attemptFn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await attemptFn();
+      } catch (error) {
+        if (!shouldRetry(error, config, attempt)) {
+          throw error;
+        }
+        const delay = delayFor(error, attempt);
+        const reason = error.response ? `${error.response.status} ${error.response.statusText}` : error.message;
+        log.warn(`Request failed (${reason}); retrying in ${delay} ms (attempt ${attempt + 1} of ${policy.maxAttempts}).`, {
+          status: error.response ? error.response.status : null, attempt: attempt + 1, maxAttempts: policy.maxAttempts, delay,
+        });
+        await new Promise((resolve) => { setTimeout(resolve, delay); });
+      }
+    }
+  }
+
+  return run;
+}
+
+module.exports = retryPolicy;
@@ -0,0 +1,187 @@
+const {
+  fieldNameRestrictions, validFieldProperties, validFieldPropertiesOnUpdate, validFieldTypes, validTimeZones,
+} = require('./caspio');
+const { CaspioValidationError } = require('./errors');
+
+// table and field names: alphanumeric (and underscores), beginning with a letter, and up to 32 characters long
+const namePattern = /^[A-Za-z][A-Za-z0-9_]*$/;
+const maxNameLength = 32;
+// maximum number of characters of the Label and Description of a field
+const maxLabelLength = 255;
+const maxDescriptionLength = 4000;
+
+/**
+ * Returns the `Name` of a field definition (whose property names are case-insensitive)
+ * @param {Object} definition Field definition
+ * @returns {(string|null)} Name of the field (or `null` if the definition does not have a name)
+ */
+function definitionName(definition) {
+  if (definition === null || typeof definition !== 'object') {
+    return null;
+  }
+  const property = Object.keys(definition).find((key) => key.toLowerCase() === 'name');
+  return property && typeof definition[property] === 'string' ? definition[property] : null;
+}
+
+/**
+ * Returns why a table or field name does not comply with Caspio's naming rules, if it does not
+ * @param {*} name Name
+ * @param {('table'|'field')} kind Kind of name (field names may not be reserved words of SQL Server)
+ * @returns {(string|null)} Rule the name breaks (or `null` if the name is valid)
+ */
+function nameViolation(name, kind) {
+  if (typeof name !== 'string' || name === '') {
+    return `The ${kind} name must be a non-empty string.`;
+  }
+  if (name.length > maxNameLength) {
+    return `The ${kind} name '${name}' is ${name.length} characters long, but ${kind} names can be at most ${maxNameLength} characters long.`;
+  }
+  if (!namePattern.test(name)) {
+    return `The ${kind} name '${name}' must begin with a letter and may only contain letters, digits, and underscores (spaces are not allowed).`;
+  }
+  if (kind === 'field' && fieldNameRestrictions.includes(name.toUpperCase())) {
+    return `The field name '${name}' is a word reserved by SQL Server (see fieldNameRestrictions).`;
+  }
+  return null;
+}
+
+/**
+ * Returns every reason a field definition cannot be used to create a field (or, with `update`, to update a field): properties that are not whitelisted (see `validFieldProperties` and `validFieldPropertiesOnUpdate`), invalid names, types that are not in `validFieldTypes`, time zones that are not in `validTimeZones`, and labels or descriptions that are too long. Property names and types are compared case-insensitively.
+ * @param {Object} definition Field definition (e.g., `{ Name: 'First_Name', Type: 'STRING' }` or, with `update`, `{ NewLabel: 'First name' }`)
+ * @param {Object} [options={}] Options
+ * @param {boolean} [options.update=false] Whether the definition updates an existing field (i.e., its properties are prefixed with `New`)
+ * @param {string} [options.fieldName] Name of the field (used in violations when the definition does not have a valid name)
+ * @returns {Array<{field: string, property: string, message: string}>} Violations (empty if the definition is valid)
+ */
+function fieldDefinitionViolations(definition, options = {}) {
+  const { update = false } = options;
+  const prefix = update ? 'New' : '';
+  const whitelist = update ? validFieldPropertiesOnUpdate : validFieldProperties;
+  const fieldName = options.fieldName || definitionName(definition);
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [{ field: fieldName, property: null, message: 'The field definition must be an object of field properties.' }];
+  }
+  const violations = [];
+  const violate = (property, message) => violations.push({ field: fieldName, property, message: `${fieldName ? `Field '${fieldName}': ` : ''}${message}` });
+  const properties = new Map(Object.keys(definition).map((property) => [property.toLowerCase(), property]));
+  const value = (property) => definition[properties.get(`${prefix}${property}`.toLowerCase())];
+  const has = (property) => properties.has(`${prefix}${property}`.toLowerCase()) && value(property) !== undefined && value(property) !== null;
+
+  Object.keys(definition)
+    .filter((property) => !whitelist.some((validProperty) => validProperty.toLowerCase() === property.toLowerCase()))
+    .forEach((property) => violate(property, `'${property}' is not a valid property of a field definition${update ? ' update' : ''}. Valid properties: ${whitelist.join(', ')}.`));
+  if (update && properties.size === 0) {
+    violate(null, `The field definition update must have at least one of the following properties: ${whitelist.join(', ')}.`);
+  }
+  if (!update || has('Name')) {
+    const message = nameViolation(value('Name'), 'field');
+    if (message) {
+      violate(`${prefix}Name`, message);
+    }
+  }
+  if (!update || has('Type')) {
+    const type = value('Type');
+    if (typeof type !== 'string' || !validFieldTypes.includes(type.toUpperCase())) {
+      violate(`${prefix}Type`, `${type === undefined ? 'The field type is missing.' : `'${type}' is not a valid field type.`} Valid types: ${validFieldTypes.join(', ')}.`);
+    }
+  }
+  if (has('TimeZone')) {
+    const timeZone = value('TimeZone');
+    if (!Object.values(validTimeZones).includes(timeZone)) {
+      violate(`${prefix}TimeZone`, `'${timeZone}' is not a valid time zone (e.g., 'UTC' or 'Pacific Standard Time'; see validTimeZones).`);
+    }
+  }
+  [['Label', maxLabelLength], ['Description', maxDescriptionLength]].filter(([property]) => has(property)).forEach(([property, maxLength]) => {
+    const text = value(property);
+    if (typeof text !== 'string') {
+      violate(`${prefix}${property}`, `The ${property.toLowerCase()} must be a string.`);
+    } else if (text.length > maxLength) {
+      violate(`${prefix}${property}`, `The ${property.toLowerCase()} is ${text.length} characters long, but it can be at most ${maxLength} characters long.`);
+    }
+  });
+  return violations;
+}
+
+/**
+ * Throws a `CaspioValidationError` listing every violation, if there are any
+ * @param {string} message Message that precedes the violations
+ * @param {Array<{field: string, property: string, message: string}>} violations Violations
+ * @param {string} method Name of the SDK method (used for error reporting)
+ * @throws {CaspioValidationError} If there are violations
+ */
+function throwViolations(message, violations, method) {
+  if (violations.length > 0) {
+    throw new CaspioValidationError(`${message} (${violations.length} violation(s)): ${violations.map((violation) => violation.message).join(' ')}`, { method, violations });
+  }
+}
+
+/**
+ * Returns every reason a table cannot be created with a name and field definitions: an invalid table name, no field definitions, invalid field definitions (see `fieldDefinitionViolations`), and field names used more than once
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fieldDefinitions Definitions of the fields of the table (see `tables.create`)
+ * @returns {Array<{field: string, property: string, message: string}>} Violations (empty if the table may be created)
+ */
+function tableViolations(tableName, fieldDefinitions) {
+  const violations = [];
+  const tableNameMessage = nameViolation(tableName, 'table');
+  if (tableNameMessage) {
+    violations.push({ field: null, property: null, message: tableNameMessage });
+  }
+  if (!Array.isArray(fieldDefinitions) || fieldDefinitions.length === 0) {
+    violations.push({ field: null, property: null, message: 'The field definitions must be a non-empty array.' });
+    return violations;
+  }
+  const indexesByName = new Map();
+  fieldDefinitions.forEach((definition, index) => {
+    violations.push(...fieldDefinitionViolations(definition));
+    const name = definitionName(definition);
+    if (name !== null && indexesByName.has(name.toLowerCase())) {
+      violations.push({ field: name, property: 'Name', message: `Field '${name}': field definitions ${indexesByName.get(name.toLowerCase())} and ${index} have the same name (field names are case-insensitive).` });
+    } else if (name !== null) {
+      indexesByName.set(name.toLowerCase(), index);
+    }
+  });
+  return violations;
+}
+
+/**
+ * Checks the name and field definitions of a table to create before the table is created
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fieldDefinitions Definitions of the fields of the table (see `tables.create`)
+ * @throws {CaspioValidationError} If the table cannot be created (its `violations` property lists every violation by field and property)
+ */
+function validateTableCreation(tableName, fieldDefinitions) {
+  throwViolations(`The table '${tableName}' cannot be created`, tableViolations(tableName, fieldDefinitions), 'tables.create');
+}
+
+/**
+ * Checks the definition of a field to add to a table before the field is added
+ * @param {string} tableName Name of table
+ * @param {Object} fieldToAdd Definition of the field (see `tables.addField`)
+ * @throws {CaspioValidationError} If the field cannot be added (its `violations` property lists every violation by property)
+ */
+function validateFieldAddition(tableName, fieldToAdd) {
+  throwViolations(`The field cannot be added to the '${tableName}' table`, fieldDefinitionViolations(fieldToAdd), 'tables.addField');
+}
+
+/**
+ * Checks an update of a field's definition (i.e., properties prefixed with `New`) before the field is updated
+ * @param {string} tableName Name of table
+ * @param {string} fieldName Name of the updated field
+ * @param {Object} updatedFieldDef Updated properties of the field (see `tables.updateFieldDefinition`)
+ * @throws {CaspioValidationError} If the field cannot be updated (its `violations` property lists every violation by property)
+ */
+function validateFieldUpdate(tableName, fieldName, updatedFieldDef) {
+  throwViolations(`The field '${fieldName}' of the '${tableName}' table cannot be updated`, fieldDefinitionViolations(updatedFieldDef, { update: true, fieldName }), 'tables.updateFieldDefinition');
+}
+
+module.exports = {
+  definitionName,
+  fieldDefinitionViolations,
+  nameViolation,
+  tableViolations,
+  throwViolations,
+  validateFieldAddition,
+  validateFieldUpdate,
+  validateTableCreation,
+};
@@ -0,0 +1,429 @@
+const { readOnlyFieldTypes, validFieldProperties } = require('./caspio');
+const { CaspioError, CaspioValidationError } = require('./errors');
+const { tablesDDL } = require('./ddl');
+const { createListField, listFieldTypes } = require('./list-fields');
+const { getDialect } = require('./sql-dialects');
+const { definitionName, tableViolations, throwViolations } = require('./schema-validation');
+
+// field properties compared between desired and live field definitions (a field's name identifies it, and formulas cannot be set through the REST API)
+const comparedFieldProperties = validFieldProperties.filter((property) => !['Name', 'IsFormula'].includes(property));
+// properties whose values are compared case-insensitively
+const caseInsensitiveProperties = ['Type', 'TimeZone'];
+// format and versions of the documents created by `schema.snapshot`
+const snapshotFormat = 'caspio-sdk-schema-snapshot';
+const snapshotVersion = 1;
+const supportedSnapshotVersions = [1];
+
+/**
+ * Returns a field definition whose property names are spelled as in `validFieldProperties` (property names are case-insensitive) and whose `ListField` is an array of items (e.g., `{ "1": "Cat", "3": "Dog" }`, as returned by `tables.definition`, becomes `[ "Cat", "Dog" ]`)
+ * @param {Object} definition Field definition
+ * @returns {Object} Field definition
+ */
+function canonicalDefinition(definition) {
+  return Object.entries(definition).reduce((canonical, [property, value]) => {
+    const validProperty = validFieldProperties.find((name) => name.toLowerCase() === property.toLowerCase()) || property;
+    const canonicalValue = validProperty === 'ListField' && value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.values(value) : value;
+    return { ...canonical, [validProperty]: canonicalValue };
+  }, {});
+}
+
+/**
+ * Returns whether the desired value of a field property matches its live value (e.g., `null` matches `''`, types and time zones are compared case-insensitively, and list items are compared regardless of their indexes and order)
+ * @param {string} property Name of the field property
+ * @param {*} desiredValue Desired value
+ * @param {Object} liveField Live field definition (see `tables.definition`)
+ * @param {string} tableName Name of table (used in error messages)
+ * @returns {boolean} Whether the values match
+ */
+function propertyMatches(property, desiredValue, liveField, tableName) {
+  const liveValue = liveField[property];
+  if (property === 'ListField') {
+    if (!listFieldTypes.includes(liveField.Type)) {
+      return false;
+    }
+    const listField = createListField(liveField, tableName);
+    const desiredIndexes = new Set((desiredValue || []).map(listField.indexOf));
+    return !desiredIndexes.has(-1) && desiredIndexes.size === listField.values().length;
+  }
+  const normalize = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return caseInsensitiveProperties.includes(property) ? text.toUpperCase() : text;
+  };
+  return normalize(desiredValue) === normalize(liveValue);
+}
+
+/**
+ * Returns a value as it appears in a plan summary
+ * @param {*} value Value
+ * @returns {string} Printable value
+ */
+function printable(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(printable).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return printable(Object.values(value));
+  }
+  return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+/**
+ * Returns a human-readable description of an operation of a schema plan
+ * @param {Object} operation Operation (see `schema.diff`)
+ * @returns {string} Description of the operation
+ */
+function describeOperation(operation) {
+  const { action, table, field } = operation;
+  if (action === 'create-table') {
+    return `+ create table '${table}' with ${operation.fields.length} field(s): ${operation.fields.map((definition) => `${definitionName(definition)} (${canonicalDefinition(definition).Type})`).join(', ')}`;
+  }
+  if (action === 'add-field') {
+    return `+ add field '${table}.${definitionName(field)}' (${canonicalDefinition(field).Type})`;
+  }
+  if (action === 'update-field') {
+    const changes = Object.entries(operation.changes).map(([property, value]) => {
+      const currentProperty = property.replace(/^New/, '');
+      return `${currentProperty}: ${printable(operation.current[currentProperty])} -> ${printable(value)}`;
+    });
+    return `~ update field '${table}.${field}' (${changes.join('; ')})`;
+  }
+  return `- delete field '${table}.${field}'`;
+}
+
+/**
+ * Returns the human-readable summary of a schema plan (one line per operation)
+ * @param {Array<Object>} operations Operations of the plan (see `schema.diff`)
+ * @returns {string} Summary
+ */
+function summarizePlan(operations) {
+  if (operations.length === 0) {
+    return 'The schema is up to date (no changes).';
+  }
+  const counts = ['create-table', 'add-field', 'update-field', 'delete-field']
+    .map((action) => [action, operations.filter((operation) => operation.action === action).length])
+    .filter(([, count]) => count > 0)
+    .map(([action, count]) => `${count} ${action}`);
+  return [`${operations.length} change(s) (${counts.join(', ')}):`, ...operations.map(describeOperation)].join('\n');
+}
+
+/**
+ * Returns the field definitions of a snapshot table that can be recreated through the REST API and notes about the fields that cannot be reproduced exactly: formula fields are left out (their formulas cannot be read or set through the REST API), and fields of read-only types (e.g., `AUTONUMBER`) are recreated, but their generated values start over in the new table
+ * @param {string} tableName Name of the table
+ * @param {Array<Object>} fields Field definitions of the table (as returned by `tables.definition`)
+ * @returns {{fields: Array<Object>, formulaFields: Array<string>, notReproduced: Array<{kind: string, table: string, field: string, message: string}>}} Restorable field definitions, names of the formula fields, and notes
+ */
+function restorableFields(tableName, fields) {
+  const notReproduced = [];
+  const formulaFields = [];
+  const restorable = [];
+  fields.map(canonicalDefinition).forEach((definition) => {
+    if (definition.IsFormula) {
+      formulaFields.push(definition.Name);
+      notReproduced.push({
+        kind: 'formula-field', table: tableName, field: definition.Name, message: `Field '${tableName}.${definition.Name}' is a formula field, whose formula cannot be read or set through the REST API; it was not restored (recreate it in the table designer).`,
+      });
+      return;
+    }
+    if (readOnlyFieldTypes.includes(String(definition.Type).toUpperCase())) {
+      notReproduced.push({
+        kind: 'read-only-field', table: tableName, field: definition.Name, message: `Field '${tableName}.${definition.Name}' (${definition.Type}) was restored, but its values are generated by Caspio and start over in the restored table.`,
+      });
+    }
+    restorable.push(definition);
+  });
+  return { fields: restorable, formulaFields, notReproduced };
+}
+
+/**
+ * Returns notes about the views, applications, and DataPages of a snapshot (none of which can be created through the REST API)
+ * @param {Object} snapshot Snapshot (see `schema.snapshot`)
+ * @returns {Array<{kind: string, name: string, message: string}>} Notes
+ */
+function unrestorableObjects(snapshot) {
+  const views = Object.keys(snapshot.views || {}).map((name) => ({
+    kind: 'view', name, message: `View '${name}' cannot be created through the REST API; it was not restored.`,
+  }));
+  const apps = (snapshot.apps || []).flatMap(({ AppName, DataPages = [] }) => [
+    { kind: 'app', name: AppName, message: `Application '${AppName}' cannot be created through the REST API; it was not restored.` },
+    ...DataPages.map(({ Name }) => ({ kind: 'datapage', name: `${AppName}/${Name}`, message: `DataPage '${Name}' of application '${AppName}' cannot be created through the REST API; it was not restored.` })),
+  ]);
+  return [...views, ...apps];
+}
+
+function schemaUtils(credentials, context) {
+  const {
+    http, logger, tableDefinition, forgetTableDefinition,
+  } = context;
+
+  /**
+   * Returns the names of the tables of the account
+   * @returns {Promise<Array<string>>} Table names
+   */
+  async function tableNames() {
+    const theReq = await http({
+      method: 'get',
+      url: '/v2/tables',
+    });
+    return theReq.data.Result;
+  }
+
+  /**
+   * Compares a desired schema (i.e., field definitions by table name) against the live tables of the account and returns the operations that would make the live tables match it. Tables (and table and field names) are matched case-insensitively; tables that are not part of the desired schema are left alone, fields of a described table that are not part of its description are deleted, and only the properties a desired field definition provides are compared.
+   * @param {Object} desired Desired schema
+   * @param {Object<string, {fields: Array<Object>}>} desired.tables Field definitions (see `tables.create`) by table name
+   * @returns {Promise<{operations: Array<Object>, summary: string}>} Plan
+   * @throws {CaspioValidationError} If the desired schema is invalid (its `violations` property lists every violation by table, field, and property)
+   */
+  async function diffSchema(desired) {
+    if (desired === null || typeof desired !== 'object' || desired.tables === null || typeof desired.tables !== 'object' || Array.isArray(desired.tables)) {
+      throw new CaspioValidationError('The desired schema must be an object with a \'tables\' property whose keys are table names and whose values are objects with a \'fields\' array of field definitions (e.g., { tables: { Demo_Users: { fields: [{ Name: \'Email\', Type: \'STRING\' }] } } }).');
+    }
+    const desiredTables = Object.entries(desired.tables).map(([table, description]) => ({ table, fields: description && description.fields }));
+    const violations = desiredTables.flatMap(({ table, fields }) => tableViolations(table, fields).map((violation) => ({ table, ...violation, message: `Table '${table}': ${violation.message}` })));
+    throwViolations('The desired schema is invalid', violations, 'schema.diff');
+
+    const liveTableNames = new Map((await tableNames()).map((name) => [name.toLowerCase(), name]));
+    const operations = [];
+    for (let i = 0; i < desiredTables.length; i++) {
+      const { table: desiredTable, fields } = desiredTables[i];
+      const desiredFields = fields.map(canonicalDefinition);
+      if (!liveTableNames.has(desiredTable.toLowerCase())) {
+        operations.push({ action: 'create-table', table: desiredTable, fields: desiredFields });
+        continue;
+      }
+      const table = liveTableNames.get(desiredTable.toLowerCase());
+      const liveFields = await tableDefinition(table, { refresh: true });
+      const liveFieldsByName = new Map(liveFields.map((field) => [field.Name.toLowerCase(), field]));
+      const desiredNames = new Set(desiredFields.map((definition) => definition.Name.toLowerCase()));
+      desiredFields.forEach((definition) => {
+        const liveField = liveFieldsByName.get(definition.Name.toLowerCase());
+        if (!liveField) {
+          operations.push({ action: 'add-field', table, field: definition });
+          return;
+        }
+        const changedProperties = comparedFieldProperties
+          .filter((property) => definition[property] !== undefined && !propertyMatches(property, definition[property], liveField, table));
+        if (changedProperties.length > 0) {
+          operations.push({
+            action: 'update-field',
+            table,
+            field: liveField.Name,
+            changes: changedProperties.reduce((changes, property) => ({ ...changes, [`New${property}`]: definition[property] }), {}),
+            current: changedProperties.reduce((current, property) => ({ ...current, [property]: liveField[property] }), {}),
+          });
+        }
+      });
+      liveFields
+        .filter((field) => !desiredNames.has(field.Name.toLowerCase()))
+        .forEach((field) => operations.push({ action: 'delete-field', table, field: field.Name }));
+    }
+
+    return { operations, summary: summarizePlan(operations) };
+  }
+
+  /**
+   * Sends the request that carries out an operation of a schema plan
+   * @param {Object} operation Operation (see `diffSchema`)
+   * @returns {Promise<void>}
+   */
+  async function applyOperation(operation) {
+    const { action, table, field } = operation;
+    if (action === 'create-table') {
+      await http({
+        method: 'post',
+        url: '/v2/tables',
+        data: { Name: table, Columns: operation.fields },
+      });
+    } else if (action === 'add-field') {
+      await http({
+        method: 'post',
+        url: `/v2/tables/${table}/fields`,
+        data: field,
+      });
+    } else if (action === 'update-field') {
+      await http({
+        method: 'put',
+        url: `/v2/tables/${table}/fields/${field}`,
+        data: operation.changes,
+      });
+    } else {
+      await http({
+        method: 'delete',
+        url: `/v2/tables/${table}/fields/${field}`,
+      });
+    }
+    forgetTableDefinition(table);
+  }
+
+  /**
+   * Carries out the operations of a schema plan one at a time (in order) and logs a human-readable summary of them. The first failed operation stops the plan (the operations carried out before it are not undone).
+   * @param {{operations: Array<Object>}} plan Plan (see `diffSchema`)
+   * @param {Object} [options={}] Options
+   * @param {boolean} [options.dryRun=false] Whether to only log the summary of the plan without carrying it out
+   * @param {boolean} [options.allowDeletes=false] Whether the plan may delete fields (deleting a field deletes its values)
+   * @returns {Promise<{dryRun: boolean, applied: number, operations: Array<Object>, summary: string}>} Report of the applied plan
+   * @throws {CaspioValidationError} If the plan is invalid or deletes fields without `allowDeletes`
+   */
+  async function applySchema(plan, options = {}) {
+    const { dryRun = false, allowDeletes = false } = options;
+    if (!plan || !Array.isArray(plan.operations)) {
+      throw new CaspioValidationError('The plan must be an object with an \'operations\' array (i.e., the return value of schema.diff).');
+    }
+    const { operations } = plan;
+    const summary = summarizePlan(operations);
+    if (dryRun) {
+      logger.info(`Schema plan (dry run): ${summary}`);
+      return {
+        dryRun, applied: 0, operations, summary,
+      };
+    }
+    const deletions = operations.filter(({ action }) => action === 'delete-field');
+    if (deletions.length > 0 && !allowDeletes) {
+      throw new CaspioValidationError(`The plan deletes ${deletions.length} field(s) (${deletions.map(({ table, field }) => `'${table}.${field}'`).join(', ')}), which deletes their values. Pass { allowDeletes: true } to apply it.`);
+    }
+    let applied = 0;
+    while (applied < operations.length) {
+      await applyOperation(operations[applied]);
+      applied++;
+      logger.info(`Applied schema change ${applied} of ${operations.length}: ${describeOperation(operations[applied - 1])}`);
+    }
+    logger.info(`Schema plan applied: ${summary}`);
+    return {
+      dryRun, applied, operations, summary,
+    };
+  }
+
+  /**
+   * Returns a versioned document that describes the account: the definition of every table, the description of every view, and the properties of every application and its DataPages
+   * @returns {Promise<Object>} Snapshot (i.e., `format`, `version`, `createdAt`, `accountID`, `tables`, `views`, and `apps`)
+   */
+  async function snapshotSchema() {
+    const tables = {};
+    const names = await tableNames();
+    for (let i = 0; i < names.length; i++) {
+      tables[names[i]] = { fields: await tableDefinition(names[i], { refresh: true }) };
+    }
+    const views = {};
+    const viewNames = (await http({ method: 'get', url: '/v2/views' })).data.Result;
+    for (let i = 0; i < viewNames.length; i++) {
+      views[viewNames[i]] = (await http({ method: 'get', url: `/v2/views/${viewNames[i]}` })).data.Result;
+    }
+    const apps = (await http({ method: 'get', url: '/v2/applications' })).data.Result;
+    for (let i = 0; i < apps.length; i++) {
+      apps[i] = { ...apps[i], DataPages: (await http({ method: 'get', url: `/v2/applications/${apps[i].ExternalKey}/datapages` })).data.Result };
+    }
+    logger.info(`Schema snapshot taken: ${names.length} table(s), ${viewNames.length} view(s), and ${apps.length} application(s).`);
+    return {
+      format: snapshotFormat,
+      version: snapshotVersion,
+      createdAt: new Date().toISOString(),
+      accountID: credentials.accountID,
+      tables,
+      views,
+      apps,
+    };
+  }
+
+  /**
+   * Recreates the tables of a snapshot in the account of the target client (this client's account by default) by planning and applying the changes between the snapshot and the target's tables (see `diffSchema` and `applySchema`), and reports what could not be reproduced through the REST API
+   * @param {Object} snapshot Snapshot (see `snapshotSchema`)
+   * @param {Object} [options={}] Options
+   * @param {Object} [options.targetClient] Client of the account to restore the tables in
+   * @param {boolean} [options.dryRun=false] Whether to only log the summary of the plan without carrying it out
+   * @param {boolean} [options.allowDeletes=false] Whether fields of the target's tables that are not part of the snapshot may be deleted (otherwise they are kept and reported)
+   * @returns {Promise<{dryRun: boolean, applied: number, operations: Array<Object>, summary: string, notReproduced: Array<Object>}>} Report of the applied plan and of what was not reproduced
+   * @throws {CaspioValidationError} If the snapshot is not a supported snapshot document
+   */
+  async function restoreSchema(snapshot, options = {}) {
+    const { targetClient, dryRun = false, allowDeletes = false } = options;
+    if (!snapshot || snapshot.format !== snapshotFormat || snapshot.tables === null || typeof snapshot.tables !== 'object') {
+      throw new CaspioValidationError(`The snapshot must be a document returned by schema.snapshot (i.e., an object whose 'format' is '${snapshotFormat}').`);
+    }
+    if (!supportedSnapshotVersions.includes(snapshot.version)) {
+      throw new CaspioValidationError(`Version ${snapshot.version} of the snapshot format is not supported (supported versions: ${supportedSnapshotVersions.join(', ')}).`);
+    }
+    const target = targetClient ? targetClient.schema : { diff: diffSchema, apply: applySchema };
+    const notReproduced = [];
+    const formulaFieldsByTable = new Map();
+    const desiredTables = {};
+    Object.entries(snapshot.tables).forEach(([table, { fields }]) => {
+      const restorable = restorableFields(table, fields || []);
+      notReproduced.push(...restorable.notReproduced);
+      formulaFieldsByTable.set(table.toLowerCase(), new Set(restorable.formulaFields.map((name) => name.toLowerCase())));
+      if (restorable.fields.length === 0) {
+        notReproduced.push({ kind: 'table', table, message: `Table '${table}' only has formula fields; it was not restored.` });
+      } else {
+        desiredTables[table] = { fields: restorable.fields };
+      }
+    });
+    notReproduced.push(...unrestorableObjects(snapshot));
+
+    const plan = await target.diff({ tables: desiredTables });
+    if (!plan) {
+      throw new CaspioError('The target client did not return a plan (create it with { strict: true } to have its failures thrown).', { method: 'schema.restore' });
+    }
+    // formula fields of the target are left alone, and other fields that are not part of the snapshot are only deleted with allowDeletes
+    const operations = plan.operations.filter((operation) => {
+      if (operation.action !== 'delete-field') {
+        return true;
+      }
+      const formulaFields = formulaFieldsByTable.get(operation.table.toLowerCase()) || new Set();
+      if (formulaFields.has(operation.field.toLowerCase())) {
+        return false;
+      }
+      if (!allowDeletes) {
+        notReproduced.push({
+          kind: 'extra-field', table: operation.table, field: operation.field, message: `Field '${operation.table}.${operation.field}' is not part of the snapshot; it was kept (pass { allowDeletes: true } to delete it).`,
+        });
+      }
+      return allowDeletes;
+    });
+    const report = await target.apply({ operations }, { dryRun, allowDeletes });
+    if (!report) {
+      throw new CaspioError('The target client did not apply the plan (create it with { strict: true } to have its failures thrown).', { method: 'schema.restore' });
+    }
+    notReproduced.forEach(({ message }) => logger.warn(`Not reproduced: ${message}`));
+    return { ...report, notReproduced };
+  }
+
+  /**
+   * Returns the DDL of tables in a SQL dialect (see `tablesDDL`), driven by the live definitions of the tables (every table of the account by default) or by provided field definitions (e.g., the tables of a snapshot)
+   * @param {Object} options Options
+   * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} options.dialect SQL dialect
+   * @param {(Array<string>|Object<string, {fields: Array<Object>}>)} [options.tables] Names of the tables (case-insensitive) or descriptions of tables by table name
+   * @param {string} [options.dataDirectory] Directory of the data files of the tables (each named `<tableName>.csv`)
+   * @returns {Promise<{dialect: string, tables: Object<string, {create: string, seed: (string|null)}>, schema: string, seed: (string|null)}>} Statements by table and all statements of each kind
+   * @throws {CaspioValidationError} If the options are invalid
+   */
+  async function generateDDL(options = {}) {
+    // the dialect is checked before any table definition is fetched
+    getDialect(options.dialect);
+    const { tables = await tableNames() } = options;
+    const definitions = {};
+    if (Array.isArray(tables)) {
+      for (let i = 0; i < tables.length; i++) {
+        definitions[tables[i]] = await tableDefinition(tables[i], { refresh: true });
+      }
+    } else if (tables !== null && typeof tables === 'object') {
+      Object.entries(tables).forEach(([table, description]) => {
+        definitions[table] = ((description && description.fields) || []).map(canonicalDefinition);
+      });
+    } else {
+      throw new CaspioValidationError('The tables must be an array of table names or an object of table descriptions by table name (e.g., the tables of a snapshot).');
+    }
+    return tablesDDL(definitions, options);
+  }
+
+  const utils = {
+    applySchema,
+    diffSchema,
+    generateDDL,
+    restoreSchema,
+    snapshotSchema,
+  };
+
+  return utils;
+}
+
+module.exports = schemaUtils;
+module.exports.summarizePlan = summarizePlan;
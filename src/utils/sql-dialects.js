@@ -0,0 +1,250 @@
+const { fieldNameRestrictions } = require('./caspio');
+const { CaspioValidationError } = require('./errors');
+
+// identifiers that may be written without quotes in every supported dialect
+const plainIdentifierPattern = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Returns a string literal in which every single quote is doubled (the escaping shared by every supported dialect)
+ * @param {string} value String value
+ * @returns {string} Quoted string literal
+ */
+function quoteString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL dialects supported when generating SQL from Caspio data. Each dialect describes how identifiers are quoted, which words are reserved, how string and boolean literals are written, how many rows a single `INSERT` statement may hold, the column type of every Caspio field type, and the column type of an `AUTONUMBER` field that is the primary key of its table.
+ */
+const dialects = {
+  postgres: {
+    name: 'postgres',
+    quoteIdentifier: (identifier) => `"${identifier.replace(/"/g, '""')}"`,
+    reservedWords: [
+      'ALL', 'ANALYSE', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'ASYMMETRIC', 'AUTHORIZATION', 'BINARY', 'BOTH',
+      'CASE', 'CAST', 'CHECK', 'COLLATE', 'COLLATION', 'COLUMN', 'CONCURRENTLY', 'CONSTRAINT', 'CREATE', 'CROSS',
+      'CURRENT_CATALOG', 'CURRENT_DATE', 'CURRENT_ROLE', 'CURRENT_SCHEMA', 'CURRENT_TIME', 'CURRENT_TIMESTAMP',
+      'CURRENT_USER', 'DEFAULT', 'DEFERRABLE', 'DESC', 'DISTINCT', 'DO', 'ELSE', 'END', 'EXCEPT', 'FALSE', 'FETCH',
+      'FOR', 'FOREIGN', 'FREEZE', 'FROM', 'FULL', 'GRANT', 'GROUP', 'HAVING', 'ILIKE', 'IN', 'INITIALLY', 'INNER',
+      'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'LATERAL', 'LEADING', 'LEFT', 'LIKE', 'LIMIT', 'LOCALTIME',
+      'LOCALTIMESTAMP', 'NATURAL', 'NOT', 'NOTNULL', 'NULL', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER', 'OUTER', 'OVERLAPS',
+      'PLACING', 'PRIMARY', 'REFERENCES', 'RETURNING', 'RIGHT', 'SELECT', 'SESSION_USER', 'SIMILAR', 'SOME',
+      'SYMMETRIC', 'SYSTEM_USER', 'TABLE', 'TABLESAMPLE', 'THEN', 'TO', 'TRAILING', 'TRUE', 'UNION', 'UNIQUE', 'USER',
+      'USING', 'VARIADIC', 'VERBOSE', 'WHEN', 'WHERE', 'WINDOW', 'WITH',
+    ],
+    string: quoteString,
+    boolean: (value) => (value ? 'TRUE' : 'FALSE'),
+    maxRowsPerInsert: Infinity,
+    types: {
+      AUTONUMBER: 'INTEGER',
+      'PREFIXED AUTONUMBER': 'VARCHAR(255)',
+      GUID: 'VARCHAR(100)',
+      'RANDOM ID': 'VARCHAR(100)',
+      STRING: 'VARCHAR(255)',
+      TEXT: 'TEXT',
+      PASSWORD: 'VARCHAR(255)',
+      NUMBER: 'DOUBLE PRECISION',
+      INTEGER: 'INTEGER',
+      CURRENCY: 'NUMERIC(19, 4)',
+      'DATE/TIME': 'TIMESTAMP',
+      'YES/NO': 'BOOLEAN',
+      FILE: 'VARCHAR(500)',
+      TIMESTAMP: 'TIMESTAMP',
+      'LIST-STRING': 'TEXT',
+      'LIST-NUMBER': 'TEXT',
+      'LIST-DATE/TIME': 'TEXT',
+    },
+    // explicit values (e.g., seeded records) may still be inserted
+    autonumberPrimaryKey: 'INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY',
+  },
+  mysql: {
+    name: 'mysql',
+    quoteIdentifier: (identifier) => `\`${identifier.replace(/`/g, '``')}\``,
+    reservedWords: [
+      'ACCESSIBLE', 'ADD', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'AS', 'ASC', 'ASENSITIVE', 'BEFORE', 'BETWEEN', 'BIGINT',
+      'BINARY', 'BLOB', 'BOTH', 'BY', 'CALL', 'CASCADE', 'CASE', 'CHANGE', 'CHAR', 'CHARACTER', 'CHECK', 'COLLATE',
+      'COLUMN', 'CONDITION', 'CONSTRAINT', 'CONTINUE', 'CONVERT', 'CREATE', 'CROSS', 'CUBE', 'CUME_DIST',
+      'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'CURSOR', 'DATABASE', 'DATABASES',
+      'DAY_HOUR', 'DAY_MICROSECOND', 'DAY_MINUTE', 'DAY_SECOND', 'DEC', 'DECIMAL', 'DECLARE', 'DEFAULT', 'DELAYED',
+      'DELETE', 'DENSE_RANK', 'DESC', 'DESCRIBE', 'DETERMINISTIC', 'DISTINCT', 'DISTINCTROW', 'DIV', 'DOUBLE', 'DROP',
+      'DUAL', 'EACH', 'ELSE', 'ELSEIF', 'EMPTY', 'ENCLOSED', 'ESCAPED', 'EXCEPT', 'EXISTS', 'EXIT', 'EXPLAIN', 'FALSE',
+      'FETCH', 'FIRST_VALUE', 'FLOAT', 'FLOAT4', 'FLOAT8', 'FOR', 'FORCE', 'FOREIGN', 'FROM', 'FULLTEXT', 'FUNCTION',
+      'GENERATED', 'GET', 'GRANT', 'GROUP', 'GROUPING', 'GROUPS', 'HAVING', 'HIGH_PRIORITY', 'HOUR_MICROSECOND',
+      'HOUR_MINUTE', 'HOUR_SECOND', 'IF', 'IGNORE', 'IN', 'INDEX', 'INFILE', 'INNER', 'INOUT', 'INSENSITIVE', 'INSERT',
+      'INT', 'INT1', 'INT2', 'INT3', 'INT4', 'INT8', 'INTEGER', 'INTERSECT', 'INTERVAL', 'INTO', 'IO_AFTER_GTIDS',
+      'IO_BEFORE_GTIDS', 'IS', 'ITERATE', 'JOIN', 'JSON_TABLE', 'KEY', 'KEYS', 'KILL', 'LAG', 'LAST_VALUE', 'LATERAL',
+      'LEAD', 'LEADING', 'LEAVE', 'LEFT', 'LIKE', 'LIMIT', 'LINEAR', 'LINES', 'LOAD', 'LOCALTIME', 'LOCALTIMESTAMP',
+      'LOCK', 'LONG', 'LONGBLOB', 'LONGTEXT', 'LOOP', 'LOW_PRIORITY', 'MASTER_BIND', 'MASTER_SSL_VERIFY_SERVER_CERT',
+      'MATCH', 'MAXVALUE', 'MEDIUMBLOB', 'MEDIUMINT', 'MEDIUMTEXT', 'MIDDLEINT', 'MINUTE_MICROSECOND', 'MINUTE_SECOND',
+      'MOD', 'MODIFIES', 'NATURAL', 'NOT', 'NO_WRITE_TO_BINLOG', 'NTH_VALUE', 'NTILE', 'NULL', 'NUMERIC', 'OF', 'ON',
+      'OPTIMIZE', 'OPTIMIZER_COSTS', 'OPTION', 'OPTIONALLY', 'OR', 'ORDER', 'OUT', 'OUTER', 'OUTFILE', 'OVER',
+      'PARTITION', 'PERCENT_RANK', 'PRECISION', 'PRIMARY', 'PROCEDURE', 'PURGE', 'RANGE', 'RANK', 'READ', 'READS',
+      'READ_WRITE', 'REAL', 'RECURSIVE', 'REFERENCES', 'REGEXP', 'RELEASE', 'RENAME', 'REPEAT', 'REPLACE', 'REQUIRE',
+      'RESIGNAL', 'RESTRICT', 'RETURN', 'REVOKE', 'RIGHT', 'RLIKE', 'ROW', 'ROWS', 'ROW_NUMBER', 'SCHEMA', 'SCHEMAS',
+      'SECOND_MICROSECOND', 'SELECT', 'SENSITIVE', 'SEPARATOR', 'SET', 'SHOW', 'SIGNAL', 'SMALLINT', 'SPATIAL',
+      'SPECIFIC', 'SQL', 'SQLEXCEPTION', 'SQLSTATE', 'SQLWARNING', 'SQL_BIG_RESULT', 'SQL_CALC_FOUND_ROWS',
+      'SQL_SMALL_RESULT', 'SSL', 'STARTING', 'STORED', 'STRAIGHT_JOIN', 'SYSTEM', 'TABLE', 'TERMINATED', 'THEN',
+      'TINYBLOB', 'TINYINT', 'TINYTEXT', 'TO', 'TRAILING', 'TRIGGER', 'TRUE', 'UNDO', 'UNION', 'UNIQUE', 'UNLOCK',
+      'UNSIGNED', 'UPDATE', 'USAGE', 'USE', 'USING', 'UTC_DATE', 'UTC_TIME', 'UTC_TIMESTAMP', 'VALUES', 'VARBINARY',
+      'VARCHAR', 'VARCHARACTER', 'VARYING', 'VIRTUAL', 'WHEN', 'WHERE', 'WHILE', 'WINDOW', 'WITH', 'WRITE', 'XOR',
+      'YEAR_MONTH', 'ZEROFILL',
+    ],
+    // backslashes are escape characters in MySQL string literals (unless NO_BACKSLASH_ESCAPES is enabled)
+    string: (value) => quoteString(value.replace(/\\/g, '\\\\')),
+    boolean: (value) => (value ? 'TRUE' : 'FALSE'),
+    maxRowsPerInsert: Infinity,
+    types: {
+      AUTONUMBER: 'INT',
+      'PREFIXED AUTONUMBER': 'VARCHAR(255)',
+      GUID: 'VARCHAR(100)',
+      'RANDOM ID': 'VARCHAR(100)',
+      STRING: 'VARCHAR(255)',
+      // TEXT columns hold at most 65,535 bytes, which is less than 64,000 multibyte characters
+      TEXT: 'MEDIUMTEXT',
+      PASSWORD: 'VARCHAR(255)',
+      NUMBER: 'DOUBLE',
+      INTEGER: 'INT',
+      CURRENCY: 'DECIMAL(19, 4)',
+      // DATETIME (unlike TIMESTAMP) is not converted to UTC and is not limited to the years 1970 to 2038
+      'DATE/TIME': 'DATETIME',
+      'YES/NO': 'BOOLEAN',
+      FILE: 'VARCHAR(500)',
+      TIMESTAMP: 'DATETIME',
+      'LIST-STRING': 'TEXT',
+      'LIST-NUMBER': 'TEXT',
+      'LIST-DATE/TIME': 'TEXT',
+    },
+    autonumberPrimaryKey: 'INT NOT NULL AUTO_INCREMENT PRIMARY KEY',
+  },
+  sqlserver: {
+    name: 'sqlserver',
+    quoteIdentifier: (identifier) => `[${identifier.replace(/]/g, ']]')}]`,
+    // Caspio's field name restrictions are the reserved words of SQL Server
+    reservedWords: fieldNameRestrictions,
+    // the N prefix keeps non-ASCII characters intact
+    string: (value) => `N${quoteString(value)}`,
+    boolean: (value) => (value ? '1' : '0'),
+    // SQL Server rejects table value constructors with more than 1000 rows
+    maxRowsPerInsert: 1000,
+    types: {
+      AUTONUMBER: 'INT',
+      'PREFIXED AUTONUMBER': 'NVARCHAR(255)',
+      GUID: 'NVARCHAR(100)',
+      'RANDOM ID': 'NVARCHAR(100)',
+      STRING: 'NVARCHAR(255)',
+      TEXT: 'NVARCHAR(MAX)',
+      PASSWORD: 'NVARCHAR(255)',
+      NUMBER: 'FLOAT',
+      INTEGER: 'INT',
+      CURRENCY: 'DECIMAL(19, 4)',
+      'DATE/TIME': 'DATETIME2',
+      'YES/NO': 'BIT',
+      FILE: 'NVARCHAR(500)',
+      TIMESTAMP: 'DATETIME2',
+      'LIST-STRING': 'NVARCHAR(MAX)',
+      'LIST-NUMBER': 'NVARCHAR(MAX)',
+      'LIST-DATE/TIME': 'NVARCHAR(MAX)',
+    },
+    autonumberPrimaryKey: 'INT IDENTITY(1, 1) PRIMARY KEY',
+  },
+  sqlite: {
+    name: 'sqlite',
+    quoteIdentifier: (identifier) => `"${identifier.replace(/"/g, '""')}"`,
+    reservedWords: [
+      'ABORT', 'ACTION', 'ADD', 'AFTER', 'ALL', 'ALTER', 'ALWAYS', 'ANALYZE', 'AND', 'AS', 'ASC', 'ATTACH',
+      'AUTOINCREMENT', 'BEFORE', 'BEGIN', 'BETWEEN', 'BY', 'CASCADE', 'CASE', 'CAST', 'CHECK', 'COLLATE', 'COLUMN',
+      'COMMIT', 'CONFLICT', 'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT', 'CURRENT_DATE', 'CURRENT_TIME',
+      'CURRENT_TIMESTAMP', 'DATABASE', 'DEFAULT', 'DEFERRABLE', 'DEFERRED', 'DELETE', 'DESC', 'DETACH', 'DISTINCT',
+      'DO', 'DROP', 'EACH', 'ELSE', 'END', 'ESCAPE', 'EXCEPT', 'EXCLUDE', 'EXCLUSIVE', 'EXISTS', 'EXPLAIN', 'FAIL',
+      'FILTER', 'FIRST', 'FOLLOWING', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GENERATED', 'GLOB', 'GROUP', 'GROUPS',
+      'HAVING', 'IF', 'IGNORE', 'IMMEDIATE', 'IN', 'INDEX', 'INDEXED', 'INITIALLY', 'INNER', 'INSERT', 'INSTEAD',
+      'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'KEY', 'LAST', 'LEFT', 'LIKE', 'LIMIT', 'MATCH', 'MATERIALIZED',
+      'NATURAL', 'NO', 'NOT', 'NOTHING', 'NOTNULL', 'NULL', 'NULLS', 'OF', 'OFFSET', 'ON', 'OR', 'ORDER', 'OTHERS',
+      'OUTER', 'OVER', 'PARTITION', 'PLAN', 'PRAGMA', 'PRECEDING', 'PRIMARY', 'QUERY', 'RAISE', 'RANGE', 'RECURSIVE',
+      'REFERENCES', 'REGEXP', 'REINDEX', 'RELEASE', 'RENAME', 'REPLACE', 'RESTRICT', 'RETURNING', 'RIGHT', 'ROLLBACK',
+      'ROW', 'ROWS', 'SAVEPOINT', 'SELECT', 'SET', 'TABLE', 'TEMP', 'TEMPORARY', 'THEN', 'TIES', 'TO', 'TRANSACTION',
+      'TRIGGER', 'UNBOUNDED', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VACUUM', 'VALUES', 'VIEW', 'VIRTUAL', 'WHEN',
+      'WHERE', 'WINDOW', 'WITH', 'WITHOUT',
+    ],
+    string: quoteString,
+    boolean: (value) => (value ? '1' : '0'),
+    maxRowsPerInsert: Infinity,
+    // SQLite columns have type affinities rather than types (dates are stored as ISO 8601 text)
+    types: {
+      AUTONUMBER: 'INTEGER',
+      'PREFIXED AUTONUMBER': 'TEXT',
+      GUID: 'TEXT',
+      'RANDOM ID': 'TEXT',
+      STRING: 'TEXT',
+      TEXT: 'TEXT',
+      PASSWORD: 'TEXT',
+      NUMBER: 'REAL',
+      INTEGER: 'INTEGER',
+      CURRENCY: 'NUMERIC',
+      'DATE/TIME': 'TEXT',
+      'YES/NO': 'INTEGER',
+      FILE: 'TEXT',
+      TIMESTAMP: 'TEXT',
+      'LIST-STRING': 'TEXT',
+      'LIST-NUMBER': 'TEXT',
+      'LIST-DATE/TIME': 'TEXT',
+    },
+    // an INTEGER PRIMARY KEY column is an alias of the rowid, which is assigned automatically
+    autonumberPrimaryKey: 'INTEGER PRIMARY KEY',
+  },
+};
+
+/**
+ * Returns the dialect with the provided name
+ * @param {('postgres'|'mysql'|'sqlserver'|'sqlite')} dialectName Name of the dialect
+ * @returns {Object} Dialect
+ * @throws {CaspioValidationError} If the dialect is not supported
+ */
+function getDialect(dialectName) {
+  const dialect = dialects[dialectName];
+  if (!dialect) {
+    throw new CaspioValidationError(`'${dialectName}' is not a supported SQL dialect. Try one of the following: ${Object.keys(dialects).map((name) => `'${name}'`).join(', ')}.`);
+  }
+  return dialect;
+}
+
+/**
+ * Returns an identifier as it is written in the dialect: reserved words (compared case-insensitively) and identifiers with characters other than letters, digits, and underscores are quoted, and other identifiers are written as is
+ * @param {string} identifier Identifier (e.g., a table or field name)
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @returns {string} SQL identifier
+ */
+function sqlIdentifier(identifier, dialect) {
+  const needsQuotes = !plainIdentifierPattern.test(identifier) || dialect.reservedWords.includes(identifier.toUpperCase());
+  return needsQuotes ? dialect.quoteIdentifier(identifier) : identifier;
+}
+
+/**
+ * Returns the SQL literal for a value
+ * @param {any} value Value (strings, numbers, booleans, and `null` are supported; anything else is written as its JSON representation)
+ * @param {Object} dialect Dialect (see `getDialect`)
+ * @returns {string} SQL literal
+ */
+function sqlLiteral(value, dialect) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : 'NULL';
+  }
+  if (typeof value === 'boolean') {
+    return dialect.boolean(value);
+  }
+  if (typeof value === 'string') {
+    return dialect.string(value);
+  }
+  return dialect.string(JSON.stringify(value));
+}
+
+module.exports = {
+  dialects,
+  getDialect,
+  quoteString,
+  sqlIdentifier,
+  sqlLiteral,
+};
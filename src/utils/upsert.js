@@ -0,0 +1,246 @@
+const { CaspioValidationError, toCaspioError } = require('./errors');
+const { where } = require('./filters');
+const { whereClauseBuilder } = require('./data-processing');
+
+/**
+ * Returns a key value as it is compared by Caspio (i.e., SQL Server's default collation): strings are compared case-insensitively and without trailing spaces, and dates are compared as `'YYYY-MM-DDTHH:mm:ss'` strings
+ * @param {*} value Key value
+ * @returns {string} Comparable key value
+ */
+function comparableKeyValue(value) {
+  if (typeof value === 'string') {
+    return value.trimEnd().toLowerCase();
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 19).toLowerCase();
+  }
+  return String(value);
+}
+
+/**
+ * Returns whether a provided field value equals the value a record already holds (e.g., `1` equals `true` for `YES/NO` fields, and an array of list item indexes or values equals the list Caspio returns as an object of values by index)
+ * @param {*} value Provided value
+ * @param {*} currentValue Value held by the record
+ * @returns {boolean} Whether the values are equal
+ */
+function valuesEqual(value, currentValue) {
+  if (value === currentValue) {
+    return true;
+  }
+  if (value === null || value === undefined || currentValue === null || currentValue === undefined) {
+    return (value === undefined ? null : value) === (currentValue === undefined ? null : currentValue);
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 19) === String(currentValue).slice(0, 19);
+  }
+  if (Array.isArray(value) && typeof currentValue === 'object') {
+    const sorted = (values) => values.map(String).sort().join('\u0000');
+    return sorted(value) === sorted(Object.keys(currentValue)) || sorted(value) === sorted(Object.values(currentValue));
+  }
+  if (typeof value === 'boolean' || typeof currentValue === 'boolean') {
+    return Number(value) === Number(currentValue);
+  }
+  return typeof value !== 'object' && String(value) === String(currentValue);
+}
+
+/**
+ * Runs asynchronous tasks with at most `concurrency` of them running at any one time
+ * @param {Array<function(): Promise<void>>} tasks Tasks
+ * @param {number} concurrency Maximum number of tasks running at once
+ * @returns {Promise<void>}
+ */
+async function runConcurrently(tasks, concurrency) {
+  let nextTask = 0;
+  const runTasks = async () => {
+    while (nextTask < tasks.length) {
+      const task = tasks[nextTask++];
+      await task();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, runTasks));
+}
+
+function upsertUtils(credentials, context) {
+  const {
+    http, tableDefinition, collectRecords, recordCodec, rowIterator, recordViolations,
+  } = context;
+
+  /**
+   * Inserts rows whose key does not match any record of a table and updates the records matched by the keys of the other rows. Keys are looked up one batch of rows at a time (i.e., one `IN` list per key field, split if the request URI would be too long), only the fields whose values changed are updated, and records whose values are all unchanged are not updated at all. If the client's `codec` option is enabled, then rows may hold native JavaScript values (see `createCodec`).
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {(Array<Object>|Iterable<Object>|AsyncIterable<Object>|Readable)} rows Rows to upsert
+   * @param {Object} options Options
+   * @param {(string|Array<string>)} options.keyFields Names of the fields that identify a record (e.g., `['NPI']`)
+   * @param {number} [options.batchSize=100] Number of rows whose keys are looked up at once
+   * @param {number} [options.concurrency=4] Maximum number of insert and update requests in flight
+   * @returns {Promise<Object>} Report of the inserted, updated, unchanged, and failed rows
+   * @throws {CaspioValidationError} If the options or rows are invalid
+   */
+  async function upsert(tableName, rows, options = {}) {
+    const { keyFields: providedKeyFields, batchSize = 100, concurrency = 4 } = options;
+    const keyFields = typeof providedKeyFields === 'string' ? [providedKeyFields] : providedKeyFields;
+    if (!Array.isArray(keyFields) || keyFields.length === 0 || keyFields.some((keyField) => typeof keyField !== 'string')) {
+      throw new CaspioValidationError('The keyFields option must be the name of a field or a non-empty array of field names (i.e., the fields that identify a record).');
+    }
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new CaspioValidationError(`${batchSize} is not a valid batch size. The batch size must be a positive integer.`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CaspioValidationError(`${concurrency} is not a valid concurrency. The concurrency must be a positive integer.`);
+    }
+    const iterator = rowIterator(rows);
+    const fieldDefinitions = await tableDefinition(tableName);
+    const fieldsByName = new Map(fieldDefinitions.map((field) => [field.Name.toLowerCase(), field]));
+    const unknownKeyFields = keyFields.filter((keyField) => !fieldsByName.has(keyField.toLowerCase()));
+    if (unknownKeyFields.length > 0) {
+      throw new CaspioValidationError(`The following key fields do not exist in the '${tableName}' table: ${unknownKeyFields.map((keyField) => `'${keyField}'`).join(', ')}.`);
+    }
+    const keyNames = keyFields.map((keyField) => fieldsByName.get(keyField.toLowerCase()).Name);
+    const codec = await recordCodec(`/v2/tables/${tableName}`);
+
+    const report = {
+      processed: 0, inserted: 0, updated: 0, unchanged: 0, failures: [],
+    };
+    // index of the row that first provided each key (the same key may not be upserted twice)
+    const rowIndexesByKey = new Map();
+
+    const fail = (index, row, error) => {
+      const caspioError = toCaspioError(error, 'tables.upsert');
+      report.failures.push({
+        index, row, message: caspioError.caspioMessage || caspioError.message, error: caspioError,
+      });
+    };
+
+    const upsertBatch = async (batch) => {
+      const keyedRows = [];
+      batch.forEach(({ index, row: providedRow }) => {
+        const violations = recordViolations(providedRow, fieldDefinitions, { codec: Boolean(codec), tableName });
+        let row = providedRow;
+        if (codec && violations.length === 0) {
+          try {
+            row = codec.encode(providedRow);
+          } catch (error) {
+            violations.push({ field: null, message: error.message });
+          }
+        }
+        const rowFieldNames = violations.length === 0 ? new Map(Object.keys(row).map((fieldName) => [fieldName.toLowerCase(), fieldName])) : new Map();
+        const keyValues = keyNames.map((keyName) => (rowFieldNames.has(keyName.toLowerCase()) ? row[rowFieldNames.get(keyName.toLowerCase())] : null));
+        if (violations.length === 0) {
+          keyNames.filter((keyName, i) => keyValues[i] === null || keyValues[i] === undefined).forEach((keyName) => violations.push({ field: keyName, message: `The row has no value for the key field '${keyName}'.` }));
+        }
+        const key = JSON.stringify(keyValues.map(comparableKeyValue));
+        if (violations.length === 0 && rowIndexesByKey.has(key)) {
+          violations.push({ field: null, message: `The row has the same key as row ${rowIndexesByKey.get(key)}.` });
+        }
+        if (violations.length > 0) {
+          fail(index, providedRow, new CaspioValidationError(`Row ${index} cannot be upserted into the '${tableName}' table: ${violations.map(({ message }) => message).join(' ')}`, { method: 'tables.upsert', violations }));
+          return;
+        }
+        rowIndexesByKey.set(key, index);
+        keyedRows.push({
+          index, providedRow, row, key, keyValues,
+        });
+      });
+      if (keyedRows.length === 0) {
+        return;
+      }
+
+      const keyFilter = where.and(...keyNames.map((keyName, i) => where.in(keyName, [...new Set(keyedRows.map(({ keyValues }) => keyValues[i]))])));
+      let currentRecords;
+      try {
+        currentRecords = await collectRecords(`/v2/tables/${tableName}`, { where: keyFilter }, { method: 'tables.upsert', raw: true });
+      } catch (error) {
+        // the rows of earlier batches are already written, so the rows of this batch fail (rather than the whole upsert) and the next batch is upserted
+        keyedRows.forEach(({ index, providedRow }) => fail(index, providedRow, error));
+        return;
+      }
+      const recordsByKey = new Map();
+      currentRecords.forEach((record) => {
+        const key = JSON.stringify(keyNames.map((keyName) => comparableKeyValue(record[keyName])));
+        recordsByKey.set(key, [...(recordsByKey.get(key) || []), record]);
+      });
+
+      const tasks = [];
+      keyedRows.forEach(({
+        index, providedRow, row, key,
+      }) => {
+        const matchedRecords = recordsByKey.get(key) || [];
+        if (matchedRecords.length > 1) {
+          fail(index, providedRow, new CaspioValidationError(`Row ${index} cannot be upserted into the '${tableName}' table: its key matches ${matchedRecords.length} records (the key fields must identify a single record).`));
+        } else if (matchedRecords.length === 0) {
+          tasks.push(async () => {
+            try {
+              await http({
+                method: 'post',
+                url: `/v2/tables/${tableName}/records`,
+                data: row,
+              });
+              report.inserted++;
+            } catch (error) {
+              fail(index, providedRow, error);
+            }
+          });
+        } else {
+          const [record] = matchedRecords;
+          const recordFieldNames = new Map(Object.keys(record).map((fieldName) => [fieldName.toLowerCase(), fieldName]));
+          const changedValues = Object.entries(row)
+            // key fields already match (as Caspio compares them)
+            .filter(([fieldName]) => !keyNames.some((keyName) => keyName.toLowerCase() === fieldName.toLowerCase()))
+            .filter(([fieldName, value]) => !valuesEqual(value, record[recordFieldNames.get(fieldName.toLowerCase())]))
+            .reduce((values, [fieldName, value]) => ({ ...values, [fieldName]: value }), {});
+          if (Object.keys(changedValues).length === 0) {
+            report.unchanged++;
+            return;
+          }
+          const recordFilter = where.and(...keyNames.map((keyName) => where.eq(keyName, record[keyName])));
+          tasks.push(async () => {
+            try {
+              await http({
+                method: 'put',
+                url: `/v2/tables/${tableName}/records?q.where=${whereClauseBuilder(recordFilter)}`,
+                data: changedValues,
+              });
+              report.updated++;
+            } catch (error) {
+              fail(index, providedRow, error);
+            }
+          });
+        }
+      });
+      await runConcurrently(tasks, concurrency);
+    };
+
+    let batch = [];
+    let next = await iterator.next();
+    while (!next.done) {
+      batch.push({ index: report.processed++, row: next.value });
+      if (batch.length === batchSize) {
+        await upsertBatch(batch);
+        batch = [];
+      }
+      next = await iterator.next();
+    }
+    await upsertBatch(batch);
+
+    const {
+      processed, inserted, updated, unchanged, failures,
+    } = report;
+    return {
+      message: `${inserted} row(s) inserted, ${updated} row(s) updated, and ${unchanged} row(s) unchanged in the '${tableName}' table (${failures.length} of ${processed} row(s) failed).`,
+      processed,
+      inserted,
+      updated,
+      unchanged,
+      failed: failures.length,
+      failures: failures.sort((a, b) => a.index - b.index),
+    };
+  }
+
+  const utils = {
+    upsert,
+  };
+
+  return utils;
+}
+
+module.exports = upsertUtils;
@@ -0,0 +1,224 @@
+const { maxUriLength } = require('./caspio');
+const { CaspioUriTooLongError, toCaspioError } = require('./errors');
+const { Filter, compileWhereClause } = require('./filters');
+const { whereClauseBuilder } = require('./data-processing');
+
+const encodedSeparatorLength = encodeURIComponent(', ').length;
+const wordPattern = /[A-Za-z_]\w*/y;
+// a field (optionally qualified by a table name or enclosed in brackets) followed by IN and its opening parenthesis
+const inListPattern = /^([A-Za-z_][\w.]*|\[[^\]]+\])\s+IN\s*\(/i;
+
+/**
+ * Scans a `WHERE` clause (skipping string literals and anything within parentheses) for its top-level `AND` operators (excluding those of `BETWEEN ... AND ...`), `OR` operators, and commas
+ * @param {string} text `WHERE` clause (or part of one)
+ * @returns {{ands: Array<Array<number>>, commas: Array<number>, hasOr: boolean}} Start and end positions of the top-level `AND` operators, positions of the top-level commas, and whether there is a top-level `OR` operator
+ */
+function scanTopLevel(text) {
+  const ands = [];
+  const commas = [];
+  let hasOr = false;
+  let depth = 0;
+  let inString = false;
+  let inBetween = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString || char === "'") {
+      // a doubled single quote within a string literal closes and reopens the literal
+      inString = char === "'" ? !inString : inString;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (depth === 0 && char === ',') {
+      commas.push(i);
+    } else if (depth === 0 && /[A-Za-z_]/.test(char) && (i === 0 || !/[\w.]/.test(text[i - 1]))) {
+      wordPattern.lastIndex = i;
+      const [word] = wordPattern.exec(text);
+      const keyword = word.toUpperCase();
+      if (keyword === 'BETWEEN') {
+        inBetween = true;
+      } else if (keyword === 'AND' && inBetween) {
+        inBetween = false;
+      } else if (keyword === 'AND') {
+        ands.push([i, i + word.length]);
+      } else if (keyword === 'OR') {
+        hasOr = true;
+      }
+      i += word.length - 1;
+    }
+  }
+  return { ands, commas, hasOr };
+}
+
+/**
+ * Returns the position of the parenthesis that closes the one at `openIndex` (skipping string literals)
+ * @param {string} text Text
+ * @param {number} openIndex Position of an opening parenthesis
+ * @returns {number} Position of the closing parenthesis (or `-1` if there is none)
+ */
+function closingParenthesis(text, openIndex) {
+  let depth = 0;
+  let inString = false;
+  for (let i = openIndex; i < text.length; i++) {
+    const char = text[i];
+    if (char === "'") {
+      inString = !inString;
+    } else if (!inString && char === '(') {
+      depth++;
+    } else if (!inString && char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Returns the conditions that every matched record satisfies (i.e., the operands of the top-level `AND` operators, including those of groups enclosed in parentheses); a condition with a top-level `OR` operator is returned as a single condition
+ * @param {string} clause `WHERE` clause
+ * @returns {Array<string>} Conditions
+ */
+function conjuncts(clause) {
+  const text = clause.trim();
+  const { ands, hasOr } = scanTopLevel(text);
+  if (hasOr) {
+    return [text];
+  }
+  if (ands.length === 0) {
+    const inner = text.slice(1, -1);
+    if (text.startsWith('(') && closingParenthesis(text, 0) === text.length - 1 && !scanTopLevel(inner).hasOr) {
+      return conjuncts(inner);
+    }
+    return [text];
+  }
+  const bounds = [0, ...ands.flat(), text.length];
+  const parts = [];
+  for (let i = 0; i < bounds.length; i += 2) {
+    parts.push(text.slice(bounds[i], bounds[i + 1]));
+  }
+  return parts.flatMap(conjuncts);
+}
+
+/**
+ * Returns the field and values of a condition if it is an `IN` list (e.g., `User_ID IN ('A', 'B')`; `NOT IN` lists and subqueries are not lists of values)
+ * @param {string} condition Condition
+ * @returns {({fieldName: string, values: Array<string>}|null)} Field and values (as they are written in the condition)
+ */
+function inList(condition) {
+  const match = inListPattern.exec(condition);
+  if (!match) {
+    return null;
+  }
+  const openIndex = match[0].length - 1;
+  if (closingParenthesis(condition, openIndex) !== condition.length - 1) {
+    return null;
+  }
+  const list = condition.slice(openIndex + 1, -1);
+  if (/^\s*SELECT\b/i.test(list)) {
+    return null;
+  }
+  const bounds = [-1, ...scanTopLevel(list).commas, list.length];
+  const values = bounds.slice(1).map((bound, i) => list.slice(bounds[i] + 1, bound).trim()).filter((value) => value !== '');
+  return { fieldName: match[1], values };
+}
+
+function uriLengthUtils(credentials, context) {
+  const { http } = context;
+  const { baseURL } = require('./api-config')(credentials);
+
+  /**
+   * Returns the `WHERE` clauses to request instead of `whereClause` so that no request URI exceeds the maximum length Caspio accepts (i.e., 2047 characters). If the URI built with `whereClause` is short enough, then `whereClause` itself is the only clause. Otherwise, the largest `IN` list among the conditions every matched record satisfies (i.e., combined with `AND`) is de-duplicated and split into as few lists as possible, and one clause per list is returned; together, those clauses match exactly the records `whereClause` matches.
+   * @param {(string|Filter)} whereClause `WHERE` clause or filter
+   * @param {function(Filter): string} urlForWhere Function that returns the URL (relative to the base URL) of the request for a `WHERE` clause
+   * @returns {Array<(string|Filter)>} `WHERE` clauses (as filters if `whereClause` was split)
+   * @throws {CaspioUriTooLongError} If the URI is too long and `whereClause` cannot be split into clauses that are short enough
+   */
+  function whereClauseChunks(whereClause, urlForWhere) {
+    const clause = compileWhereClause(whereClause);
+    const uriLength = (where) => baseURL.length + urlForWhere(new Filter(where)).length;
+    const length = uriLength(clause);
+    if (length <= maxUriLength) {
+      return [whereClause];
+    }
+    const conditions = conjuncts(clause);
+    const lists = conditions.map(inList);
+    const listIndex = lists.reduce((largest, list, i) => (list && (largest === -1 || list.values.length > lists[largest].values.length) ? i : largest), -1);
+    if (listIndex === -1) {
+      throw new CaspioUriTooLongError(`The request URI would be ${length} characters long, but Caspio rejects URIs longer than ${maxUriLength} characters. Only a WHERE clause with an IN list that every record has to satisfy (i.e., combined with AND) can be split into several requests. Shorten the WHERE clause (e.g., use a subquery instead of listing values).`);
+    }
+    const { fieldName, values } = lists[listIndex];
+    const clauseWithValues = (listValues) => conditions
+      .map((condition, i) => (i === listIndex ? `${fieldName} IN (${listValues.join(', ')})` : condition))
+      .join(' AND ');
+    const emptyListLength = uriLength(clauseWithValues([]));
+
+    const chunks = [];
+    let chunk = [];
+    let chunkLength = emptyListLength;
+    [...new Set(values)].forEach((value) => {
+      const valueLength = encodeURIComponent(value).length;
+      if (emptyListLength + valueLength > maxUriLength) {
+        throw new CaspioUriTooLongError(`The request URI would be ${length} characters long, but Caspio rejects URIs longer than ${maxUriLength} characters, and the IN list of '${fieldName}' cannot be split since the request URI is too long even with a single value in the list. Shorten the rest of the WHERE clause.`);
+      }
+      if (chunk.length > 0 && chunkLength + encodedSeparatorLength + valueLength > maxUriLength) {
+        chunks.push(chunk);
+        chunk = [];
+        chunkLength = emptyListLength;
+      }
+      chunkLength += (chunk.length > 0 ? encodedSeparatorLength : 0) + valueLength;
+      chunk.push(value);
+    });
+    chunks.push(chunk);
+    return chunks.map((listValues) => new Filter(clauseWithValues(listValues)));
+  }
+
+  /**
+   * Issues the request built for `whereClause` (e.g., an update or a deletion of records) or, if its URI would be too long, one request per `WHERE` clause returned by `whereClauseChunks` (one after the other). The responses of split requests are merged into one response: `RecordsAffected` is the sum of every response's `RecordsAffected` and `Result` holds every response's `Result`.
+   *
+   * Split writes are not atomic: if a request fails after earlier requests of the split have been completed, then the records those requests affected stay updated (or deleted). The error of the failed request is then reported with the number of `completedRequests` (out of `requests`) and the sum of their `recordsAffected`.
+   * @param {(string|Filter)} whereClause `WHERE` clause or filter
+   * @param {function(string): Object} configForWhere Function that returns the axios request config for a URI-encoded `WHERE` clause (see `whereClauseBuilder`)
+   * @returns {Promise<Object>} Axios response (or merged response)
+   * @throws {CaspioError} If a request fails (with `completedRequests`, `requests`, and `recordsAffected` properties if earlier requests of a split write were completed)
+   */
+  async function requestInWhereChunks(whereClause, configForWhere) {
+    const chunks = whereClauseChunks(whereClause, (where) => configForWhere(whereClauseBuilder(where)).url);
+    if (chunks.length === 1) {
+      return http(configForWhere(whereClauseBuilder(whereClause)));
+    }
+    const responses = [];
+    const sumOfRecordsAffected = () => responses.reduce((sum, { data }) => sum + (data.RecordsAffected || 0), 0);
+    for (let i = 0; i < chunks.length; i++) {
+      const config = configForWhere(whereClauseBuilder(chunks[i]));
+      try {
+        responses.push(await http(config));
+      } catch (error) {
+        if (i === 0 || String(config.method || 'get').toLowerCase() === 'get') {
+          throw error;
+        }
+        const caspioError = toCaspioError(error);
+        const recordsAffected = sumOfRecordsAffected();
+        const partialError = new caspioError.constructor(`${caspioError.message} The request was split into ${chunks.length} requests because of a long IN list, and the first ${i} of them had already been completed (${recordsAffected} record(s) affected), so the write was only partly applied.`, {
+          status: caspioError.status, caspioMessage: caspioError.caspioMessage, url: caspioError.url, cause: error,
+        });
+        Object.assign(partialError, { completedRequests: i, requests: chunks.length, recordsAffected });
+        throw partialError;
+      }
+    }
+    const [{ status, statusText }] = responses;
+    const recordsAffected = sumOfRecordsAffected();
+    const result = responses.flatMap(({ data }) => data.Result || []);
+    return { status, statusText, data: { RecordsAffected: recordsAffected, Result: result } };
+  }
+
+  const utils = {
+    requestInWhereChunks,
+    whereClauseChunks,
+  };
+
+  return utils;
+}
+
+module.exports = uriLengthUtils;
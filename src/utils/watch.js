@@ -0,0 +1,309 @@
+const { EventEmitter } = require('events');
+const { CaspioValidationError, toCaspioError } = require('./errors');
+const { where } = require('./filters');
+
+// field types whose values identify a record when no key field is provided
+const keyFieldTypes = ['AUTONUMBER', 'PREFIXED AUTONUMBER', 'GUID', 'RANDOM ID'];
+
+/**
+ * Watches a table for inserted, updated, and (optionally) deleted records by polling (see `tables.watch`). Events: `ready` (once the records already in the table are known), `insert` and `update` (with the record), `delete` (with an object holding the key of the deleted record), `change` (with `{ type, record }` for every insert, update, and delete), `error` (polling continues after an error; errors are logged through the client's logger while no `error` listener is attached), and `close`.
+ */
+class TableWatcher extends EventEmitter {
+  /**
+   * @param {Object} settings Watcher settings
+   * @param {string} settings.tableName Name of table
+   * @param {function(): Promise<Array<Object>>} settings.fetchDefinition Function that returns the definition of the table
+   * @param {function(Object): Promise<Array<Object>>} settings.fetchRecords Function that returns the records matched by a query criteria object (as returned by Caspio)
+   * @param {function(): Promise<(Object|null)>} settings.fetchCodec Function that returns the codec with which emitted records are decoded (or `null` if records are emitted as returned by Caspio)
+   * @param {string} [settings.keyField] Name of the field that identifies a record (defaults to the table's `AUTONUMBER`, `PREFIXED AUTONUMBER`, `GUID`, or `RANDOM ID` field)
+   * @param {string} settings.timestampField Name of the `TIMESTAMP` field that marks when a record was last modified
+   * @param {number} settings.interval Number of milliseconds between polls
+   * @param {(number|null)} settings.deleteInterval Number of milliseconds between checks for deleted records (or `null` if deletions are not detected)
+   * @param {Object} settings.logger Logger through which errors are reported while no `error` listener is attached
+   */
+  constructor(settings) {
+    super();
+    this.settings = settings;
+    this.closed = false;
+    this.timer = null;
+    // timestamp of every known record by key
+    this.knownRecords = new Map();
+    this.cursor = null;
+    this.lastDeleteCheck = 0;
+    this.codec = null;
+  }
+
+  /**
+   * Checks the key and timestamp fields against the table's definition, loads the keys of the records already in the table (without emitting events for them), and starts polling
+   * @returns {Promise<void>}
+   */
+  async start() {
+    try {
+      await this.resolveFields();
+      this.codec = await this.settings.fetchCodec();
+      const { keyField, timestampField } = this.settings;
+      const records = await this.settings.fetchRecords({ select: `${keyField}, ${timestampField}` });
+      if (this.closed) {
+        return;
+      }
+      records.forEach((record) => this.remember(record));
+      this.lastDeleteCheck = Date.now();
+      this.emit('ready');
+    } catch (error) {
+      // nothing can be reported as inserted or updated until the records already in the table are known
+      try {
+        this.fail(error);
+      } finally {
+        this.close();
+      }
+      return;
+    }
+    this.schedule();
+  }
+
+  /**
+   * Replaces the names of the key and timestamp fields with their names as defined (field names are case-insensitive)
+   * @returns {Promise<void>}
+   * @throws {CaspioValidationError} If the timestamp field is not a `TIMESTAMP` field of the table or no key field can be found
+   */
+  async resolveFields() {
+    const { tableName, keyField, timestampField } = this.settings;
+    const fieldDefinitions = await this.settings.fetchDefinition();
+    const findField = (fieldName) => fieldDefinitions.find(({ Name }) => Name.toLowerCase() === fieldName.toLowerCase());
+    const timestampDefinition = findField(timestampField);
+    if (!timestampDefinition || timestampDefinition.Type !== 'TIMESTAMP') {
+      throw new CaspioValidationError(`'${timestampField}' is not a TIMESTAMP field of the '${tableName}' table. Changes can only be watched with a TIMESTAMP field (set on insert and on update).`);
+    }
+    const keyDefinition = keyField === undefined ? fieldDefinitions.find(({ Type }) => keyFieldTypes.includes(Type)) : findField(keyField);
+    if (!keyDefinition) {
+      throw new CaspioValidationError(keyField === undefined
+        ? `The '${tableName}' table has no AUTONUMBER, PREFIXED AUTONUMBER, GUID, or RANDOM ID field to identify records with. Provide the keyField option (a field whose values are unique).`
+        : `The '${tableName}' table does not have a field named '${keyField}'.`);
+    }
+    this.settings = { ...this.settings, keyField: keyDefinition.Name, timestampField: timestampDefinition.Name };
+  }
+
+  /**
+   * Records the timestamp of a record and advances the cursor
+   * @param {Object} record Record
+   * @returns {void}
+   */
+  remember(record) {
+    const { keyField, timestampField } = this.settings;
+    const timestamp = record[timestampField];
+    this.knownRecords.set(record[keyField], timestamp);
+    if (timestamp !== null && timestamp !== undefined && (this.cursor === null || timestamp > this.cursor)) {
+      this.cursor = timestamp;
+    }
+  }
+
+  /**
+   * Schedules the next poll (polls never overlap)
+   * @returns {void}
+   */
+  schedule() {
+    if (!this.closed) {
+      this.timer = setTimeout(() => this.poll(), this.settings.interval);
+    }
+  }
+
+  /**
+   * Requests the records modified at or after the cursor (and, when due, the keys of every record) and emits their events
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const {
+      keyField, timestampField, deleteInterval, fetchRecords,
+    } = this.settings;
+    try {
+      const modifiedRecords = await fetchRecords({
+        where: this.cursor === null ? where.isNotNull(timestampField) : where.gte(timestampField, this.cursor),
+        orderBy: `${timestampField} ASC`,
+      });
+      modifiedRecords.forEach((record) => {
+        const key = record[keyField];
+        const known = this.knownRecords.has(key);
+        // records modified at the exact timestamp of the cursor were already reported
+        if (known && this.knownRecords.get(key) === record[timestampField]) {
+          return;
+        }
+        this.remember(record);
+        this.emitChange(known ? 'update' : 'insert', record);
+      });
+
+      if (deleteInterval !== null && Date.now() - this.lastDeleteCheck >= deleteInterval) {
+        const currentKeys = new Set((await fetchRecords({ select: keyField })).map((record) => record[keyField]));
+        this.lastDeleteCheck = Date.now();
+        [...this.knownRecords.keys()].filter((key) => !currentKeys.has(key)).forEach((key) => {
+          this.knownRecords.delete(key);
+          this.emitChange('delete', { [keyField]: key });
+        });
+      }
+    } catch (error) {
+      this.fail(error);
+    } finally {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Emits the event of a change and the `change` event (with the record decoded if the watcher has a codec)
+   * @param {('insert'|'update'|'delete')} type Type of change
+   * @param {Object} providedRecord Inserted or updated record (or the key of a deleted record)
+   * @returns {void}
+   */
+  emitChange(type, providedRecord) {
+    if (!this.closed) {
+      const record = this.codec ? this.codec.decode(providedRecord) : providedRecord;
+      this.emit(type, record);
+      this.emit('change', { type, record });
+    }
+  }
+
+  /**
+   * Emits an error (as a `CaspioError`) unless the watcher is closed, or logs it if no `error` listener is attached (emitting an `error` event without a listener throws)
+   * @param {Error} error Error
+   * @returns {void}
+   */
+  fail(error) {
+    if (this.closed) {
+      return;
+    }
+    const caspioError = toCaspioError(error, 'tables.watch');
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', caspioError);
+    } else {
+      this.settings.logger.error(`tables.watch: ${caspioError.message}`, { err: caspioError });
+    }
+  }
+
+  /**
+   * Stops polling (a request in flight is completed, but its events are not emitted)
+   * @returns {void}
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.emit('close');
+  }
+
+  /**
+   * Returns an async iterator over the changes (i.e., `{ type, record }` objects) emitted from now on. The iterator throws the first error emitted (and closes the watcher), and breaking out of a `for await...of` loop closes the watcher.
+   * @returns {AsyncIterator<{type: ('insert'|'update'|'delete'), record: Object}>} Async iterator of changes
+   */
+  [Symbol.asyncIterator]() {
+    const changes = [];
+    const pendingReads = [];
+    let failure = null;
+    let finished = this.closed;
+
+    const settleReads = () => {
+      while (pendingReads.length > 0 && (changes.length > 0 || failure || finished)) {
+        const { resolve, reject } = pendingReads.shift();
+        if (changes.length > 0) {
+          resolve({ value: changes.shift(), done: false });
+        } else if (failure) {
+          reject(failure);
+          failure = null;
+        } else {
+          resolve({ value: undefined, done: true });
+        }
+      }
+    };
+    const onChange = (change) => {
+      changes.push(change);
+      settleReads();
+    };
+    const onError = (error) => {
+      failure = error;
+      this.close();
+    };
+    const onClose = () => {
+      finished = true;
+      this.off('change', onChange);
+      this.off('error', onError);
+      this.off('close', onClose);
+      settleReads();
+    };
+    if (!finished) {
+      this.on('change', onChange);
+      this.on('error', onError);
+      this.on('close', onClose);
+    }
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        pendingReads.push({ resolve, reject });
+        settleReads();
+      }),
+      return: async () => {
+        this.close();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+function watchUtils(credentials, context) {
+  const {
+    logger, tableDefinition, collectRecords, recordCodec,
+  } = context;
+
+  /**
+   * Returns a watcher that polls a table for inserted, updated, and (optionally) deleted records (see `TableWatcher`). The watcher starts once the current tick is over (so that listeners attached right away receive every event); if its fields do not match the table's definition, then it emits an error and closes.
+   * @param {string} tableName Name of table (case-insensitive)
+   * @param {Object} options Options
+   * @param {string} options.timestampField Name of the `TIMESTAMP` field that marks when a record was last modified
+   * @param {string} [options.keyField] Name of the field that identifies a record (defaults to the table's `AUTONUMBER`, `PREFIXED AUTONUMBER`, `GUID`, or `RANDOM ID` field)
+   * @param {number} [options.interval=30000] Number of milliseconds between polls
+   * @param {boolean} [options.detectDeletes=false] Whether to detect deleted records by comparing the keys of every record with the known keys
+   * @param {number} [options.deleteInterval] Number of milliseconds between checks for deleted records (defaults to ten times `interval`)
+   * @returns {TableWatcher} Watcher
+   * @throws {CaspioValidationError} If the options are invalid
+   */
+  function watchTable(tableName, options = {}) {
+    const {
+      timestampField, keyField, interval = 30000, detectDeletes = false, deleteInterval = interval * 10,
+    } = options;
+    if (typeof timestampField !== 'string' || timestampField.trim() === '') {
+      throw new CaspioValidationError('The timestampField option must be the name of the TIMESTAMP field that marks when a record was last modified.');
+    }
+    if (keyField !== undefined && (typeof keyField !== 'string' || keyField.trim() === '')) {
+      throw new CaspioValidationError('The keyField option must be the name of a field whose values are unique.');
+    }
+    [['interval', interval], ['deleteInterval', deleteInterval]].forEach(([name, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new CaspioValidationError(`${value} is not a valid ${name}. The ${name} option must be a positive number of milliseconds.`);
+      }
+    });
+
+    const watcher = new TableWatcher({
+      tableName,
+      fetchDefinition: () => tableDefinition(tableName),
+      // timestamps are compared as returned by Caspio
+      fetchRecords: (selectionCriteriaObj) => collectRecords(`/v2/tables/${tableName}`, selectionCriteriaObj, { method: 'tables.watch', raw: true }),
+      fetchCodec: () => recordCodec(`/v2/tables/${tableName}`),
+      keyField,
+      timestampField,
+      interval,
+      deleteInterval: detectDeletes ? deleteInterval : null,
+      logger,
+    });
+    setImmediate(() => watcher.start());
+    return watcher;
+  }
+
+  const utils = {
+    watchTable,
+  };
+
+  return utils;
+}
+
+module.exports = watchUtils;